@@ -2,6 +2,8 @@
 /**
  * @typedef {Object} TokenObject
  * @property {string} auth The authentication token to the remote endpoint
+ * @property {(undefined|string)} refresh The refresh token to renew the session with, undefined if the login didn't issue one
+ * @property {(undefined|number)} expiresAt The time the authentication token expires at in milliseconds, undefined if it's unknown
  */
 
 /**
@@ -10,10 +12,24 @@
  * @property {string} pass The password to use for authentication
  */
 
+/**
+ * @typedef {Object} WdClientOptions
+ * @property {string} [host] The host to send the requests to, or a base URL like 'http://127.0.0.1:8080' for a local server
+ * @property {string} [authUrl] The URL of the login endpoint, defaults to the wdc auth0 endpoint
+ * @property {string} [devicesUrl] The URL of the device list of the accounts, defaults to the wdc device service
+ * @property {CredentialsObject} [credentials] The credentials to use for authentication and auto re-login
+ * @property {string} [refreshToken] The refresh token of a previous session, allows authenticating without a password
+ * @property {Function} [sessionCallback] Called with the TokenObject whenever the client logs in or renews its session, for storing the session
+ * @property {string} [journalDir] The folder to store the journals of unfinished uploads in, defaults to ~/.config/wd-bridge/uploads
+ * @property {Object} [retryPolicy] The fields of the RetryPolicy (see retry.js) to change for every action
+ * @property {Object<string, Object>} [retryPolicies] The fields of the RetryPolicy to change for single actions, keyed by the action name, eg. 'upload file'
+ * @property {number} [batchLimit] The maximum number of sub-requests sent in one batch, defaults to 100, lowered automatically if the device rejects a batch as too large
+ */
+
 /**
  * @typedef {Object} InternalResult
  * @property {Boolean} success True if the action was successful, otherwise false
- * @property {(undefined|Error)} error Undefined if the request didn't throw an error, otherwise the error object itself
+ * @property {(undefined|Error)} error Undefined if the request succeeded or the session expired, otherwise a WdError describing the failure
  * @property {Boolean} session True if the action failed due to issues with the session authentication, otherwise false
  * @property {Any} result The result of the action
  */
@@ -24,13 +40,31 @@
  * @property {(undefined|Error)} error Undefined if the request didn't throw an error, otherwise the error object itself
  * @property {Boolean} session True if the action failed due to issues with the session authentication, otherwise false
  * @property {(undefined|Number)} statusCode The status code of the response, undefined if success is false
+ * @property {(undefined|string)} contentType The content type of the response with its boundary, undefined if success is false
  * @property {(undefined|string)} content The response body, undefined if success if false
  */
 
+/**
+ * @typedef {Object} BatchRequest
+ * @property {string} method The HTTP method of the sub-request, eg. 'DELETE'
+ * @property {string} path The path and query of the sub-request, eg. '/sdk/v2/files/abc'
+ * @property {Object} [body] The body of the sub-request, sent as JSON
+ * @property {string} [entryID] The ID of the remote entry the sub-request is about, used for the errors
+ */
+
+/**
+ * @typedef {Object} BatchResponse
+ * @property {(undefined|number)} status The status code of the sub-request, undefined if the device didn't answer it
+ * @property {Object} headers The lowercase headers of the sub-response
+ * @property {Any} body The body of the sub-response, parsed if it's JSON
+ * @property {(undefined|WdError)} error The typed error of the failed sub-request, undefined if it succeeded
+ */
+
 /**
  * @typedef {Object} AbstractedResult
  * @property {Boolean} success The internal function's success
  * @property {Any} data The result of the internal function
+ * @property {(undefined|WdError)} [error] The typed error of the failed action, undefined if it succeeded
  */
 
 /**
@@ -38,6 +72,157 @@
  * @property {string} id The ID of the remote entry
  * @property {string} name The name of the remote entry
  * @property {Boolean} isDir True if the remote entry is a directory, otherwise false
+ * @property {number} [size] The size of the entry in bytes, only set for detailed listings
+ * @property {Date} [mTime] The modification time of the entry, only set for detailed listings
+ * @property {Date} [cTime] The creation time of the entry, only set for detailed listings
+ * @property {string} [mimeType] The MIME type of the entry, only set for detailed listings
+ * @property {string} [parentID] The ID of the parent folder, only set for detailed listings
+ */
+
+/**
+ * @typedef {Object} DeviceInfo
+ * @property {string} id The ID of the device
+ * @property {string} name The name of the device given by its owner
+ * @property {(undefined|string)} model The model of the device
+ * @property {string} endpoint The host or base URL the requests to the device are sent to, accepted by setWdHost
+ */
+
+/**
+ * @typedef {Object} ListOptions
+ * @property {Boolean} [details] True to include the size, times, MIME type and parent ID of the entries, otherwise false
+ */
+
+/**
+ * @typedef {Object} ListPage
+ * @property {Array<RemoteEntry>} entries The entries on the page
+ * @property {string} pageToken The token of the next page, empty if this was the last page
+ */
+
+/**
+ * @typedef {Object} ResolvedEntry
+ * @property {string} id The ID of the remote entry
+ * @property {(undefined|string)} name The name of the remote entry, undefined if the entry was reached without listing its parent (eg. with '..')
+ * @property {Boolean} isDir True if the remote entry is a directory, otherwise false
+ * @property {(undefined|string)} parentID The ID of the parent folder, undefined for the root folder
+ */
+
+/**
+ * @typedef {Object} EntryChanges
+ * @property {string} [name] The new name of the entry
+ * @property {string} [parentID] The ID of the new parent folder of the entry
+ */
+
+/**
+ * @typedef {Object} ContentChunk
+ * @property {Buffer} buffer The buffer holding the block of content
+ * @property {number} bytesRead The number of bytes of the buffer that belong to the block
+ * @property {number} currentOffset The offset of the block in the whole content
+ * @property {Boolean} isDone True if this is the last block of the content, otherwise false
+ */
+
+/**
+ * @typedef {Object} ReadStreamOptions
+ * @property {number} [start] The offset of the first byte to read
+ * @property {number} [end] The offset of the last byte to read (inclusive), defaults to the end of the file
+ */
+
+/**
+ * @typedef {Object} DownloadOptions
+ * @property {Boolean} [resume] True to continue from the partial (.part) file of a previous download, otherwise false
+ * @property {Boolean} [verify] True to compare the checksum of the downloaded file with the remote file, otherwise false
+ * @property {Boolean} [preserveTimestamps] False to leave the download time as the modification time of the local file, by default it gets the modification time of the remote file
+ */
+
+/**
+ * What to do if the destination folder already has an entry with the same name
+ * 'rename' lets the device pick a free name like 'photo (1).jpg', 'overwrite' replaces the existing entry, 'skip' keeps it,
+ * 'fail' rejects with a ConflictError and 'skip-if-identical' keeps existing files of the same size and modification time and replaces the rest
+ * @typedef {('rename'|'overwrite'|'skip'|'fail'|'skip-if-identical')} ConflictPolicy
+ */
+
+/**
+ * @typedef {Object} UploadOptions
+ * @property {Boolean} [verify] True to compare the checksum of the bytes sent with the uploaded file, otherwise false
+ * @property {ConflictPolicy} [conflict] What to do if the folder already has an entry with the name of the file, defaults to 'rename'
+ * @property {Boolean} [preserveTimestamps] False to stamp the remote file with the upload time, by default it gets the modification time of the local file
+ * @property {Map<string, Promise>} [listings] The listings of the destination folders by their IDs, shared by the uploads of a transfer so that the conflicts don't list a folder for every file
+ */
+
+/**
+ * @typedef {Object} WriteStreamOptions
+ * @property {ConflictPolicy} [conflict] What to do if the folder already has an entry with the name of the file, defaults to 'rename'
+ * @property {number} [size] The size of the content, compared by 'skip-if-identical'
+ * @property {Date} [mTime] The modification time of the content, compared by 'skip-if-identical' and given to the new file, defaults to now
+ */
+
+/**
+ * @typedef {Object} DirectoryOptions
+ * @property {ConflictPolicy} [conflict] What to do if the folder already has an entry with the name of the directory, defaults to 'rename'
+ * 'skip', 'overwrite' and 'skip-if-identical' return the ID of an existing directory, 'overwrite' replaces an existing file
+ * @property {Date} [mTime] The modification time of a new directory, defaults to now
+ * @property {Map<string, Promise>} [listings] The listings of the destination folders by their IDs, see the UploadOptions
+ */
+
+/**
+ * @typedef {Object} ConflictResolution
+ * @property {string} action 'create' to create the entry, 'skip' to keep the existing entry or 'replace' to create the entry and remove the existing one
+ * @property {(undefined|RemoteEntry)} existing The detailed entry with the same name, undefined if there's none or the policy doesn't look for it
+ */
+
+/**
+ * @typedef {Object} RemoteChecksum
+ * @property {string} algorithm The hash algorithm of the checksum, eg. 'sha256'
+ * @property {string} value The hex encoded checksum
+ */
+
+/**
+ * @typedef {Object} VerifyResult
+ * @property {string} algorithm The hash algorithm used for the comparison
+ * @property {string} hash The hex encoded hash of the file
+ * @property {string} source 'metadata' if the remote hash was reported by the device, 'content' if it was computed from the remote content
+ */
+
+/**
+ * @typedef {Object} ServerCopyResult
+ * @property {(undefined|string)} id The ID of the copy, undefined if the device didn't copy the entry
+ * @property {(undefined|Boolean)} supported True if the device copied the entry, false if it doesn't support copying, undefined if the copy endpoint wasn't found (a 404 is also the answer for missing entries)
+ */
+
+/**
+ * @typedef {Object} CopyOptions
+ * @property {string} [newName] The name of the copy, defaults to the name of the original entry
+ * @property {CopyProgressCallback} [progressCallback] Function to call with the progress of the copy
+ * @property {ConflictPolicy} [conflict] What to do if the destination folder already has an entry with the name of the copy, defaults to 'rename'
+ * The device can't merge folders, 'overwrite' replaces an existing folder as a whole
+ */
+
+/**
+ * @typedef {Object} CopyProgress
+ * @property {string} fileName The name of the file that is currently being copied
+ * @property {number} fileBytes The number of bytes copied of the current file
+ * @property {number} fileSize The size of the current file
+ * @property {number} filesDone The number of files copied completely
+ * @property {number} totalFiles The number of files to copy
+ * @property {number} bytesDone The number of bytes copied of all files
+ * @property {number} totalBytes The size of all files to copy
+ */
+
+/**
+ * Called when the progress of a copy updates
+ * @callback CopyProgressCallback
+ * @param {CopyProgress} progress The current progress of the copy
+ */
+
+/**
+ * @typedef {Object} UploadHooks
+ * @property {Function} [started] Called with the upload data (headers and url) once the remote created the upload
+ * @property {Function} [acknowledged] Called with the number of bytes the remote acknowledged and the acknowledged bytes after every chunk
+ */
+
+/**
+ * @typedef {Object} UploadDigest
+ * @property {number} offset The number of bytes hashed so far
+ * @property {crypto.Hash} hash The hash of the bytes the remote acknowledged, in the default hash algorithm
  */
 
 /**
@@ -63,6 +248,14 @@ const fs = require('fs');
  * Import path for getting the name of a file to be uploaded
  */
 const path = require('path');
+/**
+ * Stream module for piping remote content
+ */
+const stream = require('stream');
+/**
+ * Module for hashing the content of files
+ */
+const crypto = require('crypto');
 /**
  * Module for web requests
  */
@@ -71,69 +264,219 @@ const request = require('request');
  * Low level nodejs web request module over https
  */
 const https = require('https');
+/**
+ * Low level nodejs web request module over http, used by local test servers
+ */
+const http = require('http');
+/**
+ * Journal storage for resumable uploads
+ */
+const journal = require('./journal');
+/**
+ * Concurrent transfers of file trees
+ */
+const { TransferManager } = require('./transfer');
+/**
+ * Errors the public functions reject with
+ */
+const errors = require('./errors');
+/**
+ * Retry policies of the API calls
+ */
+const retry = require('./retry');
+/**
+ * Comparison and synchronization of local and remote folders
+ */
+const folderSync = require('./sync');
 /**
  * API logging utility getter
  */
 const { getAPILogger } = require('./logging');
 // const httpsProxy = require('./https-proxy'); // For debugging purposes
 /**
- * History of visited folders
- * @type {Array<string>}
+ * Indicates whether the API should print debug messages
  */
-let pathStack = [];
+let log = getAPILogger();
 /**
- * Store session id and local storage data
- * @type {TokenObject}
+ * The auth0 endpoint of the wdc logins
  */
-let tokens = {};
+const defaultAuthUrl = 'https://wdc.auth0.com/oauth/ro';
 /**
- * Store username and password for auto re-login in case of a session timeout
- * @type {CredentialsObject}
+ * The wdc service listing the devices of an account, the ID of the user is appended to it
  */
-let creds = {};
+const defaultDevicesUrl = 'https://prod.wdckeystone.com/device/v1/user';
 /**
- * Indicates whether the API should print debug messages
+ * The client ID of the wdc application at auth0
  */
-let log = getAPILogger();
+const wdcAuth0ClientID = '56pjpE1J4c6ZyATz3sYP8cMT47CZd6rk';
+/**
+ * Sessions are renewed this many milliseconds before their token expires
+ */
+const sessionRenewalMargin = 60 * 1000;
+/**
+ * The maximum number of entries requested in one page of a folder listing
+ */
+const listPageSize = 1000;
+/**
+ * Maximum number of sub-requests in a batch if the client options don't set one
+ */
+const defaultBatchLimit = 100;
+/**
+ * The values of the conflict options
+ */
+const conflictPolicies = ['rename', 'overwrite', 'skip', 'fail', 'skip-if-identical'];
+/**
+ * The fields requested for the entries of a detailed listing
+ */
+const detailedFields = 'id,name,mimeType,size,mTime,cTime,parentID';
+/**
+ * The entry describing the root folder of the device
+ * @type {ResolvedEntry}
+ */
+const rootEntry = { id: 'root', name: '', isDir: true, parentID: undefined };
+/**
+ * Metadata fields the device may report a checksum in, with their hash algorithms, in order of preference
+ */
+const checksumFields = [['sha256', 'sha256'], ['sha1', 'sha1'], ['md5', 'md5']];
+/**
+ * The hash algorithm used when the device doesn't report a checksum
+ */
+const defaultHashAlgorithm = 'sha256';
 /**
- * Host to send the requests to
- * @type {string}
+ * The milliseconds between two saves of an upload journal, the acknowledgements in between only update it in memory
  */
-let wdHost = '';
+const journalWriteInterval = 1000;
 
 // #endregion
 
 // #region Util functions
 
+/**
+ * Get the base URL of the API of a wdc device
+ * Hosts with a scheme (eg. 'http://127.0.0.1:8080') are used as they are, so that the requests can go to a local test server
+ * @param {String} host The host of the wdc device
+ * @returns {string} The URL the API paths are appended to
+ */
+function getDeviceUrl(host) {
+    return host.includes('://') ? host.replace(/\/+$/, '') : `https://${host}.remotewd.com`;
+}
+
+/**
+ * Get the URL of the token endpoint next to the login endpoint
+ * @param {String} authUrl The URL of the login endpoint, eg. 'https://wdc.auth0.com/oauth/ro'
+ * @returns {string} The URL the refresh tokens are exchanged at, eg. 'https://wdc.auth0.com/oauth/token'
+ */
+function getTokenUrl(authUrl) {
+    return new URL('token', authUrl).toString();
+}
+
+/**
+ * Read the payload of a JWT without verifying it
+ * @param {String} token The JWT, with or without the 'Bearer ' prefix
+ * @returns {Object} The claims of the token, empty if the token can't be decoded
+ */
+function decodeToken(token) {
+    try {
+        return JSON.parse(Buffer.from(token.replace(/^Bearer /, '').split('.')[1], 'base64').toString());
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Read the expiry of a JWT without verifying it
+ * @param {String} token The JWT
+ * @returns {(undefined|number)} The time the token expires at in milliseconds, undefined if the token doesn't have one
+ */
+function getTokenExpiry(token) {
+    const payload = decodeToken(token);
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : undefined;
+}
+
+/**
+ * Convert a device sent by the device service to a device info
+ * @param {Object} item The device in the response of the device service
+ * @returns {DeviceInfo} The device info
+ */
+function parseDevice(item) {
+    const network = item.network || {};
+    return {
+        id: item.deviceId,
+        name: item.name,
+        model: item.type,
+        // Devices that don't report their proxy are reachable under the same name the predefined host used
+        endpoint: network.proxyURL || network.externalURI || `device-local-${item.deviceId}`,
+    };
+}
+
+/**
+ * Build the session of the client from the response of the auth0 endpoints
+ * @param {Object} body The parsed response body
+ * @param {(undefined|string)} refreshToken The refresh token to keep if the response doesn't contain a new one
+ * @returns {TokenObject} The tokens of the session
+ */
+function parseSession(body, refreshToken) {
+    return {
+        auth: 'Bearer ' + body.id_token,
+        refresh: body.refresh_token || refreshToken,
+        expiresAt: getTokenExpiry(body.id_token),
+    };
+}
+
+/**
+ * Read the session from a response of the auth0 endpoints
+ * @param {Object} response The response of the request
+ * @param {string} body The body of the response
+ * @param {string} endpoint The method and path of the request
+ * @param {(undefined|string)} [refreshToken] The refresh token to keep if the response doesn't contain a new one
+ * @returns {TokenObject} The tokens of the session, throws a WdError if the response doesn't have a session
+ */
+function readSession(response, body, endpoint, refreshToken) {
+    // Rejected credentials, rate limits and the HTML error pages of outages are all failed logins
+    if (response.statusCode !== 200) throw errors.errorFromStatus(response.statusCode, endpoint);
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (error) {
+        throw new errors.ServerError(`The response of ${endpoint} isn't valid JSON`, { status: response.statusCode, endpoint, cause: error });
+    }
+    if (typeof parsed.id_token !== 'string') throw new errors.ServerError(`The response of ${endpoint} doesn't contain a token`, { status: response.statusCode, endpoint });
+    return parseSession(parsed, refreshToken);
+}
+
 /**
  * Send multipart request to the wdc device
- * @param {String} mpData Multipart mixed data to send
+ * @param {String} host The host of the wdc device
+ * @param {Array<String>} mpParts The parts of the multipart mixed data to send, headers included
  * @param {String} auth Authentication token
  * @returns {Promise<MultipartMixedResult>} The result of the multipart mixed request
  */
-function multipartMixed(mpData, auth) {
+function multipartMixed(host, mpParts, auth) {
     return new Promise((resolve) => {
         // process.env["NODE_TLS_REJECT_UNAUTHORIZED"] = 0; // Required for https proxy debugging
-        const boundary = '3cb3d25a-a9b9-4906-a267-9b65ae299d0f'; // Some random boundary I copied from one of the delete folder requests
-        const data = `--${boundary}\r\n${mpData}\r\n--${boundary}--`;
+        const boundary = crypto.randomUUID();
+        const data = mpParts.map(part => `--${boundary}\r\n${part}\r\n`).join('') + `--${boundary}--`;
+        const batchUrl = new URL(getDeviceUrl(host) + '/sdk/v1/batch');
         // const proxyAgent = new httpsProxy({proxyHost: 'localhost', proxyPort: 8080});
         // NodeJS https module request options
         const options = {
-            hostname: `${wdHost}.remotewd.com`,
-            port: 443,
-            path: '/sdk/v1/batch',
+            hostname: batchUrl.hostname,
+            port: batchUrl.port || (batchUrl.protocol === 'http:' ? 80 : 443),
+            path: batchUrl.pathname,
             method: 'POST',
             headers: {
-                'authorizaiton': auth,
+                'authorization': auth,
                 'content-type': 'multipart/mixed; boundary=' + boundary,
                 'content-length': Buffer.byteLength(data),
             },
             // agent: proxyAgent,
         };
 
-        const req = https.request(options, (response) => {
-            if (response.statusCode === 401) {
-                resolve({ success: false, error: undefined, session: false });
+        const req = (batchUrl.protocol === 'http:' ? http : https).request(options, (response) => {
+            const failure = checkResponse(undefined, response, 'POST /sdk/v1/batch');
+            if (failure) {
+                response.resume(); // Drain the response, so that the connection is released
+                resolve(failure);
                 return;
             }
             let currentData = '';
@@ -142,98 +485,314 @@ function multipartMixed(mpData, auth) {
                 currentData += d;
             });
 
-            response.on('error', (error) => { // Check for errors
-                log.fatal('Something went wrong');
-                log.debug('Status code: ' + response.statusCode);
-                log.error(error);
-                resolve({ success: false, error: error, session: true });
-            });
-            response.on('end', () => resolve({ success: true, error: undefined, session: true, status: response.statusCode, content: currentData })); // Response finished
+            response.on('error', (error) => resolve(checkResponse(error, response, 'POST /sdk/v1/batch'))); // Check for errors
+            response.on('end', () => resolve({ success: true, error: undefined, session: true, statusCode: response.statusCode, contentType: response.headers['content-type'], content: currentData })); // Response finished
         });
+        req.on('error', (error) => resolve(checkResponse(error, undefined, 'POST /sdk/v1/batch')));
         req.write(data); // Send the data to the server
         req.end(); // Finish sending the data
     });
 }
 
 /**
- * Format the time based on the cloud's format for mTime in the file upload request
- * WARNING: the GMT time offset is hardcoded to +02:00 for now
- * @returns {string} The formatted time
+ * Build the part of a batch request carrying a sub-request
+ * @param {String} host The host of the wdc device
+ * @param {String} authToken The authentication token
+ * @param {BatchRequest} batchRequest The sub-request
+ * @param {number} contentID The number the response of the sub-request is matched by
+ * @returns {string} The part with its headers
+ */
+function buildBatchPart(host, authToken, batchRequest, contentID) {
+    let part = `Content-Type: application/http\r\nContent-Id: ${contentID}\r\n\r\n`;
+    part += `${batchRequest.method} ${batchRequest.path} HTTP/1.1\r\nHost: ${new URL(getDeviceUrl(host)).host}\r\nAuthorization: ${authToken}\r\n`;
+    if (batchRequest.body === undefined) return part + '\r\n';
+    const body = JSON.stringify(batchRequest.body);
+    return part + `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+}
+
+/**
+ * Read 'Name: value' header lines
+ * @param {Array<string>} lines The header lines, lines without a colon are skipped
+ * @returns {Object} The values by their lowercase names
+ */
+function parseHeaderLines(lines) {
+    const headers = {};
+    lines.forEach((line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+    });
+    return headers;
+}
+
+/**
+ * Split the multipart/mixed response of a batch into the responses of its sub-requests
+ * @param {string} content The body of the batch response
+ * @param {(undefined|string)} contentType The content type of the batch response with its boundary
+ * @returns {Array<Object>} The contentID (undefined if the part doesn't name it), status, headers and raw body of every embedded response
+ */
+function parseBatchResponse(content, contentType) {
+    const boundaryMatch = /boundary=("?)([^";]+)\1/.exec(contentType || '');
+    // Fall back to the first delimiter line if the device leaves the boundary out of the header
+    const boundary = boundaryMatch !== null ? boundaryMatch[2] : (/^--(\S+)/m.exec(content) || [])[1];
+    if (boundary === undefined) return [];
+    return content.split('--' + boundary)
+        .slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map((part) => {
+            const [mimeHead, ...httpParts] = part.replace(/^\r\n/, '').split('\r\n\r\n');
+            const mimeHeaders = parseHeaderLines(mimeHead.split('\r\n'));
+            const [statusLine, ...headerLines] = (httpParts.shift() || '').split('\r\n');
+            const statusMatch = /^HTTP\/\d(?:\.\d)? (\d{3})/.exec(statusLine);
+            const contentIDMatch = /(\d+)>?$/.exec(mimeHeaders['content-id'] || '');
+            return {
+                contentID: contentIDMatch === null ? undefined : Number(contentIDMatch[1]),
+                status: statusMatch === null ? undefined : Number(statusMatch[1]),
+                headers: parseHeaderLines(headerLines),
+                body: httpParts.join('\r\n\r\n').replace(/\r\n$/, ''),
+            };
+        });
+}
+
+/**
+ * Run several requests in one round trip over the batch endpoint of the wdc
+ * @param {String} host The host of the wdc device
+ * @param {String} authToken The authentication token
+ * @param {Array<BatchRequest>} batchRequests The sub-requests to send
+ * @returns {Promise<InternalResult>} The result of the batch request, the result is a BatchResponse for every sub-request in the same order
+ */
+function batch(host, authToken, batchRequests) {
+    return new Promise(async (resolve) => {
+        // Send multipart/mixed to the server (since request module doesn't support the /mixed multipart MIME)
+        const result = await multipartMixed(host, batchRequests.map((batchRequest, index) => buildBatchPart(host, authToken, batchRequest, index)), authToken);
+        if (!result.success) {
+            resolve(result);
+            return;
+        }
+        // The batch itself succeeds even if the sub-requests fail, their status is in the embedded responses
+        const parts = parseBatchResponse(result.content, result.contentType);
+        const responses = batchRequests.map((batchRequest, index) => {
+            // Devices that don't echo the Content-Id answer the parts in order
+            const part = parts.find(part => part.contentID === index) || parts.filter(part => part.contentID === undefined)[index];
+            const endpoint = `${batchRequest.method} ${batchRequest.path.split('?')[0]}`;
+            if (part === undefined || part.status === undefined) {
+                return { status: undefined, headers: {}, body: undefined, error: new errors.ServerError(`The batch response doesn't answer ${endpoint}`, { endpoint, entryID: batchRequest.entryID }) };
+            }
+            let body = part.body;
+            if ((part.headers['content-type'] || '').includes('json') && body !== '') {
+                try {
+                    body = JSON.parse(body);
+                } catch {
+                    // Keep the raw body of malformed responses
+                }
+            }
+            const failure = checkResponse(undefined, { statusCode: part.status, headers: part.headers }, endpoint, batchRequest.entryID);
+            return { status: part.status, headers: part.headers, body, error: failure === undefined ? undefined : failure.error, session: failure === undefined || failure.session };
+        });
+        // The token is the same for every sub-request, one rejection means the session expired
+        if (responses.some(response => !response.session)) {
+            resolve({ success: false, error: undefined, session: false });
+            return;
+        }
+        responses.forEach(response => delete response.session);
+        resolve({ success: true, error: undefined, session: true, result: responses });
+    });
+}
+
+/**
+ * Format a time based on the cloud's format for mTime in the upload requests, ISO-8601 in local time with the offset of the local time zone
+ * @param {Date} [date] The time to format, defaults to now
+ * @returns {string} The formatted time, eg. '2019-05-04T18:30:00+02:00'
  */
-function getFormattedTime() { // TODO: set the GMT offset dynamically
-    const date = new Date();
+function getFormattedTime(date = new Date()) {
     // 0 prefix function
     const pf = (input) => {
         if (input.toString().length < 2) return '0' + input.toString();
         return input;
     };
-    const result = `${date.getFullYear()}-${pf(date.getMonth() + 1)}-${pf(date.getDate())}T${pf(date.getHours())}:${pf(date.getMinutes())}:${pf(date.getSeconds())}+02:00`;
+    // getTimezoneOffset is positive west of UTC, the offset of the format is positive east of it
+    const offset = -date.getTimezoneOffset();
+    const offsetText = `${offset < 0 ? '-' : '+'}${pf(Math.floor(Math.abs(offset) / 60))}:${pf(Math.abs(offset) % 60)}`;
+    const result = `${date.getFullYear()}-${pf(date.getMonth() + 1)}-${pf(date.getDate())}T${pf(date.getHours())}:${pf(date.getMinutes())}:${pf(date.getSeconds())}${offsetText}`;
     return result;
 }
 
+/**
+ * Split a remote path into its components, ignoring empty and '.' components
+ * @param {string} remotePath The path on the remote device
+ * @returns {Array<string>} The names of the entries along the path, '..' components are kept
+ */
+function splitRemotePath(remotePath) {
+    return remotePath.split('/').filter(part => part !== '' && part !== '.');
+}
+
+/**
+ * Convert an entry sent by the wdc to a remote entry
+ * @param {Object} item The entry in the response of the wdc
+ * @param {Boolean} detailed True to include the detailed fields, otherwise false
+ * @returns {RemoteEntry} The remote entry
+ */
+function parseEntry(item, detailed) {
+    const entry = {
+        name: item.name,
+        id: item.id,
+        isDir: item.mimeType == 'application/x.wd.dir',
+    };
+    if (detailed) {
+        entry.size = item.size || 0;
+        entry.mTime = item.mTime ? new Date(item.mTime) : undefined;
+        entry.cTime = item.cTime ? new Date(item.cTime) : undefined;
+        entry.mimeType = item.mimeType;
+        entry.parentID = item.parentID;
+    }
+    return entry;
+}
+
+/**
+ * Check if an existing remote file has the same content as a new one, judging by the size and the modification time like sync does
+ * @param {Object} source The size and mTime (Date) of the new content, the mTime can be undefined if it isn't known
+ * @param {RemoteEntry} existing The detailed remote entry
+ * @returns {Boolean} True if the existing entry is a file with the same size and modification time, otherwise false
+ */
+function isSameContent(source, existing) {
+    if (existing.isDir || source.mTime === undefined || existing.mTime === undefined || source.size !== existing.size) return false;
+    return Math.abs(source.mTime.getTime() - existing.mTime.getTime()) <= folderSync.mTimeTolerance;
+}
+
+/**
+ * Create the error thrown when a remote path doesn't exist
+ * @param {string} remotePath The path that couldn't be located
+ * @returns {Error} The error to throw
+ */
+function pathNotFoundError(remotePath) {
+    return new errors.NotFoundError(`Failed to locate the following path: ${remotePath}`);
+}
+
+/**
+ * Check the outcome of a request to the wdc
+ * @param {(null|Error)} error The error of the request
+ * @param {(undefined|Object)} response The response of the request, undefined if the request failed
+ * @param {string} endpoint The method and path of the request, eg. 'GET /sdk/v2/files/abc'
+ * @param {string} [entryID] The ID of the remote entry the request is about
+ * @returns {(undefined|InternalResult)} The result of the failed action, undefined if the request succeeded
+ */
+function checkResponse(error, response, endpoint, entryID) {
+    if (error) { // There's no response to look at if the request itself failed
+        log.fatal('Something went wrong');
+        log.error(error);
+        return { success: false, error: errors.networkError(error, endpoint, entryID), session: true };
+    }
+    if (response.statusCode === 401) return { success: false, error: undefined, session: false };
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        log.debug(`Status code ${response.statusCode} on ${endpoint}`);
+        const retryAfter = response.headers === undefined ? undefined : retry.parseRetryAfter(response.headers['retry-after']);
+        return { success: false, error: errors.errorFromStatus(response.statusCode, endpoint, entryID, retryAfter), session: true };
+    }
+    return undefined;
+}
+
 /**
  * Yield the specified file's content in blocks
  * @param {String} filePath The path ofthe file on the local system
+ * @param {number} [startOffset] The offset to start reading from
+ * @returns {Iterable<ContentChunk>} The blocks of the file
  */
-function* getFileContent(filePath) {
-    let currentOffset = 0;
+function* getFileContent(filePath, startOffset = 0) {
+    let currentOffset = startOffset;
     const totalSize = fs.statSync(filePath).size;
     const bufferSize = 20480; // Block size, each loop reads this many bytes
     const fd = fs.openSync(filePath, 'r');
     const buffer = Buffer.alloc(bufferSize); // Buffer to read file contents to
-    while (true) {
-        if (currentOffset >= totalSize) break;
-        const bytesRead = fs.readSync(fd, buffer, 0, bufferSize, currentOffset > totalSize ? currentOffset - totalSize : currentOffset);
-        const isDone = bytesRead != bufferSize; // EOF
-        yield { buffer, bytesRead, currentOffset, isDone };
-        if (isDone) break;
-        currentOffset += bytesRead;
+    try {
+        if (currentOffset >= totalSize) { // Empty files (or fully sent ones) still have to finish the upload
+            yield { buffer, bytesRead: 0, currentOffset, isDone: true };
+            return;
+        }
+        while (currentOffset < totalSize) {
+            const bytesRead = fs.readSync(fd, buffer, 0, bufferSize, currentOffset);
+            const isDone = bytesRead != bufferSize || currentOffset + bytesRead >= totalSize; // EOF
+            yield { buffer, bytesRead, currentOffset, isDone };
+            if (isDone) break;
+            currentOffset += bytesRead;
+        }
+    } finally {
+        fs.closeSync(fd);
     }
 }
 
 /**
- * Retry an abstracted function a certain if failed
- * @param {number} tryLimit The number of maxiumum executions of the specified function
- * @param {string} actionName The friendly display name of the action
- * @param {Function} abstractedFunction The abstracted function to call to exectue the action
- * @param {Array} afArgs An array of arguments to pass to the abstracted function
- * @returns {any} The result of the abstracted function
+ * Yield the content of a readable stream in blocks of at least 20 KB
+ * One block is held back, so that the last block can be marked as done
+ * @param {stream.Readable} readable The stream to read the content from
+ * @returns {AsyncIterable<ContentChunk>} The blocks of the stream
  */
-async function retryLimited(tryLimit, actionName, abstractedFunction, afArgs) {
-    let tryCounter = 0;
-    /**
-     * Execute the abstracted function the given amount of times if failing
-     * @returns {AbstractedResult}
-     */
-    const callAbstracted = async () => {
-        if (tryCounter > tryLimit) {
-            return { success: false };
+async function* getStreamContent(readable) {
+    const blockSize = 20480; // Small writes are collected, so that every request uploads a reasonable amount of data
+    let currentOffset = 0;
+    let collected = [];
+    let collectedLength = 0;
+    let block = null; // Full block waiting for the next one
+    for await (const chunk of readable) {
+        collected.push(chunk);
+        collectedLength += chunk.length;
+        if (collectedLength < blockSize) continue;
+        if (block !== null) {
+            yield { buffer: block, bytesRead: block.length, currentOffset, isDone: false };
+            currentOffset += block.length;
         }
-        tryCounter++;
-        if (tryCounter > 1) log.debug(`Attempt ${tryCounter} to ${actionName}`);
-        /**
-         * @type {AbstractedResult}
-         */
-        const result = await abstractedFunction(...afArgs);
-        if (!result.success) return await callAbstracted();
-        else return { success: true, data: result.data };
-    };
+        block = Buffer.concat(collected);
+        collected = [];
+        collectedLength = 0;
+    }
+    const rest = Buffer.concat(collected);
+    if (block !== null && rest.length > 0) {
+        yield { buffer: block, bytesRead: block.length, currentOffset, isDone: false };
+        currentOffset += block.length;
+        block = rest;
+    } else if (block === null) block = rest; // Less than one block or empty stream
+    yield { buffer: block, bytesRead: block.length, currentOffset, isDone: true };
+}
 
-    const recursiveResult = await callAbstracted();
-    if (recursiveResult.success) return recursiveResult.data;
-    else throw new Error(`Tried to ${actionName} 10 times and failed`);
+/**
+ * Create a stream that only lets a range of bytes through
+ * Used when the remote ignores the range header of a request and sends the whole content
+ * @param {number} start The offset of the first byte to keep
+ * @param {(undefined|number)} end The offset of the last byte to keep (inclusive), undefined to keep everything after start
+ * @returns {stream.Transform} The filtering stream
+ */
+function createRangeFilter(start, end) {
+    let currentOffset = 0;
+    return new stream.Transform({
+        transform(chunk, encoding, callback) {
+            const chunkStart = Math.max(start - currentOffset, 0);
+            const chunkEnd = end === undefined ? chunk.length : Math.min(end + 1 - currentOffset, chunk.length);
+            currentOffset += chunk.length;
+            if (chunkStart < chunkEnd) this.push(chunk.slice(chunkStart, chunkEnd));
+            callback();
+        },
+    });
+}
+
+/**
+ * Compute the hash of everything a stream emits
+ * @param {stream.Readable} readable The stream to hash
+ * @param {string} algorithm The hash algorithm, eg. 'sha256'
+ * @returns {Promise<string>} The hex encoded hash
+ */
+function hashStream(readable, algorithm) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        readable.on('data', chunk => hash.update(chunk));
+        readable.on('end', () => resolve(hash.digest('hex')));
+        readable.on('error', reject);
+    });
 }
 
 /**
- * Re-authenticate the client and try the current action again
- * @param {Function} func The function to call after re-authenticating
- * @param {Array} args An array of arguments to pass to the function
- * @returns {Promise} The result of the abstracted function
+ * Start hashing the bytes of an upload
+ * @returns {UploadDigest} The digest of an upload without acknowledged bytes
  */
-async function authRetry(func, args) {
-    log.warn('Re-authentication initiated');
-    await authenticate(creds.user, creds.pass); // Authenticate with cached credentials
-    return func(...args); // Re-call the parent function
+function createUploadDigest() {
+    return { offset: 0, hash: crypto.createHash(defaultHashAlgorithm) };
 }
 
 // #endregion
@@ -244,12 +803,11 @@ async function authRetry(func, args) {
  * Login to your wdc device
  * @param {String} username The username to use for wdc login
  * @param {String} password The password to use for wdc login
- * @returns {Promise<Boolean>} Promise, true if authentication is successful, otherwise false
+ * @param {String} authUrl The URL of the login endpoint
+ * @returns {Promise<(Boolean|TokenObject)>} Promise, the tokens of the session if authentication is successful, otherwise false
  */
-function login(username, password) {
+function login(username, password, authUrl) {
     return new Promise((resolve) => {
-        const authUrl = 'https://wdc.auth0.com/oauth/ro';
-        const wdcAuth0ClientID = '56pjpE1J4c6ZyATz3sYP8cMT47CZd6rk';
         request.post(authUrl, {
             body: JSON.stringify({ // Auth0 specific request, copied from the wdc login request to the authUrl endpoint
                 client_id: wdcAuth0ClientID,
@@ -264,70 +822,101 @@ function login(username, password) {
                 'content-type': 'application/json',
             }
         }, (error, response, body) => {
-            if (response.statusCode === 401) {
+            if (error) {
+                log.fatal('Error occurred while authenticating to server');
+                log.error(error);
                 resolve(false);
                 return;
             }
+            try {
+                resolve(readSession(response, body, `POST ${new URL(authUrl).pathname}`)); // Hand the Bearer authorization token to the client
+            } catch (failure) {
+                log.debug(`Failed to authenticate: ${failure.message}`);
+                resolve(false);
+            }
+        });
+    });
+}
+
+/**
+ * Renew a session with its refresh token
+ * @param {String} refreshToken The refresh token issued by the login
+ * @param {String} authUrl The URL of the login endpoint
+ * @returns {Promise<(Boolean|TokenObject)>} Promise, the tokens of the renewed session if the refresh token was accepted, otherwise false
+ */
+function refreshSession(refreshToken, authUrl) {
+    return new Promise((resolve) => {
+        request.post(getTokenUrl(authUrl), {
+            body: JSON.stringify({
+                client_id: wdcAuth0ClientID,
+                grant_type: 'refresh_token',
+                refresh_token: refreshToken,
+            }),
+            headers: {
+                'content-type': 'application/json',
+            }
+        }, (error, response, body) => {
             if (error) {
-                log.fatal('Error occurred while authenticating to server');
+                log.fatal('Error occurred while renewing the session');
                 log.error(error);
                 resolve(false);
                 return;
             }
-            tokens.auth = 'Bearer ' + JSON.parse(body).id_token; // Save the Bearer authorization token
-            resolve(true);
+            // auth0 rejects revoked and unknown refresh tokens with 401 or 403
+            try {
+                resolve(readSession(response, body, `POST ${new URL(getTokenUrl(authUrl)).pathname}`, refreshToken));
+            } catch (failure) {
+                log.debug(`Failed to renew the session: ${failure.message}`);
+                resolve(false);
+            }
         });
     });
 }
 
 /**
  * List files in a specific folder
+ * @param {String} host The host of the wdc device
  * @param {String} authToken The authentication token
  * @param {String} subPath The folder to list the entries of
- * @returns {Promise<InternalResult>} The result of the file listing
+ * @param {Boolean} detailed True to request the detailed fields of the entries, otherwise false
+ * @param {String} pageToken The token of the page to list, empty for the first page
+ * @returns {Promise<InternalResult>} The result of the file listing, the result is a ListPage
  */
-function ls(authToken, subPath) {
+function ls(host, authToken, subPath, detailed, pageToken) {
     return new Promise((resolve) => {
-        const listFilesUrl = `https://${wdHost}.remotewd.com/sdk/v2/filesSearch/parents?ids=${subPath}&fields=id,mimeType,name&pretty=false&orderBy=name&order=asc`;
+        const fields = detailed ? detailedFields : 'id,mimeType,name';
+        let listFilesUrl = `${getDeviceUrl(host)}/sdk/v2/filesSearch/parents?ids=${subPath}&fields=${fields}&pretty=false&orderBy=name&order=asc&limit=${listPageSize}`;
+        if (pageToken) listFilesUrl += `&pageToken=${encodeURIComponent(pageToken)}`; // Continue where the previous page ended
         request.get(listFilesUrl, { headers: { 'authorization': authToken } }, (error, response, body) => {
-            if (response.statusCode === 401) {
-                resolve({ success: false, error: undefined, session: false });
-                return;
-            }
-            if (error) {
-                log.fatal('Something went wrong');
-                log.debug('Status code: ' + response.statusCode);
-                log.error(error);
-                resolve({ success: false, error: error, session: true });
+            const failure = checkResponse(error, response, 'GET /sdk/v2/filesSearch/parents', subPath);
+            if (failure) {
+                resolve(failure);
                 return;
             }
             const obj = JSON.parse(body);
+            const nextPageToken = obj.pageToken || '';
             if (obj.files === undefined) {
-                resolve({ success: true, error: undefined, session: true, result: [] });
+                resolve({ success: true, error: undefined, session: true, result: { entries: [], pageToken: '' } });
                 return;
             }
-            const parsedResult = JSON.parse(body).files.map(item => {
-                return {
-                    name: item.name,
-                    id: item.id,
-                    isDir: item.mimeType == 'application/x.wd.dir',
-                };
-            });
-            resolve({ success: true, error: undefined, session: true, result: parsedResult });
+            const parsedResult = obj.files.map(item => parseEntry(item, detailed));
+            resolve({ success: true, error: undefined, session: true, result: { entries: parsedResult, pageToken: nextPageToken } });
         });
     });
 }
 
 /**
  * Create a new directory in the specified directory
+ * @param {String} host The host of the wdc device
  * @param {String} authToken The authentication token
  * @param {String} subPath The folder to create the new folder in
  * @param {String} folderName The name of the new folder
+ * @param {Date} [mTime] The modification time of the new folder, the device uses the current time if not given
  * @returns {Promise<InternalResult>} The result of the create directoy action
  */
-function mkdir(authToken, subPath, folderName) {
+function mkdir(host, authToken, subPath, folderName, mTime) {
     return new Promise((resolve) => {
-        const mkdirUrl = `https://${wdHost}.remotewd.com/sdk/v2/files?resolveNameConflict=true`;
+        const mkdirUrl = `${getDeviceUrl(host)}/sdk/v2/files?resolveNameConflict=true`;
         request.post(mkdirUrl, {
             headers: { 'authorization': authToken }, multipart: [
                 {
@@ -335,19 +924,14 @@ function mkdir(authToken, subPath, folderName) {
                         'name': folderName,
                         'parentID': subPath,
                         'mimeType': 'application/x.wd.dir',
+                        'mTime': mTime === undefined ? undefined : getFormattedTime(mTime),
                     })
                 }
             ]
         }, (error, response) => {
-            if (response.statusCode === 401) {
-                resolve({ success: false, error: undefined, session: false });
-                return;
-            }
-            if (error) {
-                log.fatal('Something went wrong');
-                log.debug('Status code: ' + response.statusCode);
-                log.error(error);
-                resolve({ success: false, error: error, session: true });
+            const failure = checkResponse(error, response, 'POST /sdk/v2/files', subPath);
+            if (failure) {
+                resolve(failure);
                 return;
             }
 
@@ -359,36 +943,71 @@ function mkdir(authToken, subPath, folderName) {
 
 /**
  * Remove an entry from the wdc
+ * @param {String} host The host of the wdc device
  * @param {String} authToken The authenticaiton token
  * @param {String} entryID The ID of the entry to remove
  * @returns {Promise<InternalResult>} The result of the delete action
  */
-function rm(authToken, entryID) {
+function rm(host, authToken, entryID) {
     return new Promise(async (resolve) => {
-        // Request body copied from a folder delete request
-        const postBody = `Content-Id: 0\r\n\r\nDELETE /sdk/v2/files/${entryID} HTTP/1.1\r\nHost: ${wdHost}.remotewd.com\r\nAuthorization: ${authToken}\r\n\r\n`;
-        // Send multipart/mixed to the server (since request module doesn't support the /mixed multipart MIME)
-        const result = await multipartMixed(postBody, authToken);
-        if (!result.success) resolve(result);
-        else resolve({ success: result.status == 200, error: undefined, session: true, result: true });
+        // The wdc web app deletes entries through the batch endpoint as well
+        const result = await batch(host, authToken, [{ method: 'DELETE', path: `/sdk/v2/files/${entryID}`, entryID }]);
+        if (!result.success) {
+            resolve(result);
+            return;
+        }
+        const response = result.result[0];
+        resolve(response.error ? { success: false, error: response.error, session: true } : { success: true, error: undefined, session: true, result: true });
+    });
+}
+
+/**
+ * Change the properties (name, parent) of an entry on the wdc
+ * @param {String} host The host of the wdc device
+ * @param {String} authToken The authentication token
+ * @param {String} entryID The ID of the entry to change
+ * @param {EntryChanges} changes The properties to change
+ * @returns {Promise<InternalResult>} The result of the change action
+ */
+function patchEntry(host, authToken, entryID, changes) {
+    return new Promise((resolve) => {
+        const patchUrl = `${getDeviceUrl(host)}/sdk/v2/files/${entryID}`;
+        request.patch(patchUrl, {
+            body: JSON.stringify(changes),
+            headers: {
+                'authorization': authToken,
+                'content-type': 'application/json',
+            }
+        }, (error, response) => {
+            const failure = checkResponse(error, response, `PATCH /sdk/v2/files/${entryID}`, entryID);
+            if (failure) {
+                resolve(failure);
+                return;
+            }
+            resolve({ success: true, error: undefined, session: true, result: true });
+        });
     });
 }
 
 /**
  * Upload a file to the wdc
+ * @param {String} host The host of the wdc device
  * @param {String} authToken The authentication token
  * @param {String} subPath The folder ID to upload the file to
- * @param {String} pathToFile Path to the file on the local system
+ * @param {String} fileName The name of the file on the wdc
+ * @param {(Iterable<ContentChunk>|AsyncIterable<ContentChunk>)} chunks The content of the file
  * @param {InternalTransferProgress} reportCompleted Function to call with current offset
- * @param {InternalTransferDone} reportDone Function to call when the upload is done
+ * @param {InternalTransferDone} reportDone Function to call when the upload is done, the result is the ID of the new file
+ * @param {UploadHooks} [hooks] Functions to call when the state of the upload changes
+ * @param {Date} [mTime] The modification time of the new file, defaults to now
  */
-function upl(authToken, subPath, pathToFile, reportCompleted, reportDone) {
+function upl(host, authToken, subPath, fileName, chunks, reportCompleted, reportDone, hooks = {}, mTime = new Date()) {
     /**
      * Start a new file upload 
      * @param {string} activityID The activity ID returned by the upload init request
      */
     const startUpload = (activityID) => {
-        const initUploadUrl = `https://${wdHost}.remotewd.com/sdk/v2/files/resumable?resolveNameConflict=1&done=false`;
+        const initUploadUrl = `${getDeviceUrl(host)}/sdk/v2/files/resumable?resolveNameConflict=1&done=false`;
         request.post(initUploadUrl, {
             headers: {
                 'authorization': authToken,
@@ -397,27 +1016,29 @@ function upl(authToken, subPath, pathToFile, reportCompleted, reportDone) {
             multipart: [
                 {
                     body: JSON.stringify({ // Request copied from a file upload request to the initUploadUrl endpoint
-                        name: path.basename(pathToFile),
+                        name: fileName,
                         parentID: subPath,
-                        mTime: getFormattedTime(),
+                        mTime: getFormattedTime(mTime),
                     })
                 },
                 { body: '' }
             ]
         }, (error, response) => {
-            if (response.statusCode === 401) {
-                reportDone({ success: false, error: undefined, session: false });
+            const failure = checkResponse(error, response, 'POST /sdk/v2/files/resumable', subPath);
+            if (failure) {
+                reportDone(failure);
                 return;
             }
-            if (error) {
-                log.fatal('Something went wrong');
-                log.debug('Status code: ' + response.statusCode);
-                log.error(error);
+            const fileUrl = `${getDeviceUrl(host)}${response.headers['location']}/resumable/content`;
+            const entryID = response.headers['location'].split('/').pop(); // ID of the new file gets sent in the location header
+            const data = { authorization: authToken, xActivityTag: activityID, url: fileUrl, entryID };
+            try {
+                if (hooks.started) hooks.started(data);
+            } catch (error) { // Keeping the state of the upload failed
                 reportDone({ success: false, error: error, session: true });
                 return;
             }
-            const fileUrl = `https://${wdHost}.remotewd.com${response.headers['location']}/resumable/content`;
-            uploadManual({ authorization: authToken, xActivityTag: activityID, url: fileUrl }, reportCompleted, reportDone, pathToFile); // Upload the file to the server
+            uploadManual(data, reportCompleted, reportDone, chunks, hooks); // Upload the file to the server
         });
     };
 
@@ -425,16 +1046,10 @@ function upl(authToken, subPath, pathToFile, reportCompleted, reportDone) {
      * Start activity and get its ID
      */
     const startActivity = () => {
-        request.post(`https://${wdHost}.remotewd.com/sdk/v1/activityStart`, { headers: { 'authorization': authToken } }, (error, response, body) => {
-            if (response.statusCode === 401) {
-                reportDone({ success: false, error: undefined, session: false });
-                return;
-            }
-            if (error) {
-                log.fatal('Something went wrong');
-                log.debug('Status code: ' + response.statusCode);
-                log.error(error);
-                reportDone({ success: false, error: error, session: true });
+        request.post(`${getDeviceUrl(host)}/sdk/v1/activityStart`, { headers: { 'authorization': authToken } }, (error, response, body) => {
+            const failure = checkResponse(error, response, 'POST /sdk/v1/activityStart', undefined);
+            if (failure) {
+                reportDone(failure);
                 return;
             }
             const activityTag = JSON.parse(body).tag;
@@ -450,25 +1065,40 @@ function upl(authToken, subPath, pathToFile, reportCompleted, reportDone) {
  * @param {Object} data Object with requested header and url data for uploading
  * @param {InternalTransferProgress} progressCallback Function to call with the current offset
  * @param {InternalTransferDone} doneCallback Function to call when the upload is done
- * @param {String} filePath The path of the file on the local system
+ * @param {(Iterable<ContentChunk>|AsyncIterable<ContentChunk>)} chunks The content of the file
+ * @param {UploadHooks} [hooks] Functions to call when the state of the upload changes
+ */
+async function uploadManual(data, progressCallback, doneCallback, chunks, hooks = {}) {
+    try {
+        await uploadChunks(data, progressCallback, doneCallback, chunks, hooks);
+    } catch (error) { // Reading the content or a hook failed
+        log.fatal('Something went wrong');
+        log.error(error);
+        doneCallback({ success: false, error: error, session: true });
+    }
+}
+
+/**
+ * Send the chunks of a file to the resumable upload endpoint
+ * @param {Object} data Object with requested header and url data for uploading
+ * @param {InternalTransferProgress} progressCallback Function to call with the current offset
+ * @param {InternalTransferDone} doneCallback Function to call when the upload is done
+ * @param {(Iterable<ContentChunk>|AsyncIterable<ContentChunk>)} chunks The content of the file
+ * @param {UploadHooks} hooks Functions to call when the state of the upload changes
  */
-async function uploadManual(data, progressCallback, doneCallback, filePath) {
-    for (const { buffer, bytesRead, currentOffset, isDone } of getFileContent(filePath)) {
+async function uploadChunks(data, progressCallback, doneCallback, chunks, hooks) {
+    for await (const { buffer, bytesRead, currentOffset, isDone } of chunks) {
         const currentUrl = `${data.url}?offset=${currentOffset}&done=${isDone}`; // Construct endpoint url
         progressCallback(currentOffset); // Update upload progress
         // Convert request callback to awaitable promise
         const uploadBytes = () => {
             return new Promise((resolve) => {
-                request.put(currentUrl, { headers: { 'authorization': data.authorization, 'x-activity-tag': data.xActivityTag }, body: buffer.slice(0, bytesRead) }, (error, response) => {
-                    if (response.statusCode === 401) {
-                        resolve({ success: false, error: undefined, session: false });
-                        return;
-                    }
-                    if (error) {
-                        log.fatal('Something went wrong');
-                        log.debug('Status code: ' + response.statusCode);
-                        log.error(error);
-                        reportDone({ success: false, error: error, session: true });
+                // The request module rejects empty buffers as bodies, the last chunk of an empty file is sent without one
+                const body = bytesRead > 0 ? buffer.slice(0, bytesRead) : '';
+                request.put(currentUrl, { headers: { 'authorization': data.authorization, 'x-activity-tag': data.xActivityTag }, body }, (error, response) => {
+                    const failure = checkResponse(error, response, `PUT ${new URL(data.url).pathname}`, data.entryID);
+                    if (failure) {
+                        resolve(failure);
                         return;
                     }
                     resolve({ success: true, error: undefined, session: true });
@@ -480,384 +1110,1936 @@ async function uploadManual(data, progressCallback, doneCallback, filePath) {
             doneCallback(uploadResult);
             break;
         }
-        if (isDone) doneCallback({ success: true, error: undefined, session: true, result: true }); // Upload is done
+        if (hooks.acknowledged) hooks.acknowledged(currentOffset + bytesRead, buffer.slice(0, bytesRead));
+        if (isDone) doneCallback({ success: true, error: undefined, session: true, result: data.entryID }); // Upload is done
     }
 }
 
 /**
- * Get the size of a file on the wdc
+ * Get the size and the modification time of a file on the wdc
+ * @param {String} host The host of the wdc device
  * @param {String} authToken The authentication token
  * @param {String} fileID The ID of the file to get the size of
- * @returns {Promise<InternalResult>} The result of getting the file size of a remote file
+ * @returns {Promise<InternalResult>} The result of getting the file info, the result has the size and the mTime (Date, undefined if the device doesn't report it)
  */
-function getFileSize(authToken, fileID) {
+function getFileInfo(host, authToken, fileID) {
     return new Promise((resolve) => {
-        const dataUrl = `https://${wdHost}.remotewd.com/sdk/v2/files/${fileID}?pretty=false&fields=size`; // Endpoint to get the size of the file
+        const dataUrl = `${getDeviceUrl(host)}/sdk/v2/files/${fileID}?pretty=false&fields=size,mTime`; // Endpoint to get the size of the file
         request.get(dataUrl, { headers: { 'authorization': authToken } }, (error, response, body) => {
-            if (response.statusCode === 401) {
-                resolve({ sucess: false, error: undefined, session: false });
-                return;
-            }
-            if (error) {
-                log.fatal('Something went wrong');
-                log.debug('Status code: ' + response.statusCode);
-                log.error(error);
-                resolve({ success: false, error: error, session: true });
+            const failure = checkResponse(error, response, `GET /sdk/v2/files/${fileID}`, fileID);
+            if (failure) {
+                resolve(failure);
                 return;
             }
-            resolve({ success: true, error: undefined, session: true, result: JSON.parse(body).size }); // Get the size of the file from the response
+            const data = JSON.parse(body);
+            resolve({ success: true, error: undefined, session: true, result: { size: data.size, mTime: data.mTime ? new Date(data.mTime) : undefined } });
         });
     });
 }
 
 /**
  * Download a file to the local file system
+ * The content is written to a partial file next to the local path, which is renamed to the local path once every byte arrived
+ * @param {String} host The host of the wdc device
  * @param {String} authToken The authentication token
  * @param {String} fileID The ID of the file
  * @param {String} localPath The path of the local file to download to
  * @param {InternalTransferProgress} progressCallback Function to call with offset and total size
+ * @param {Boolean} resume True to continue from the existing partial file, otherwise false
+ * @param {Boolean} preserveTimestamps True to give the local file the modification time of the remote file, otherwise false
+ * @returns {Promise<InternalResult>} The result of the download, failures of the local file system included
  */
-function dwl(authToken, fileID, localPath, progressCallback) {
-    return new Promise(async (resolve) => {
-        const downloadUrl = `https://${wdHost}.remotewd.com/sdk/v2/files/${fileID}/content?download=true&access_token=${authToken.substring(7)}`;
-        let totalSize = 0;
-        const sizeData = await getFileSize(authToken, fileID);
-        if (!sizeData.success) {
-            resolve(sizeData);
-            return;
-        };
-        totalSize = sizeData.result;
-        const req = request.get(downloadUrl);
-        let currentOffset = 0;
-
-        req.on('response', (response) => {
-            if (response.statusCode === 401) {
-                resolve({ sucess: false, error: undefined, session: false });
-            }
-        });
-
-        req.on('error', (error) => {
-            log.fatal('Something went wrong');
-            log.debug('Status code: ' + response.statusCode);
+async function dwl(host, authToken, fileID, localPath, progressCallback, resume, preserveTimestamps) {
+    const partPath = localPath + '.part';
+    const fileInfo = await getFileInfo(host, authToken, fileID);
+    if (!fileInfo.success) return fileInfo;
+    const totalSize = fileInfo.result.size;
+    /**
+     * Get the size of a local file
+     * @param {String} filePath The path of the file
+     * @returns {Promise<number>} The size of the file, undefined if it doesn't exist
+     */
+    const getSize = (filePath) => fs.promises.stat(filePath).then(stats => stats.size, () => undefined);
+    // The device only keeps the modification time, the access time gets the same value
+    const setTimes = async () => {
+        if (preserveTimestamps && fileInfo.result.mTime !== undefined) await fs.promises.utimes(localPath, fileInfo.result.mTime, fileInfo.result.mTime);
+    };
+    /**
+     * Move the partial file to its final place if it's complete
+     * @returns {Promise<InternalResult>} The result of the download
+     */
+    const finishDownload = async () => {
+        const writtenSize = (await fs.promises.stat(partPath)).size;
+        if (writtenSize !== totalSize) {
+            const error = new errors.NetworkError(`Downloaded ${writtenSize} bytes instead of ${totalSize}`, { endpoint: `GET /sdk/v2/files/${fileID}/content`, entryID: fileID });
             log.error(error);
-            resolve({ success: false, error: error, session: true });
-        });
+            return { success: false, error: error, session: true };
+        }
+        await fs.promises.rename(partPath, localPath);
+        await setTimes();
+        progressCallback({ offset: totalSize, total: totalSize });
+        return { success: true, error: undefined, session: true, result: true };
+    };
+
+    try {
+        const partSize = resume ? await getSize(partPath) : undefined;
+        if (resume && partSize === undefined && await getSize(localPath) === totalSize) {
+            // Finished by a previous download
+            await setTimes();
+            progressCallback({ offset: totalSize, total: totalSize });
+            return { success: true, error: undefined, session: true, result: true };
+        }
+        let currentOffset = partSize || 0;
+        if (currentOffset > totalSize) currentOffset = 0; // The remote file changed, the partial file is useless
+        if (currentOffset > 0 && currentOffset === totalSize) return await finishDownload(); // Every byte arrived, but the file wasn't renamed
+        if (currentOffset > 0) log.debug(`Resuming the download of ${localPath} from offset ${currentOffset}`);
+        const content = await openContentStream(host, authToken, fileID, currentOffset > 0 ? { start: currentOffset } : {});
+        if (!content.success) return content;
 
-        req.on('data', (chunk) => {
-            fs.appendFileSync(localPath, chunk);
+        content.result.on('data', (chunk) => {
             progressCallback({ offset: currentOffset, total: totalSize });
             currentOffset += chunk.length;
         });
-
-        req.on('end', () => resolve({ success: true, error: undefined, session: true, result: true }));
-    });
+        // Append to the partial file when resuming, start with an empty one otherwise
+        const partFile = fs.createWriteStream(partPath, { flags: currentOffset > 0 ? 'a' : 'w' });
+        await stream.promises.pipeline(content.result, partFile);
+        return await finishDownload();
+    } catch (error) {
+        log.fatal('Something went wrong');
+        log.error(error);
+        // Failures of the local file are reported as they are, the content stream already fails with a typed error
+        return { success: false, error: error, session: true };
+    }
 }
 
-// #endregion
-
-// #region Abstracted functions
 
 /**
- * Retryable function for listing files
- * @returns {Promise<AbstractedResult>} The result of the abstracted function
+ * Get the metadata of an entry on the wdc
+ * @param {String} host The host of the wdc device
+ * @param {String} authToken The authentication token
+ * @param {String} entryID The ID of the entry
+ * @returns {Promise<InternalResult>} The result of the metadata request, the result is a detailed RemoteEntry
  */
-async function _listFiles() {
-    const currentPath = pathStack.length > 0 ? pathStack[pathStack.length - 1] : 'root';
-    // List files
-    const result = await ls(tokens.auth, currentPath);
-
-    if (result.success) {
-        return { success: true, data: result.result };
-    } else {
-        if (result.error) {
-            return { success: false };
-        } else {
-            // Session timed out, login and run the function again
-            const self = await authRetry(_listFiles, []);
-            const result = await self;
-            return result;
-        }
-    }
+function getEntry(host, authToken, entryID) {
+    return new Promise((resolve) => {
+        const dataUrl = `${getDeviceUrl(host)}/sdk/v2/files/${entryID}?pretty=false&fields=${detailedFields}`;
+        request.get(dataUrl, { headers: { 'authorization': authToken } }, (error, response, body) => {
+            const failure = checkResponse(error, response, `GET /sdk/v2/files/${entryID}`, entryID);
+            if (failure) {
+                resolve(failure);
+                return;
+            }
+            resolve({ success: true, error: undefined, session: true, result: parseEntry(JSON.parse(body), true) });
+        });
+    });
 }
 
 /**
- * Retryable function for creating new directories
- * @param {String} dirName The name of the directory to create
- * @returns {Promise<AbstractedResult>} The result of the abstracted function
+ * List the devices of the account the token belongs to
+ * @param {String} devicesUrl The URL of the device list of the accounts
+ * @param {String} authToken The authentication token
+ * @returns {Promise<InternalResult>} The result of the device request, the result is an array of DeviceInfo
  */
-function _createDirectory(dirName) {
-    return new Promise(async (resolve) => {
-        // Get the current path
-        const currentPath = pathStack.length > 0 ? pathStack[pathStack.length - 1] : 'root';
-
-        // Create the directory
-        const result = await mkdir(tokens.auth, currentPath, dirName);
-        if (result.success) {
-            resolve({ success: true, data: result.result });
-        } else {
-            if (result.error) {
-                resolve({ success: false });
-            } else {
-                // Session timed out, login and run the function again
-                const self = await authRetry(_createDirectory, [dirName]);
-                const result = await self;
-                resolve(result);
-            }
+function listDevices(devicesUrl, authToken) {
+    return new Promise((resolve) => {
+        const userID = decodeToken(authToken).sub;
+        if (userID === undefined) {
+            resolve({ success: false, error: new errors.AuthenticationError('The authentication token doesn\'t name its user'), session: true });
+            return;
         }
+        request.get(`${devicesUrl}/${encodeURIComponent(userID)}`, { headers: { 'authorization': authToken } }, (error, response, body) => {
+            const failure = checkResponse(error, response, 'GET /device/v1/user', undefined);
+            if (failure) {
+                resolve(failure);
+                return;
+            }
+            resolve({ success: true, error: undefined, session: true, result: (JSON.parse(body).data || []).map(parseDevice) });
+        });
     });
 }
 
 /**
- * Retryable function for removing entries
- * @param {String} fileID The ID of the entry to remove
- * @returns {Promise<AbstractedResult>} The result of the abstracted function
+ * Copy an entry on the wdc itself, without transferring the content
+ * @param {String} host The host of the wdc device
+ * @param {String} authToken The authentication token
+ * @param {String} entryID The ID of the entry to copy
+ * @param {String} destParentID The ID of the folder to copy the entry to
+ * @param {String} newName The name of the copy
+ * @returns {Promise<InternalResult>} The result of the copy, the result is a ServerCopyResult
  */
-async function _removeFile(fileID) {
-    // Remove the file/folder
-    const result = await rm(tokens.auth, fileID);
-    if (result.success) {
-        return { success: true, data: result.result };
-    } else {
-        if (result.error) {
-            return { success: false };
-        } else {
-            // Session timed out, login and run the function again
-            const self = await authRetry(_removeFile, [fileID]);
-            const result = await self;
-            return result;
-        }
-    }
+function serverCopy(host, authToken, entryID, destParentID, newName) {
+    return new Promise((resolve) => {
+        const copyUrl = `${getDeviceUrl(host)}/sdk/v2/files/${entryID}/copy`;
+        request.post(copyUrl, {
+            body: JSON.stringify({ parentID: destParentID, name: newName }),
+            headers: {
+                'authorization': authToken,
+                'content-type': 'application/json',
+            }
+        }, (error, response) => {
+            if (!error && [405, 501].includes(response.statusCode)) { // The device doesn't copy entries
+                resolve({ success: true, error: undefined, session: true, result: { id: undefined, supported: false } });
+                return;
+            }
+            if (!error && response.statusCode === 404) { // Either the endpoint or one of the entries doesn't exist
+                resolve({ success: true, error: undefined, session: true, result: { id: undefined, supported: undefined } });
+                return;
+            }
+            const endpoint = `POST /sdk/v2/files/${entryID}/copy`;
+            const failure = checkResponse(error, response, endpoint, entryID);
+            if (failure) {
+                resolve(failure);
+                return;
+            }
+            if (!response.headers['location']) {
+                resolve({ success: false, error: new errors.ServerError(`The response of ${endpoint} doesn't contain the location of the copy`, { status: response.statusCode, endpoint, entryID }), session: true });
+                return;
+            }
+            const locationParts = response.headers['location'].split('/'); // ID of the copy gets sent in the location header
+            resolve({ success: true, error: undefined, session: true, result: { id: locationParts[locationParts.length - 1], supported: true } });
+        });
+    });
 }
 
 /**
- * Retryable function for uploading a file
- * @param {String} filePath The path of the file on the local system
- * @param {InternalTransferProgress} progressCallback The function to be called with the progress of the upload
- * @returns {Promise<AbstractedResult>} The result of the abstracted function
+ * Get the checksum the device reports for a file
+ * Every metadata field is requested, because not every device has checksum fields
+ * @param {String} host The host of the wdc device
+ * @param {String} authToken The authentication token
+ * @param {String} fileID The ID of the file
+ * @returns {Promise<InternalResult>} The result of the request, the result is a RemoteChecksum or undefined if the device doesn't report one
  */
-function _uploadFile(filePath, progressCallback) {
+function getChecksum(host, authToken, fileID) {
     return new Promise((resolve) => {
-        const currentPath = pathStack.length > 0 ? pathStack[pathStack.length - 1] : 'root';
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
-            resolve({ success: false });
-            return;
-        }
-        // Get the size of the file, required to calculate percentage of the progress
-        const totalSize = fs.statSync(filePath).size;
-        // Upload the file
-        upl(tokens.auth, currentPath, filePath, (bytesWritten) => {
-            if (totalSize == 0) {
-                progressCallback(100);
+        const dataUrl = `${getDeviceUrl(host)}/sdk/v2/files/${fileID}?pretty=false`;
+        request.get(dataUrl, { headers: { 'authorization': authToken } }, (error, response, body) => {
+            const failure = checkResponse(error, response, `GET /sdk/v2/files/${fileID}`, fileID);
+            if (failure) {
+                resolve(failure);
                 return;
             }
-            const percentage = bytesWritten * 100 / totalSize;
-            // Send the progress to the caller
-            progressCallback(percentage);
-        }, async (finalResult) => {
-            // Upload finished or error or session is invalid
-            if (finalResult.success) {
-                resolve({ success: true, data: finalResult.result });
-            } else {
-                if (finalResult.error) {
-                    resolve({ success: false });
-                } else {
-                    // Session timed out, login and run the function again
-                    const self = await authRetry(_uploadFile, [filePath, progressCallback]);
-                    const result = await self;
-                    resolve(result);
-                }
-            }
+            const metadata = JSON.parse(body);
+            const field = checksumFields.find(([fieldName]) => typeof metadata[fieldName] === 'string' && metadata[fieldName] !== '');
+            const result = field === undefined ? undefined : { algorithm: field[1], value: metadata[field[0]].toLowerCase() };
+            resolve({ success: true, error: undefined, session: true, result });
         });
     });
 }
 
 /**
- * Retryable function for downloading files from the wdc
- * @param {String} fileID The ID of the file to download
- * @param {String} localFilePath The path to save the remote file to on the local system
- * @param {InternalTransferProgress} progressCallback Function to call with the percentage progress
- * @returns {Promise<AbstractedResult>} The result of the abstracted function
+ * Open the content of a remote file as a readable stream
+ * @param {String} host The host of the wdc device
+ * @param {String} authToken The authentication token
+ * @param {String} fileID The ID of the file
+ * @param {ReadStreamOptions} [range] The range of bytes to read, the whole file if not given
+ * @returns {Promise<InternalResult>} The result of opening the content, the result is a readable stream
  */
-async function _downloadFile(fileID, localFilePath, progressCallback) {
-    const result = await dwl(tokens.auth, fileID, localFilePath, (data) => {
-        if (data.total == 0) progressCallback(100); // Can't divide by 0 if total size is 0
-        else {
-            progressCallback(data.offset * 100 / data.total);
-        }
+function openContentStream(host, authToken, fileID, range = {}) {
+    return new Promise((resolve) => {
+        const downloadUrl = `${getDeviceUrl(host)}/sdk/v2/files/${fileID}/content?download=true&access_token=${authToken.substring(7)}`;
+        const endpoint = `GET /sdk/v2/files/${fileID}/content`;
+        const hasRange = range.start !== undefined || range.end !== undefined;
+        const content = new stream.PassThrough();
+        let handedOut = false;
+        const headers = {};
+        if (hasRange) headers['range'] = `bytes=${range.start || 0}-${range.end === undefined ? '' : range.end}`;
+        const req = request.get(downloadUrl, { headers });
+
+        req.on('response', (response) => {
+            const failure = checkResponse(undefined, response, endpoint, fileID);
+            if (failure) {
+                req.abort();
+                resolve(failure);
+                return;
+            }
+            if (hasRange && response.statusCode === 200) { // The whole content is sent, cut the range out locally
+                const rangeFilter = createRangeFilter(range.start || 0, range.end);
+                rangeFilter.on('error', error => content.destroy(error));
+                req.pipe(rangeFilter).pipe(content);
+            } else req.pipe(content);
+            handedOut = true;
+            resolve({ success: true, error: undefined, session: true, result: content });
+        });
+
+        req.on('error', (error) => {
+            log.fatal('Something went wrong');
+            log.error(error);
+            // Before the response the request fails as a whole, after it the reader of the stream gets the error
+            if (handedOut) content.destroy(errors.networkError(error, endpoint, fileID));
+            else resolve({ success: false, error: errors.networkError(error, endpoint, fileID), session: true });
+        });
     });
-    if (result.success) {
-        return { success: true, data: result.result };
-    } else {
-        if (result.error) {
-            return { success: false };
-        } else {
-            // Session timed out, login and run the function again
-            const self = await authRetry(_downloadFile, [fileID, localFilePath, progressCallback]);
-            const result = await self;
-            return result;
-        }
-    }
 }
 
 // #endregion
 
-// #region External functions
-
-/**
- * Enter to a directory on the server, equivalent to 'cd' command with relative path
- * @param {String} folderID The ID of the folder to enter to
- */
-function enterDirectory(folderID) {
-    if (folderID === undefined) return;
-    pathStack.push(folderID);
-}
+// #region Client
 
 /**
- * Enters the previous directory (if there's one)
+ * Client for a single wdc device, owning its own session and working directory
  */
-function enterParentDirectory() {
-    if (pathStack.length > 0) pathStack.splice(pathStack.length - 1, 1);
-    else return false;
-    return true;
-}
+class WdClient {
+    /**
+     * Create a new client
+     * @param {WdClientOptions} [options] The options of the client
+     */
+    constructor(options = {}) {
+        /**
+         * History of visited folders
+         * @type {Array<string>}
+         */
+        this.pathStack = [];
+        /**
+         * Store session id and local storage data
+         * @type {TokenObject}
+         */
+        this.tokens = { auth: undefined, refresh: options.refreshToken, expiresAt: undefined };
+        /**
+         * Store username and password for auto re-login in case of a session timeout
+         * The password is only kept if it was passed in the options or the login didn't issue a refresh token
+         * @type {CredentialsObject}
+         */
+        this.creds = Object.assign({}, options.credentials);
+        /**
+         * The running renewal of the session, shared by the requests that need a new token at the same time
+         * @type {(undefined|Promise<Boolean>)}
+         */
+        this.renewal = undefined;
+        /**
+         * Called with the tokens whenever the session changes
+         * @type {(undefined|Function)}
+         */
+        this.sessionCallback = options.sessionCallback;
+        /**
+         * Host to send the requests to
+         * @type {string}
+         */
+        this.wdHost = options.host || '';
+        /**
+         * URL of the login endpoint
+         * @type {string}
+         */
+        this.authUrl = options.authUrl || defaultAuthUrl;
+        /**
+         * URL of the device list of the accounts
+         * @type {string}
+         */
+        this.devicesUrl = options.devicesUrl || defaultDevicesUrl;
+        /**
+         * Folder to store the journals of unfinished uploads in
+         * @type {string}
+         */
+        this.journalDir = options.journalDir || journal.defaultJournalDir;
+        /**
+         * Whether the device can copy entries by itself, undefined until the first copy
+         * @type {(undefined|Boolean)}
+         */
+        this.serverCopySupported = undefined;
+        /**
+         * Changes to the default retry policy applied to every action
+         * @type {Object}
+         */
+        this.retryPolicy = Object.assign({}, options.retryPolicy);
+        /**
+         * Changes to the retry policy of single actions, keyed by the action name
+         * @type {Object<string, Object>}
+         */
+        this.retryPolicies = Object.assign({}, options.retryPolicies);
+        /**
+         * Maximum number of sub-requests sent in one batch
+         * @type {number}
+         */
+        this.batchLimit = options.batchLimit || defaultBatchLimit;
+    }
 
-/**
- * Get the current folder ID of the pathStack
- * @returns {(undefined|string)} The current working directory on the remote system, undefined if there were no changes at all
- */
-function getCurrentFolder() {
-    if (pathStack.length > 0) return pathStack[pathStack.length - 1];
-    else return undefined;
-}
+    // #region Util functions
 
-/**
- * Remove the last x entries of the pathStack
- * @param {number} removeCount Number of entries to remove from the pathStack
- */
-function removePathStackEntries(removeCount) {
-    for (let i = 0; i < removeCount; i++) {
-        if (!enterParentDirectory()) break;
+    /**
+     * Execute an abstracted method with the retry policy of the action
+     * @param {string} actionName The friendly display name of the action, also the key of its policy overrides
+     * @param {Function} abstractedMethod The abstracted method of this client to call
+     * @param {Array} afArgs An array of arguments to pass to the abstracted method
+     * @returns {Promise<any>} The data of the abstracted method, rejects with the error of the last attempt if it failed
+     */
+    async _retry(actionName, abstractedMethod, afArgs) {
+        const policy = retry.createRetryPolicy(this.retryPolicy, this.retryPolicies[actionName]);
+        return await retry.retryAbstracted(policy, actionName, abstractedMethod.bind(this), afArgs);
     }
-}
 
-/**
- * Login the to my cloud website
- * @param {String} username The username
- * @param {String} password The password
- * @returns {Promise<Boolean>} The result of the authentication
- */
-function authenticate(username, password) {
-    creds.user = username;
-    creds.pass = password;
-    return new Promise(async (resolve) => {
-        const loginResult = await login(username, password);
-        resolve(loginResult);
-    });
-}
+    /**
+     * Get the ID of the current working directory, falling back to the root folder
+     * @returns {string} The ID of the folder the relative actions are executed in
+     */
+    _getWorkingFolder() {
+        return this.pathStack.length > 0 ? this.pathStack[this.pathStack.length - 1] : 'root';
+    }
 
-/**
- * List the files in the current folder
- * @returns {Array<RemoteEntry>} An array of the remote entries in the current directory
- */
-async function listFiles() {
-    try {
-        return await retryLimited(10, 'list files', _listFiles, []);
-    } catch (error) {
-        throw error;
+    /**
+     * Get the folders leading to the current working directory, starting after the root folder
+     * @returns {Array<ResolvedEntry>} The folders of the current working directory
+     */
+    _getPathChain() {
+        // Entering the root folder resets the path, ignore everything before it
+        const rootIndex = this.pathStack.lastIndexOf('root');
+        const folderIDs = this.pathStack.slice(rootIndex + 1);
+        return folderIDs.map((id, i) => ({ id, name: undefined, isDir: true, parentID: i > 0 ? folderIDs[i - 1] : rootEntry.id }));
     }
-}
 
-/**
- * Create a new directory in the current directory
- * @param {String} dirName The name of the new directory
- * @returns {string} The ID of the newly created directory
- */
-async function createDirectory(dirName) {
-    try {
-        return await retryLimited(10, 'create new directory', _createDirectory, [dirName]);
-    } catch (error) {
-        throw error;
+    /**
+     * Walk a remote path, listing every folder along the way
+     * @param {string} remotePath The absolute or relative path on the remote device
+     * @param {Boolean} createMissing True to create the missing folders along the path, otherwise false
+     * @returns {Promise<(undefined|Array<ResolvedEntry>)>} The entries along the path starting after the root folder, undefined if the path doesn't exist
+     */
+    async _walkPath(remotePath, createMissing) {
+        const chain = remotePath.startsWith('/') ? [] : this._getPathChain();
+        for (const part of splitRemotePath(remotePath)) {
+            if (part === '..') { // Parent directory, stays at the root if there's no parent
+                chain.pop();
+                continue;
+            }
+            const parent = chain.length > 0 ? chain[chain.length - 1] : rootEntry;
+            if (!parent.isDir) return undefined; // Files don't have children
+            const entries = await this.listFiles(parent.id);
+            // Prefer folders, so that paths can be walked even if a file has the same name
+            let entry = entries.find(item => item.name == part && item.isDir) || entries.find(item => item.name == part);
+            if (entry === undefined) {
+                if (!createMissing) return undefined;
+                entry = { id: await this.createDirectory(part, parent.id), name: part, isDir: true };
+            }
+            chain.push({ id: entry.id, name: entry.name, isDir: entry.isDir, parentID: parent.id });
+        }
+        return chain;
     }
-}
 
-/**
- * Deletes a file/folder in the current directory
- * @param {String} fileID The ID of the file/folder to remove
- * @returns {Boolean} True if the deletion succeeded, otherwise false
- */
-async function removeFile(fileID) {
-    try {
-        return await retryLimited(10, 'remove file', _removeFile, [fileID]);
-    } catch (error) {
-        throw error;
+    /**
+     * Resolve a remote path, throwing if it doesn't exist
+     * @param {string} remotePath The absolute or relative path on the remote device
+     * @returns {Promise<ResolvedEntry>} The entry at the given path
+     */
+    async _requireEntry(remotePath) {
+        const entry = await this.resolvePath(remotePath);
+        if (entry === undefined) throw pathNotFoundError(remotePath);
+        return entry;
     }
-}
 
-/**
- * Uploads a local file to the current folder on the cloud
- * @param {String} filePath The local path of the file to upload
- * @param {InternalTransferProgress} progressCallback A function to send the percentage to
- * @returns {Boolean} True if the upload succeeded, otherwise false
- */
-async function uploadFile(filePath, progressCallback) {
-    try {
-        return await retryLimited(10, 'upload file', _uploadFile, [filePath, progressCallback]);
-    } catch (error) {
-        throw error;
+    /**
+     * Get the detailed metadata of a resolved entry
+     * @param {ResolvedEntry} entry The entry to get the metadata of
+     * @returns {Promise<RemoteEntry>} The detailed remote entry
+     */
+    async _statEntry(entry) {
+        if (entry.id === rootEntry.id) { // The root folder isn't a real entry on the device
+            return { id: rootEntry.id, name: '/', isDir: true, size: 0, mTime: undefined, cTime: undefined, mimeType: 'application/x.wd.dir', parentID: undefined };
+        }
+        return await this._retry('get entry data', this._getEntry, [entry.id]);
     }
-}
 
-/**
- * Download a file from the wdc
- * @param {String} fileID The ID of the file to download
- * @param {String} localFilePath The path to save the remote file to on the local system
- * @param {InternalTransferProgress} progressCallback Function to call with the percentage progress
- * @returns {Boolean} True if the upload succeeded, otherwise false
- */
-async function downloadFile(fileID, localFilePath, progressCallback) {
-    try {
-        return await retryLimited(10, 'download file', _downloadFile, [fileID, localFilePath, progressCallback]);
-    } catch (error) {
-        throw error;
+    /**
+     * Decide what to do about an entry with the same name in the destination folder
+     * @param {string} parentID The ID of the destination folder
+     * @param {string} name The name of the new entry
+     * @param {(undefined|ConflictPolicy)} conflict The conflict policy, defaults to 'rename'
+     * @param {Object} source The new entry, isDir and for files the size and the mTime (Date, undefined if it isn't known)
+     * @param {Map<string, Promise>} [listings] The shared listings of the destination folders, the folder is listed for this call only if not given
+     * @returns {Promise<ConflictResolution>} What to do and the existing entry
+     */
+    async _resolveConflict(parentID, name, conflict = 'rename', source, listings) {
+        if (!conflictPolicies.includes(conflict)) throw new Error(`Unknown conflict policy: ${conflict}, use one of ${conflictPolicies.join(', ')}`);
+        if (conflict === 'rename') return { action: 'create', existing: undefined }; // The device picks a free name by itself
+        const existing = (await this._listConflicts(parentID, listings)).find(entry => entry.name === name);
+        if (existing === undefined) return { action: 'create', existing };
+        if (conflict === 'fail') throw new errors.ConflictError(`The following entry already exists: ${name}`, { entryID: existing.id });
+        if (source.isDir) { // Folders are merged instead of replaced, so that their content is kept
+            if (existing.isDir) return { action: 'skip', existing };
+            if (conflict === 'overwrite') return { action: 'replace', existing };
+            throw new errors.ConflictError(`The following entry already exists and isn't a folder: ${name}`, { entryID: existing.id });
+        }
+        if (conflict === 'skip' || (conflict === 'skip-if-identical' && isSameContent(source, existing))) return { action: 'skip', existing };
+        return { action: 'replace', existing };
     }
-}
 
-/**
- * Enable the logging of API level messages
- */
-function enableAPIMessages() {
-    log.enable();
-}
+    /**
+     * Get the detailed listing of a destination folder, the listing is shared through the listings of a transfer
+     * The entries of one transfer have different names, so the entries it adds don't change the conflicts of the others
+     * @param {string} parentID The ID of the destination folder
+     * @param {Map<string, Promise>} [listings] The shared listings by the IDs of the folders
+     * @returns {Promise<Array<RemoteEntry>>} The entries of the folder
+     */
+    async _listConflicts(parentID, listings) {
+        if (listings === undefined) return await this.listFiles(parentID, { details: true });
+        if (!listings.has(parentID)) {
+            // The promise is shared, so that concurrent uploads to the same folder list it once
+            const listing = this.listFiles(parentID, { details: true });
+            listings.set(parentID, listing);
+            listing.catch(() => listings.delete(parentID)); // The next upload tries again
+        }
+        return await listings.get(parentID);
+    }
 
-/**
- * Disable the logging of API level messages
- */
-function disableAPIMessages() {
-    log.disable();
-}
+    /**
+     * Finish a 'replace' conflict resolution, the new entry got a free name from the device and takes over the name of the existing entry
+     * The existing entry is moved aside and only removed once the new one has its name, so that a failed transfer or rename doesn't lose it
+     * If the new entry can't take the name, the existing entry gets its name back and the error carries the ID of the new entry in newEntryID
+     * @param {ConflictResolution} resolution The conflict resolution
+     * @param {string} newID The ID of the new entry
+     * @param {string} name The name the new entry should have
+     */
+    async _finishConflict(resolution, newID, name) {
+        if (resolution.action !== 'replace') return;
+        const asideName = `${name}.replaced-${crypto.randomBytes(4).toString('hex')}`;
+        try {
+            await this.renameEntry(resolution.existing.id, asideName);
+        } catch (error) {
+            error.newEntryID = newID;
+            throw error;
+        }
+        try {
+            await this.renameEntry(newID, name);
+        } catch (error) {
+            error.newEntryID = newID;
+            await this.renameEntry(resolution.existing.id, name).catch((restoreError) => {
+                log.error(`Failed to give ${asideName} its name ${name} back: ${restoreError.message}`);
+            });
+            throw error;
+        }
+        await this.removeFile(resolution.existing.id);
+    }
 
-/**
- * Set the host to send the requests to
- * @param {String} host The host to send the requests to
+    /**
+     * Resolve several remote paths and run a batch action on the entries found
+     * @param {Array<string>} remotePaths The paths of the entries
+     * @param {Function} check Called with every resolved entry, throws if the action can't be run on it
+     * @param {Function} batchMethod The batch method of this client to call with the IDs of the entries, eg. removeFiles
+     * @param {Array} extraArgs The arguments to pass to the batch method after the IDs
+     * @returns {Promise<Array<BatchResponse>>} The response of every path in the same order, paths that failed to resolve carry their error
+     */
+    async _batchPaths(remotePaths, check, batchMethod, extraArgs) {
+        const responses = [];
+        const entryIDs = [];
+        for (const remotePath of remotePaths) {
+            try {
+                const entry = await this._requireEntry(remotePath);
+                check(entry);
+                entryIDs.push(entry.id);
+                responses.push(undefined); // Filled in with the response of the batch
+            } catch (error) {
+                responses.push({ status: undefined, headers: {}, body: undefined, error });
+            }
+        }
+        const batchResponses = entryIDs.length > 0 ? await batchMethod.call(this, entryIDs, ...extraArgs) : [];
+        return responses.map(response => response || batchResponses.shift());
+    }
+
+    /**
+     * Re-authenticate the client and try the current action again
+     * @param {Function} func The function to call after re-authenticating
+     * @param {Array} args An array of arguments to pass to the function
+     * @returns {Promise} The result of the abstracted function
+     */
+    async _authRetry(func, args) {
+        log.warn('Re-authentication initiated');
+        // Calling the function again would fail the same way
+        if (!await this._renewSession()) return { success: false, error: new errors.AuthenticationError('The session expired and couldn\'t be renewed, authenticate again') };
+        return func.apply(this, args); // Re-call the parent function
+    }
+
+    /**
+     * Renew the session, using the refresh token if there is one and logging in with the cached credentials otherwise
+     * @returns {Promise<Boolean>} True if the client has a new session, otherwise false
+     */
+    _renewSession() {
+        if (this.renewal === undefined) {
+            this.renewal = (async () => {
+                if (this.tokens.refresh !== undefined) {
+                    const session = await refreshSession(this.tokens.refresh, this.authUrl);
+                    if (session) {
+                        this._setSession(session);
+                        return true;
+                    }
+                    log.warn('The refresh token was rejected');
+                    this.tokens.refresh = undefined;
+                }
+                if (this.creds.user === undefined || this.creds.pass === undefined) return false;
+                return await this.authenticate(this.creds.user, this.creds.pass); // Authenticate with cached credentials
+            })().finally(() => this.renewal = undefined);
+        }
+        return this.renewal;
+    }
+
+    /**
+     * Select the device of the account if it only has one, used after logging in without a configured host
+     */
+    async _discoverDevice() {
+        const result = await this._getDevices();
+        if (!result.success) log.warn('Failed to get the devices of the account, select one with selectDevice');
+        else if (result.data.length === 1) this._useDevice(result.data[0]);
+        else if (result.data.length > 1) log.warn(`The account has ${result.data.length} devices, select one with selectDevice`);
+    }
+
+    /**
+     * Send the requests to a device from now on
+     * @param {DeviceInfo} device The device to use
+     */
+    _useDevice(device) {
+        if (device.endpoint !== this.wdHost) {
+            // The entry IDs of the previous device don't exist on the new one
+            this.pathStack = [];
+            this.serverCopySupported = undefined;
+        }
+        this.wdHost = device.endpoint;
+        log.debug(`Using the device ${device.name} at ${device.endpoint}`);
+    }
+
+    /**
+     * Replace the tokens of the client and hand them to the session callback
+     * @param {TokenObject} tokens The tokens of the new session
+     */
+    _setSession(tokens) {
+        this.tokens = tokens;
+        if (this.sessionCallback) this.sessionCallback(Object.assign({}, tokens));
+    }
+
+    /**
+     * Get the authentication token for a request, renewing the session if the token is about to expire
+     * @returns {Promise<string>} The Bearer authorization token
+     */
+    async _getAuthToken() {
+        if (this.tokens.expiresAt !== undefined && Date.now() >= this.tokens.expiresAt - sessionRenewalMargin) {
+            log.debug('Session is about to expire, renewing it');
+            await this._renewSession(); // If this fails the request gets a 401 and goes through _authRetry
+        }
+        return this.tokens.auth;
+    }
+
+    /**
+     * Upload a file, keeping the ID of its journal on the error if the upload fails
+     * @param {String} journalID The ID of the journal of the upload
+     * @param {Array} uploadArgs The file path, progress callback, parent ID, timestamp flag and digest of the upload
+     * @returns {Promise<string>} The ID of the uploaded file
+     */
+    async _runJournaledUpload(journalID, uploadArgs) {
+        try {
+            return await this._retry('upload file', this._uploadFile, [...uploadArgs, journalID]);
+        } catch (error) {
+            // The upload can be resumed later if the remote created it
+            if (journal.readJournal(this.journalDir, journalID) !== undefined) error.journalID = journalID;
+            throw error;
+        }
+    }
+
+    /**
+     * Compare the bytes sent by an upload with the remote file
+     * The checksum reported by the device is used if it has the algorithm of the digest, otherwise the remote content is read and hashed
+     * @param {String} filePath The path of the uploaded local file
+     * @param {String} fileID The ID of the remote file
+     * @param {UploadDigest} digest The hash of the sent bytes
+     * @returns {Promise<VerifyResult>} The hash of the matching files, rejects with a ChecksumMismatchError if they differ
+     */
+    async _verifyUpload(filePath, fileID, digest) {
+        const reported = await this._retry('get checksum', this._getChecksum, [fileID]);
+        const fromMetadata = reported !== undefined && reported.algorithm === defaultHashAlgorithm;
+        const localHash = digest.hash.digest('hex');
+        const remoteHash = fromMetadata ? reported.value : await hashStream(this.createReadStream(fileID), defaultHashAlgorithm);
+        if (localHash !== remoteHash) throw new errors.ChecksumMismatchError(filePath, fileID, defaultHashAlgorithm, localHash, remoteHash);
+        return { algorithm: defaultHashAlgorithm, hash: localHash, source: fromMetadata ? 'metadata' : 'content' };
+    }
+
+    // #endregion
+
+    // #region Abstracted functions
+
+    /**
+     * Retryable function for listing a page of files
+     * @param {String} folderID The ID of the folder to list the entries of
+     * @param {Boolean} detailed True to request the detailed fields of the entries, otherwise false
+     * @param {String} pageToken The token of the page to list, empty for the first page
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _listPage(folderID, detailed, pageToken) {
+        // List files
+        const result = await ls(this.wdHost, await this._getAuthToken(), folderID, detailed, pageToken);
+
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._listPage, [folderID, detailed, pageToken]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for creating new directories
+     * @param {String} dirName The name of the directory to create
+     * @param {String} parentID The ID of the folder to create the directory in
+     * @param {(undefined|Date)} mTime The modification time of the directory, undefined for the current time
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _createDirectory(dirName, parentID, mTime) {
+        // Create the directory
+        const result = await mkdir(this.wdHost, await this._getAuthToken(), parentID, dirName, mTime);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._createDirectory, [dirName, parentID, mTime]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for removing entries
+     * @param {String} fileID The ID of the entry to remove
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _removeFile(fileID) {
+        // Remove the file/folder
+        const result = await rm(this.wdHost, await this._getAuthToken(), fileID);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._removeFile, [fileID]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for running several requests in one round trip
+     * @param {Array<BatchRequest>} batchRequests The sub-requests to send
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _batch(batchRequests) {
+        const result = await batch(this.wdHost, await this._getAuthToken(), batchRequests);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._batch, [batchRequests]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for changing the name or parent of entries
+     * @param {String} entryID The ID of the entry to change
+     * @param {EntryChanges} changes The properties to change
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _patchEntry(entryID, changes) {
+        const result = await patchEntry(this.wdHost, await this._getAuthToken(), entryID, changes);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._patchEntry, [entryID, changes]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for uploading a file
+     * The state of the upload is kept in a journal, so that the upload continues from the last acknowledged offset when it's called again
+     * The journal is saved once in a while and when the upload fails, uploads the device doesn't know anymore start again from the beginning
+     * @param {String} filePath The path of the file on the local system
+     * @param {InternalTransferProgress} progressCallback The function to be called with the progress of the upload
+     * @param {String} parentID The ID of the folder to upload the file to
+     * @param {Boolean} preserveTimestamps True to give the remote file the modification time of the local file, otherwise false
+     * @param {(undefined|UploadDigest)} digest The hash of the sent bytes to update, undefined if the upload isn't verified
+     * @param {String} journalID The ID of the journal of the upload
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _uploadFile(filePath, progressCallback, parentID, preserveTimestamps, digest, journalID) {
+        /**
+         * @type {UploadJournal}
+         */
+        let saved;
+        let journaledOffset;
+        let journaledAt = 0;
+        /**
+         * Save the journal of the upload, the acknowledgements only save it once in a while
+         * @param {Boolean} force True to save it even if it was saved just now
+         */
+        const saveJournal = (force) => {
+            if (!force && Date.now() - journaledAt < journalWriteInterval) return;
+            journal.writeJournal(this.journalDir, saved);
+            journaledOffset = saved.offset;
+            journaledAt = Date.now();
+        };
+        let finalResult;
+        try {
+            // Check if file exists
+            if (!fs.existsSync(filePath)) return { success: false, error: pathNotFoundError(filePath) };
+            const authToken = await this._getAuthToken();
+            const fileStats = fs.statSync(filePath);
+            // Get the size of the file, required to calculate percentage of the progress
+            const totalSize = fileStats.size;
+            const reportProgress = (bytesWritten) => {
+                if (totalSize == 0) {
+                    progressCallback(100);
+                    return;
+                }
+                const percentage = bytesWritten * 100 / totalSize;
+                // Send the progress to the caller
+                progressCallback(percentage);
+            };
+            saved = journal.readJournal(this.journalDir, journalID);
+            /**
+             * @type {UploadHooks}
+             */
+            const hooks = {
+                started: (data) => {
+                    saved = {
+                        id: journalID,
+                        filePath: path.resolve(filePath),
+                        parentID,
+                        fileName: path.basename(filePath),
+                        size: totalSize,
+                        mTimeMs: fileStats.mtimeMs,
+                        url: data.url,
+                        entryID: data.entryID,
+                        activityID: data.xActivityTag,
+                        offset: 0,
+                    };
+                    saveJournal(true);
+                    if (digest !== undefined) Object.assign(digest, createUploadDigest());
+                },
+                acknowledged: (offset, bytes) => {
+                    saved.offset = offset;
+                    saveJournal(offset === totalSize);
+                    if (digest !== undefined) {
+                        digest.hash.update(bytes);
+                        digest.offset = offset;
+                    }
+                },
+            };
+
+            if (saved !== undefined && (saved.size !== totalSize || saved.mTimeMs !== fileStats.mtimeMs)) {
+                log.warn(`${filePath} changed since the upload started, starting the upload again`);
+                saved = undefined;
+            }
+            if (saved !== undefined) { // Continue the upload from the last acknowledged offset
+                log.debug(`Resuming the upload of ${filePath} from offset ${saved.offset}`);
+                journaledOffset = saved.offset;
+                if (digest !== undefined && digest.offset !== saved.offset) {
+                    // The start of the file was sent by an earlier run, its bytes are only on the disk
+                    if (digest.offset > saved.offset) Object.assign(digest, createUploadDigest());
+                    for await (const bytes of fs.createReadStream(filePath, { start: digest.offset, end: saved.offset - 1 })) digest.hash.update(bytes);
+                    digest.offset = saved.offset;
+                }
+                const data = { authorization: authToken, xActivityTag: saved.activityID, url: saved.url, entryID: saved.entryID };
+                finalResult = await new Promise(resolve => uploadManual(data, reportProgress, resolve, getFileContent(filePath, saved.offset), hooks));
+                const error = finalResult.error;
+                if (error !== undefined && (error instanceof errors.NotFoundError || error.status === 410)) {
+                    // The device expired or forgot the resumable upload, its url won't work again
+                    log.warn(`The device doesn't know the upload of ${filePath} anymore, starting the upload again`);
+                    journal.removeJournal(this.journalDir, journalID);
+                    saved = undefined;
+                }
+            }
+            if (saved === undefined) {
+                finalResult = await new Promise(resolve => upl(this.wdHost, authToken, parentID, path.basename(filePath), getFileContent(filePath), reportProgress, resolve, hooks, preserveTimestamps ? fileStats.mtime : new Date()));
+            }
+            // Upload finished or error or session is invalid
+            if (finalResult.success) journal.removeJournal(this.journalDir, journalID);
+            else if (saved !== undefined && saved.offset !== journaledOffset) saveJournal(true); // Continue from the last acknowledged offset next time
+        } catch (error) { // Reading the file or keeping the journal failed
+            log.fatal('Something went wrong');
+            log.error(error);
+            return { success: false, error };
+        }
+        if (finalResult.success) return { success: true, data: finalResult.result };
+        if (finalResult.error) return { success: false, error: finalResult.error };
+        // Session timed out, login and run the function again
+        return await this._authRetry(this._uploadFile, [filePath, progressCallback, parentID, preserveTimestamps, digest, journalID]);
+    }
+
+    /**
+     * Retryable function for getting the metadata of entries
+     * @param {String} entryID The ID of the entry
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _getEntry(entryID) {
+        const result = await getEntry(this.wdHost, await this._getAuthToken(), entryID);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._getEntry, [entryID]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for listing the devices of the account
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _getDevices() {
+        const result = await listDevices(this.devicesUrl, await this._getAuthToken());
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._getDevices, []);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for copying entries on the device
+     * @param {String} entryID The ID of the entry to copy
+     * @param {String} destParentID The ID of the folder to copy the entry to
+     * @param {String} newName The name of the copy
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _serverCopy(entryID, destParentID, newName) {
+        const result = await serverCopy(this.wdHost, await this._getAuthToken(), entryID, destParentID, newName);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._serverCopy, [entryID, destParentID, newName]);
+            }
+        }
+    }
+
+    /**
+     * Get the checksum the device reports for a file
+     * @param {String} fileID The ID of the file
+     * @returns {Promise<AbstractedResult>} The result of the request, data is a RemoteChecksum or undefined
+     */
+    async _getChecksum(fileID) {
+        const result = await getChecksum(this.wdHost, await this._getAuthToken(), fileID);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._getChecksum, [fileID]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for opening the content of a remote file
+     * @param {String} fileID The ID of the file
+     * @param {ReadStreamOptions} range The range of bytes to read
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _openContent(fileID, range) {
+        const result = await openContentStream(this.wdHost, await this._getAuthToken(), fileID, range);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._openContent, [fileID, range]);
+            }
+        }
+    }
+
+    /**
+     * Retryable function for copying a file by streaming its content into a new upload
+     * @param {String} fileID The ID of the file to copy
+     * @param {String} destParentID The ID of the folder to copy the file to
+     * @param {String} newName The name of the copy
+     * @param {InternalTransferProgress} progressCallback Function to call with the number of copied bytes
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    _copyFile(fileID, destParentID, newName, progressCallback) {
+        return new Promise(async (resolve) => {
+            const authToken = await this._getAuthToken();
+            const content = await openContentStream(this.wdHost, authToken, fileID);
+            if (!content.success) {
+                if (content.error) resolve({ success: false, error: content.error });
+                else resolve(await this._authRetry(this._copyFile, [fileID, destParentID, newName, progressCallback]));
+                return;
+            }
+            upl(this.wdHost, authToken, destParentID, newName, getStreamContent(content.result), progressCallback, async (finalResult) => {
+                if (finalResult.success) {
+                    resolve({ success: true, data: finalResult.result });
+                } else {
+                    content.result.destroy(); // Stop downloading the content
+                    if (finalResult.error) {
+                        resolve({ success: false, error: finalResult.error });
+                    } else {
+                        // Session timed out, login and run the function again
+                        resolve(await this._authRetry(this._copyFile, [fileID, destParentID, newName, progressCallback]));
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Retryable function for downloading files from the wdc
+     * @param {String} fileID The ID of the file to download
+     * @param {String} localFilePath The path to save the remote file to on the local system
+     * @param {InternalTransferProgress} progressCallback Function to call with the percentage progress
+     * @param {Boolean} resume True to continue from the existing partial file, otherwise false
+     * @param {Boolean} preserveTimestamps True to give the local file the modification time of the remote file, otherwise false
+     * @returns {Promise<AbstractedResult>} The result of the abstracted function
+     */
+    async _downloadFile(fileID, localFilePath, progressCallback, resume, preserveTimestamps) {
+        const result = await dwl(this.wdHost, await this._getAuthToken(), fileID, localFilePath, (data) => {
+            if (data.total == 0) progressCallback(100); // Can't divide by 0 if total size is 0
+            else {
+                progressCallback(data.offset * 100 / data.total);
+            }
+        }, resume, preserveTimestamps);
+        if (result.success) {
+            return { success: true, data: result.result };
+        } else {
+            if (result.error) {
+                return { success: false, error: result.error };
+            } else {
+                // Session timed out, login and run the function again
+                return await this._authRetry(this._downloadFile, [fileID, localFilePath, progressCallback, resume, preserveTimestamps]);
+            }
+        }
+    }
+
+    // #endregion
+
+    // #region External functions
+
+    /**
+     * Enter to a directory on the server, equivalent to 'cd' command with relative path
+     * @param {String} folderID The ID of the folder to enter to
+     */
+    enterDirectory(folderID) {
+        if (folderID === undefined) return;
+        this.pathStack.push(folderID);
+    }
+
+    /**
+     * Enters the previous directory (if there's one)
+     * @returns {Boolean} True if there was a previous directory to enter, otherwise false
+     */
+    enterParentDirectory() {
+        if (this.pathStack.length > 0) this.pathStack.splice(this.pathStack.length - 1, 1);
+        else return false;
+        return true;
+    }
+
+    /**
+     * Get the current folder ID of the pathStack
+     * @returns {(undefined|string)} The current working directory on the remote system, undefined if there were no changes at all
+     */
+    getCurrentFolder() {
+        if (this.pathStack.length > 0) return this.pathStack[this.pathStack.length - 1];
+        else return undefined;
+    }
+
+    /**
+     * Remove the last x entries of the pathStack
+     * @param {number} removeCount Number of entries to remove from the pathStack
+     */
+    removePathStackEntries(removeCount) {
+        for (let i = 0; i < removeCount; i++) {
+            if (!this.enterParentDirectory()) break;
+        }
+    }
+
+    /**
+     * Login the to my cloud website
+     * @param {String} [username] The username, defaults to the credentials the client was created with
+     * @param {String} [password] The password, defaults to the credentials the client was created with
+     * @returns {Promise<Boolean>} The result of the authentication
+     */
+    async authenticate(username = this.creds.user, password = this.creds.pass) {
+        const loginResult = await login(username, password, this.authUrl);
+        if (!loginResult) return false;
+        this._setSession(loginResult);
+        this.creds.user = username;
+        // The refresh token renews the session from now on, only keep the password if it's the only way to log in again
+        const keepPassword = loginResult.refresh === undefined || this.creds.pass === password;
+        this.creds.pass = keepPassword ? password : undefined;
+        if (this.wdHost === '') await this._discoverDevice();
+        return true;
+    }
+
+    /**
+     * Login with the refresh token of a previous session instead of a password
+     * @param {String} [refreshToken] The refresh token, defaults to the one the client was created with or received at the last login
+     * @returns {Promise<Boolean>} The result of the authentication
+     */
+    async authenticateWithRefreshToken(refreshToken = this.tokens.refresh) {
+        if (refreshToken === undefined) return false;
+        const session = await refreshSession(refreshToken, this.authUrl);
+        if (!session) return false;
+        this._setSession(session);
+        if (this.wdHost === '') await this._discoverDevice();
+        return true;
+    }
+
+    /**
+     * Continue a stored session, the token is renewed with the refresh token of the session once it expires
+     * @param {TokenObject} tokens The tokens handed to the session callback earlier
+     */
+    restoreSession(tokens) {
+        this.tokens = Object.assign({}, tokens);
+    }
+
+    /**
+     * Set the function to call with the tokens whenever the session changes
+     * @param {(undefined|Function)} sessionCallback The function to call with the TokenObject, undefined to stop calling it
+     */
+    setSessionCallback(sessionCallback) {
+        this.sessionCallback = sessionCallback;
+    }
+
+    /**
+     * Get the refresh token of the current session, so that it can be stored and used with authenticateWithRefreshToken later
+     * @returns {(undefined|string)} The refresh token, undefined if the client doesn't have one
+     */
+    getRefreshToken() {
+        return this.tokens.refresh;
+    }
+
+    /**
+     * List the files in a folder
+     * @param {String} [folderID] The ID of the folder to list, defaults to the current working directory
+     * @param {ListOptions} [options] The options of the listing
+     * @returns {Promise<Array<RemoteEntry>>} An array of the remote entries in the folder
+     */
+    async listFiles(folderID = this._getWorkingFolder(), options = {}) {
+        const entries = [];
+        for await (const entry of this.iterateDirectory(folderID, options)) entries.push(entry);
+        return entries;
+    }
+
+    /**
+     * Iterate over the files in a folder, requesting the listing page by page
+     * @param {String} [folderID] The ID of the folder to list, defaults to the current working directory
+     * @param {ListOptions} [options] The options of the listing
+     * @returns {AsyncIterable<RemoteEntry>} The remote entries in the folder
+     */
+    async* iterateDirectory(folderID = this._getWorkingFolder(), options = {}) {
+        let pageToken = '';
+        do {
+            /**
+             * @type {ListPage}
+             */
+            const page = await this._retry('list files', this._listPage, [folderID, options.details === true, pageToken]);
+            yield* page.entries;
+            // Stop on empty pages, so that a misbehaving token can't loop forever
+            pageToken = page.entries.length > 0 ? page.pageToken : '';
+        } while (pageToken);
+    }
+
+    /**
+     * Create a new directory
+     * @param {String} dirName The name of the new directory
+     * @param {String} [parentID] The ID of the folder to create the directory in, defaults to the current working directory
+     * @param {DirectoryOptions} [options] The options of the directory creation
+     * @returns {Promise<string>} The ID of the newly created directory, or of the existing directory if the conflict policy keeps it
+     */
+    async createDirectory(dirName, parentID = this._getWorkingFolder(), options = {}) {
+        const resolution = await this._resolveConflict(parentID, dirName, options.conflict, { isDir: true }, options.listings);
+        if (resolution.action === 'skip') return resolution.existing.id;
+        const folderID = await this._retry('create new directory', this._createDirectory, [dirName, parentID, options.mTime]);
+        await this._finishConflict(resolution, folderID, dirName);
+        if (options.listings !== undefined) options.listings.set(folderID, Promise.resolve([])); // Nothing to conflict with in a new folder
+        return folderID;
+    }
+
+    /**
+     * Deletes a file/folder in the current directory
+     * @param {String} fileID The ID of the file/folder to remove
+     * @returns {Promise<Boolean>} True if the deletion succeeded, otherwise false
+     */
+    async removeFile(fileID) {
+        return await this._retry('remove file', this._removeFile, [fileID]);
+    }
+
+    /**
+     * Rename a file/folder
+     * @param {String} entryID The ID of the file/folder to rename
+     * @param {String} newName The new name of the entry
+     * @returns {Promise<Boolean>} True if the rename succeeded, otherwise false
+     */
+    async renameEntry(entryID, newName) {
+        return await this._retry('rename entry', this._patchEntry, [entryID, { name: newName }]);
+    }
+
+    /**
+     * Move a file/folder to another folder
+     * @param {String} entryID The ID of the file/folder to move
+     * @param {String} newParentID The ID of the folder to move the entry to
+     * @returns {Promise<Boolean>} True if the move succeeded, otherwise false
+     */
+    async moveEntry(entryID, newParentID) {
+        return await this._retry('move entry', this._patchEntry, [entryID, { parentID: newParentID }]);
+    }
+
+    /**
+     * Run several requests in one round trip, larger lists are split into batches of the batch limit
+     * Failed sub-requests don't reject, their typed error is in their response
+     * @param {Array<BatchRequest>} batchRequests The sub-requests to send
+     * @returns {Promise<Array<BatchResponse>>} The response of every sub-request in the same order
+     */
+    async batch(batchRequests) {
+        const responses = [];
+        while (responses.length < batchRequests.length) {
+            const chunk = batchRequests.slice(responses.length, responses.length + this.batchLimit);
+            try {
+                responses.push(...await this._retry('run batch', this._batch, [chunk]));
+            } catch (error) {
+                // The device rejects the whole batch if it has a lower limit, keep halving the batches until they fit
+                if (!(error instanceof errors.PayloadTooLargeError) || chunk.length === 1) throw error;
+                this.batchLimit = Math.ceil(chunk.length / 2);
+                log.debug(`The device rejected a batch of ${chunk.length} requests, sending at most ${this.batchLimit} from now on`);
+            }
+        }
+        return responses;
+    }
+
+    /**
+     * Delete several files/folders in one round trip
+     * @param {Array<String>} entryIDs The IDs of the files/folders to remove
+     * @returns {Promise<Array<BatchResponse>>} The response of every deletion in the same order, failed deletions carry their error
+     */
+    async removeFiles(entryIDs) {
+        return await this.batch(entryIDs.map(entryID => ({ method: 'DELETE', path: `/sdk/v2/files/${entryID}`, entryID })));
+    }
+
+    /**
+     * Move several files/folders to another folder in one round trip
+     * @param {Array<String>} entryIDs The IDs of the files/folders to move
+     * @param {String} newParentID The ID of the folder to move the entries to
+     * @returns {Promise<Array<BatchResponse>>} The response of every move in the same order, failed moves carry their error
+     */
+    async moveEntries(entryIDs, newParentID) {
+        return await this.batch(entryIDs.map(entryID => ({ method: 'PATCH', path: `/sdk/v2/files/${entryID}`, body: { parentID: newParentID }, entryID })));
+    }
+
+    /**
+     * Get the metadata of several entries in one round trip
+     * @param {Array<String>} entryIDs The IDs of the entries
+     * @returns {Promise<Array<BatchResponse>>} The response of every lookup in the same order, the body of the successful ones is the detailed RemoteEntry
+     */
+    async getEntries(entryIDs) {
+        const responses = await this.batch(entryIDs.map(entryID => ({ method: 'GET', path: `/sdk/v2/files/${entryID}?pretty=false&fields=${detailedFields}`, entryID })));
+        responses.forEach((response) => {
+            if (response.error === undefined) response.body = parseEntry(response.body, true);
+        });
+        return responses;
+    }
+
+    /**
+     * Open a remote file for reading, equivalent to fs.createReadStream
+     * @param {String} fileID The ID of the file to read
+     * @param {ReadStreamOptions} [options] The range of bytes to read, the whole file if not given
+     * @returns {stream.Readable} The content of the file, emits 'error' if the file can't be opened
+     */
+    createReadStream(fileID, options = {}) {
+        const output = new stream.PassThrough();
+        this._retry('open file', this._openContent, [fileID, { start: options.start, end: options.end }]).then((content) => {
+            content.on('error', error => output.destroy(error));
+            content.pipe(output);
+        }, error => output.destroy(error));
+        return output;
+    }
+
+    /**
+     * Create a new remote file and open it for writing, equivalent to fs.createWriteStream
+     * The written data is sent to the resumable upload endpoint chunk by chunk, the upload isn't retried since the data can't be replayed
+     * @param {String} parentID The ID of the folder to create the file in
+     * @param {String} fileName The name of the new file
+     * @param {WriteStreamOptions} [options] The options of the upload
+     * @returns {stream.Writable} The content of the new file, 'finish' is emitted once the upload is done, after that the ID of the new file is stored in the fileID property
+     */
+    createWriteStream(parentID, fileName, options = {}) {
+        const source = new stream.PassThrough();
+        const upload = (async () => {
+            const resolution = await this._resolveConflict(parentID, fileName, options.conflict, { isDir: false, size: options.size, mTime: options.mTime });
+            if (resolution.action === 'skip') {
+                log.info(`Skipped the upload of ${fileName}, the remote folder already has it`);
+                source.resume(); // Discard the written data
+                return { success: true, error: undefined, session: true, result: resolution.existing.id };
+            }
+            const authToken = await this._getAuthToken();
+            const result = await new Promise(resolve => upl(this.wdHost, authToken, parentID, fileName, getStreamContent(source), () => { }, resolve, {}, options.mTime));
+            if (result.success) await this._finishConflict(resolution, result.result, fileName);
+            return result;
+        })().catch(error => ({ success: false, error, session: true }));
+        const getUploadError = (result) => result.error || new errors.AuthenticationError('Session expired during the upload');
+        const output = new stream.Writable({
+            write(chunk, encoding, callback) {
+                if (source.write(chunk)) callback();
+                else source.once('drain', () => callback());
+            },
+            final(callback) {
+                source.end();
+                upload.then((result) => {
+                    if (!result.success) {
+                        callback(getUploadError(result));
+                        return;
+                    }
+                    output.fileID = result.result;
+                    callback();
+                });
+            },
+            destroy(error, callback) {
+                source.destroy();
+                callback(error);
+            },
+        });
+        upload.then((result) => { // Stop accepting data if the upload failed before the end of the content
+            if (!result.success && !output.destroyed) output.destroy(getUploadError(result));
+        });
+        return output;
+    }
+
+    /**
+     * Create a transfer manager that runs uploads and downloads with this client
+     * @param {TransferOptions} [options] The options of the transfers
+     * @returns {TransferManager} The new transfer manager
+     */
+    createTransferManager(options = {}) {
+        return new TransferManager(this, options);
+    }
+
+    /**
+     * Upload a local file/folder with every file and folder in it
+     * @param {String} localPath The local path of the file/folder to upload
+     * @param {String} [destParentID] The ID of the folder to upload to, defaults to the current working directory
+     * @param {TransferOptions} [options] The options of the transfers
+     * @returns {Promise<TransferSummary>} The result of the transfers, failed files don't reject the promise
+     */
+    async uploadFolder(localPath, destParentID = this._getWorkingFolder(), options = {}) {
+        const manager = this.createTransferManager(options);
+        manager.add(manager.planUpload(localPath, destParentID));
+        return await manager.run();
+    }
+
+    /**
+     * Download a remote file/folder with every file and folder in it
+     * @param {String} entryID The ID of the file/folder to download
+     * @param {String} localPath The path to download the entry to, including its name
+     * @param {TransferOptions} [options] The options of the transfers
+     * @returns {Promise<TransferSummary>} The result of the transfers, failed files don't reject the promise
+     */
+    async downloadFolder(entryID, localPath, options = {}) {
+        const manager = this.createTransferManager(options);
+        const entry = await this._retry('get entry data', this._getEntry, [entryID]);
+        manager.add(await manager.planDownload(entry, localPath));
+        return await manager.run();
+    }
+
+    /**
+     * Synchronize a local folder and a remote folder, only the files that differ in size or modification time are transferred
+     * @param {String} localPath The path of the local folder
+     * @param {String} [remoteFolderID] The ID of the remote folder, defaults to the current working directory
+     * @param {SyncOptions} [options] The options of the sync
+     * @returns {Promise<SyncSummary>} The planned actions and the result of the transfers
+     */
+    async sync(localPath, remoteFolderID = this._getWorkingFolder(), options = {}) {
+        return await folderSync.sync(this, localPath, remoteFolderID, options);
+    }
+
+    /**
+     * Copy a file/folder to another folder
+     * The device copies the entry by itself if it supports it, otherwise the content is streamed from the device back to the device
+     * @param {String} entryID The ID of the file/folder to copy
+     * @param {String} destParentID The ID of the folder to copy the entry to
+     * @param {CopyOptions} [options] The options of the copy
+     * @returns {Promise<string>} The ID of the copy
+     */
+    async copyEntry(entryID, destParentID, options = {}) {
+        const progressCallback = options.progressCallback || (() => { });
+        const entry = await this._retry('get entry data', this._getEntry, [entryID]);
+        const newName = options.newName || entry.name;
+        let resolution = await this._resolveConflict(destParentID, newName, options.conflict, entry);
+        if (resolution.action === 'skip' && options.conflict === 'overwrite') resolution = { action: 'replace', existing: resolution.existing };
+        if (resolution.action === 'skip') {
+            log.info(`Skipped the copy of ${entry.name}, the destination folder already has it`);
+            return resolution.existing.id;
+        }
+
+        if (this.serverCopySupported !== false) {
+            const copied = await this._retry('copy entry', this._serverCopy, [entryID, destParentID, newName]);
+            if (copied.id !== undefined) {
+                this.serverCopySupported = true;
+                await this._finishConflict(resolution, copied.id, newName);
+                progressCallback({ fileName: newName, fileBytes: entry.size, fileSize: entry.size, filesDone: 1, totalFiles: 1, bytesDone: entry.size, totalBytes: entry.size });
+                return copied.id;
+            }
+            if (copied.supported === false) {
+                this.serverCopySupported = false;
+                log.debug('Device-side copy is not supported, falling back to streaming the content');
+            } else {
+                // Only a missing endpoint gives a 404 for existing entries, the failure of missing entries is reported as it is
+                await this._retry('get entry data', this._getEntry, [entryID]);
+                await this._retry('get entry data', this._getEntry, [destParentID]);
+                log.debug('The device didn\'t find the copy endpoint, streaming the content');
+            }
+        }
+
+        // Collect the files to copy first, so that the aggregate progress can be reported
+        const collectTree = async (node) => {
+            if (!node.isDir) return node;
+            const children = await this.listFiles(node.id, { details: true });
+            node.children = [];
+            for (const child of children) node.children.push(await collectTree(child));
+            return node;
+        };
+        const tree = await collectTree(entry);
+        const progress = { fileName: '', fileBytes: 0, fileSize: 0, filesDone: 0, totalFiles: 0, bytesDone: 0, totalBytes: 0 };
+        const countFiles = (node) => {
+            if (!node.isDir) {
+                progress.totalFiles++;
+                progress.totalBytes += node.size;
+            } else node.children.forEach(countFiles);
+        };
+        countFiles(tree);
+
+        const copyNode = async (node, parentID, name) => {
+            if (node.isDir) {
+                const folderID = await this.createDirectory(name, parentID);
+                for (const child of node.children) await copyNode(child, folderID, child.name);
+                return folderID;
+            }
+            const bytesBefore = progress.bytesDone;
+            const report = (offset) => {
+                Object.assign(progress, { fileName: name, fileBytes: offset, fileSize: node.size, bytesDone: bytesBefore + offset });
+                progressCallback(Object.assign({}, progress));
+            };
+            report(0);
+            const fileID = await this._retry('copy file', this._copyFile, [node.id, parentID, name, report]);
+            progress.filesDone++;
+            report(node.size);
+            return fileID;
+        };
+        const copyID = await copyNode(tree, destParentID, newName);
+        await this._finishConflict(resolution, copyID, newName);
+        return copyID;
+    }
+
+    /**
+     * Uploads a local file to a folder on the cloud
+     * @param {String} filePath The local path of the file to upload
+     * @param {InternalTransferProgress} progressCallback A function to send the percentage to
+     * @param {String} [parentID] The ID of the folder to upload to, defaults to the current working directory
+     * @param {UploadOptions} [options] The options of the upload
+     * @returns {Promise<string>} The ID of the uploaded file
+     */
+    async uploadFile(filePath, progressCallback, parentID = this._getWorkingFolder(), options = {}) {
+        if (!fs.existsSync(filePath)) throw pathNotFoundError(filePath);
+        const fileName = path.basename(filePath);
+        const fileStats = fs.statSync(filePath);
+        const resolution = await this._resolveConflict(parentID, fileName, options.conflict, { isDir: false, size: fileStats.size, mTime: fileStats.mtime }, options.listings);
+        if (resolution.action === 'skip') {
+            log.info(`Skipped the upload of ${fileName}, the remote folder already has it`);
+            progressCallback(100);
+            return resolution.existing.id;
+        }
+        const digest = options.verify ? createUploadDigest() : undefined;
+        const fileID = await this._runJournaledUpload(journal.createJournalID(), [filePath, progressCallback, parentID, options.preserveTimestamps !== false, digest]);
+        await this._finishConflict(resolution, fileID, fileName);
+        if (options.verify) await this._verifyUpload(filePath, fileID, digest);
+        return fileID;
+    }
+
+    /**
+     * Continue an upload that was interrupted, eg. by a network failure or the exit of the process
+     * @param {String} journalID The ID of the journal of the upload
+     * @param {InternalTransferProgress} [progressCallback] A function to send the percentage to
+     * @param {UploadOptions} [options] The options of the upload
+     * @returns {Promise<string>} The ID of the uploaded file
+     */
+    async resumeUpload(journalID, progressCallback = () => { }, options = {}) {
+        const saved = journal.readJournal(this.journalDir, journalID);
+        if (saved === undefined) throw new errors.NotFoundError(`No unfinished upload with the following ID: ${journalID}`);
+        const digest = options.verify ? createUploadDigest() : undefined;
+        const fileID = await this._runJournaledUpload(journalID, [saved.filePath, progressCallback, saved.parentID, options.preserveTimestamps !== false, digest]);
+        if (options.verify) await this._verifyUpload(saved.filePath, fileID, digest);
+        return fileID;
+    }
+
+    /**
+     * Get the uploads that can be continued with resumeUpload
+     * @returns {Array<UploadJournal>} The journals of the unfinished uploads
+     */
+    listPendingUploads() {
+        return journal.listJournals(this.journalDir);
+    }
+
+    /**
+     * Download a file from the wdc
+     * @param {String} fileID The ID of the file to download
+     * @param {String} localFilePath The path to save the remote file to on the local system
+     * @param {InternalTransferProgress} progressCallback Function to call with the percentage progress
+     * @param {DownloadOptions} [options] The options of the download
+     * @returns {Promise<Boolean>} True if the download succeeded, otherwise false
+     */
+    async downloadFile(fileID, localFilePath, progressCallback, options = {}) {
+        // Retries continue from the partial file only if resuming was asked for, otherwise they start again with an empty file
+        const result = await this._retry('download file', this._downloadFile, [fileID, localFilePath, progressCallback, options.resume === true, options.preserveTimestamps !== false]);
+        if (options.verify) await this.verifyFile(localFilePath, fileID);
+        return result;
+    }
+
+    /**
+     * Compare the content of a local file and a remote file
+     * The checksum reported by the device is used if there's one, otherwise the remote content is read and hashed
+     * @param {String} localFilePath The path of the local file
+     * @param {String} fileID The ID of the remote file
+     * @returns {Promise<VerifyResult>} The hash of the matching files, rejects with a ChecksumMismatchError if they differ
+     */
+    async verifyFile(localFilePath, fileID) {
+        const reported = await this._retry('get checksum', this._getChecksum, [fileID]);
+        const algorithm = reported === undefined ? defaultHashAlgorithm : reported.algorithm;
+        // Both sides are hashed at the same time when the remote content has to be read
+        const [localHash, remoteHash] = await Promise.all([
+            hashStream(fs.createReadStream(localFilePath), algorithm),
+            reported === undefined ? hashStream(this.createReadStream(fileID), algorithm) : reported.value,
+        ]);
+        if (localHash !== remoteHash) throw new errors.ChecksumMismatchError(localFilePath, fileID, algorithm, localHash, remoteHash);
+        return { algorithm, hash: localHash, source: reported === undefined ? 'content' : 'metadata' };
+    }
+
+    /**
+     * Resolve a remote path to the entry it points to
+     * Supports absolute paths, paths relative to the current working directory, '.' and '..'
+     * @param {string} remotePath The path on the remote device, eg. '/Photos/2019/trip'
+     * @returns {Promise<(undefined|ResolvedEntry)>} The entry at the given path, undefined if the path doesn't exist
+     */
+    async resolvePath(remotePath) {
+        const chain = await this._walkPath(remotePath, false);
+        if (chain === undefined) return undefined;
+        return chain.length > 0 ? chain[chain.length - 1] : Object.assign({}, rootEntry);
+    }
+
+    /**
+     * Change the current working directory, equivalent to the 'cd' command
+     * @param {string} remotePath The absolute or relative path of the folder to enter
+     * @returns {Promise<Boolean>} True if the folder was entered, false if it doesn't exist or it's not a folder
+     */
+    async changeDirectory(remotePath) {
+        const chain = await this._walkPath(remotePath, false);
+        if (chain === undefined || (chain.length > 0 && !chain[chain.length - 1].isDir)) return false;
+        this.pathStack = chain.map(entry => entry.id);
+        return true;
+    }
+
+    /**
+     * List the entries at a remote path
+     * @param {string} remotePath The path of the folder to list, for files only the file itself is listed
+     * @param {ListOptions} [options] The options of the listing
+     * @returns {Promise<Array<RemoteEntry>>} An array of the remote entries at the path
+     */
+    async listPath(remotePath, options = {}) {
+        const entry = await this._requireEntry(remotePath);
+        if (!entry.isDir) {
+            if (options.details) return [await this._statEntry(entry)];
+            return [{ id: entry.id, name: entry.name, isDir: false }];
+        }
+        return await this.listFiles(entry.id, options);
+    }
+
+    /**
+     * Iterate over the entries at a remote path, requesting the listing page by page
+     * @param {string} remotePath The path of the folder to list, for files only the file itself is listed
+     * @param {ListOptions} [options] The options of the listing
+     * @returns {AsyncIterable<RemoteEntry>} The remote entries at the path
+     */
+    async* iteratePath(remotePath, options = {}) {
+        const entry = await this._requireEntry(remotePath);
+        if (!entry.isDir) {
+            yield options.details ? await this._statEntry(entry) : { id: entry.id, name: entry.name, isDir: false };
+            return;
+        }
+        yield* this.iterateDirectory(entry.id, options);
+    }
+
+    /**
+     * Get the metadata of an entry
+     * @param {string} idOrPath The ID of the entry, or its path if it contains a '/' (eg. './photo.jpg') or it's '.' or '..'
+     * @returns {Promise<RemoteEntry>} The detailed remote entry
+     */
+    async stat(idOrPath) {
+        if (idOrPath.indexOf('/') < 0 && idOrPath !== '.' && idOrPath !== '..') {
+            return await this._retry('get entry data', this._getEntry, [idOrPath]);
+        }
+        return await this._statEntry(await this._requireEntry(idOrPath));
+    }
+
+    /**
+     * Create a new directory at a remote path
+     * @param {string} remotePath The path of the new directory
+     * @param {Boolean} [parents] True to create the missing parent folders and reuse an existing directory, equivalent to 'mkdir -p'
+     * @param {DirectoryOptions} [options] The options of the directory creation, parents reuses existing directories regardless of the conflict policy
+     * @returns {Promise<string>} The ID of the directory
+     */
+    async createDirectoryAtPath(remotePath, parents = false, options = {}) {
+        const dirName = path.posix.basename(remotePath);
+        if (dirName === '' || dirName === '.' || dirName === '..') throw new Error(`Invalid directory name: ${remotePath}`);
+        if (parents) {
+            const chain = await this._walkPath(remotePath, true);
+            if (chain === undefined || !chain[chain.length - 1].isDir) throw new Error(`Failed to create the following path: ${remotePath}`);
+            return chain[chain.length - 1].id;
+        }
+        const parentPath = path.posix.dirname(remotePath);
+        const parent = await this._requireEntry(parentPath);
+        if (!parent.isDir) throw pathNotFoundError(parentPath);
+        return await this.createDirectory(dirName, parent.id, options);
+    }
+
+    /**
+     * Delete the file/folder at a remote path
+     * @param {string} remotePath The path of the entry to remove
+     * @returns {Promise<Boolean>} True if the deletion succeeded, otherwise false
+     */
+    async removePath(remotePath) {
+        const entry = await this._requireEntry(remotePath);
+        if (entry.id === rootEntry.id) throw new Error('The root folder can\'t be removed');
+        return await this.removeFile(entry.id);
+    }
+
+    /**
+     * Delete the files/folders at several remote paths, the deletions take one round trip
+     * @param {Array<string>} remotePaths The paths of the entries to remove
+     * @param {Object} [options] The recursive option (true by default) allows removing folders with their content
+     * @returns {Promise<Array<BatchResponse>>} The response of every deletion in the same order, paths that can't be removed carry their error
+     */
+    async removePaths(remotePaths, options = {}) {
+        const recursive = options.recursive !== false;
+        return await this._batchPaths(remotePaths, (entry) => {
+            if (entry.id === rootEntry.id) throw new Error('The root folder can\'t be removed');
+            if (entry.isDir && !recursive) throw new Error(`The following entry is a folder, it's only removed recursively: ${entry.name}`);
+        }, this.removeFiles, []);
+    }
+
+    /**
+     * Move the files/folders at several remote paths into a folder, the moves take one round trip
+     * @param {Array<string>} srcPaths The paths of the entries to move
+     * @param {string} destPath The path of the folder to move the entries to
+     * @returns {Promise<Array<BatchResponse>>} The response of every move in the same order, paths that can't be moved carry their error
+     */
+    async movePaths(srcPaths, destPath) {
+        const dest = await this._requireEntry(destPath);
+        if (!dest.isDir) throw new errors.ConflictError(`The following path isn't a folder: ${destPath}`);
+        return await this._batchPaths(srcPaths, (entry) => {
+            if (entry.id === rootEntry.id) throw new Error('The root folder can\'t be moved');
+        }, this.moveEntries, [dest.id]);
+    }
+
+    /**
+     * Rename the file/folder at a remote path
+     * @param {string} remotePath The path of the entry to rename
+     * @param {String} newName The new name of the entry
+     * @returns {Promise<Boolean>} True if the rename succeeded, otherwise false
+     */
+    async renamePath(remotePath, newName) {
+        if (newName === '' || newName === '.' || newName === '..' || newName.indexOf('/') > -1) throw new Error(`Invalid name: ${newName}`);
+        const entry = await this._requireEntry(remotePath);
+        if (entry.id === rootEntry.id) throw new Error('The root folder can\'t be renamed');
+        return await this.renameEntry(entry.id, newName);
+    }
+
+    /**
+     * Move the file/folder at a remote path, equivalent to the 'mv' command
+     * If the destination is an existing folder the entry is moved into it, otherwise the entry is moved and renamed to the destination path
+     * @param {string} srcPath The path of the entry to move
+     * @param {string} destPath The path of the destination
+     * @returns {Promise<Boolean>} True if the move succeeded, otherwise false
+     */
+    async movePath(srcPath, destPath) {
+        const entry = await this._requireEntry(srcPath);
+        if (entry.id === rootEntry.id) throw new Error('The root folder can\'t be moved');
+        const dest = await this.resolvePath(destPath);
+        if (dest !== undefined) {
+            if (!dest.isDir) throw new errors.ConflictError(`The following path already exists: ${destPath}`);
+            return await this.moveEntry(entry.id, dest.id);
+        }
+        const newName = path.posix.basename(destPath);
+        const parentPath = path.posix.dirname(destPath);
+        const parent = await this._requireEntry(parentPath);
+        if (!parent.isDir) throw pathNotFoundError(parentPath);
+        const changes = { parentID: parent.id };
+        if (newName !== entry.name) changes.name = newName;
+        return await this._retry('move entry', this._patchEntry, [entry.id, changes]);
+    }
+
+    /**
+     * Copy the file/folder at a remote path, equivalent to the 'cp -r' command
+     * If the destination is an existing folder the entry is copied into it, otherwise the copy is created at the destination path
+     * @param {string} srcPath The path of the entry to copy
+     * @param {string} destPath The path of the destination
+     * @param {CopyProgressCallback} [progressCallback] Function to call with the progress of the copy
+     * @param {CopyOptions} [options] The conflict policy of the copy, an existing file at the destination path is only replaced or kept if one is given
+     * @returns {Promise<string>} The ID of the copy
+     */
+    async copyPath(srcPath, destPath, progressCallback, options = {}) {
+        const entry = await this._requireEntry(srcPath);
+        if (entry.id === rootEntry.id) throw new Error('The root folder can\'t be copied');
+        const dest = await this.resolvePath(destPath);
+        if (dest !== undefined && (dest.isDir || options.conflict === undefined)) {
+            if (!dest.isDir) throw new errors.ConflictError(`The following path already exists: ${destPath}`);
+            return await this.copyEntry(entry.id, dest.id, { progressCallback, conflict: options.conflict });
+        }
+        const parentPath = path.posix.dirname(destPath);
+        const parent = await this._requireEntry(parentPath);
+        if (!parent.isDir) throw pathNotFoundError(parentPath);
+        return await this.copyEntry(entry.id, parent.id, { newName: path.posix.basename(destPath), progressCallback, conflict: options.conflict });
+    }
+
+    /**
+     * Upload a local file to a remote folder given by its path
+     * @param {String} filePath The local path of the file to upload
+     * @param {string} remotePath The path of the folder to upload to
+     * @param {InternalTransferProgress} progressCallback A function to send the percentage to
+     * @param {UploadOptions} [options] The options of the upload
+     * @returns {Promise<string>} The ID of the uploaded file
+     */
+    async uploadFileToPath(filePath, remotePath, progressCallback, options = {}) {
+        const folder = await this._requireEntry(remotePath);
+        if (!folder.isDir) throw pathNotFoundError(remotePath);
+        return await this.uploadFile(filePath, progressCallback, folder.id, options);
+    }
+
+    /**
+     * Download a remote file given by its path
+     * @param {string} remotePath The path of the file to download
+     * @param {String} localFilePath The path to save the remote file to on the local system
+     * @param {InternalTransferProgress} progressCallback Function to call with the percentage progress
+     * @param {DownloadOptions} [options] The options of the download
+     * @returns {Promise<Boolean>} True if the download succeeded, otherwise false
+     */
+    async downloadFileFromPath(remotePath, localFilePath, progressCallback, options = {}) {
+        const entry = await this._requireEntry(remotePath);
+        if (entry.isDir) throw new Error(`The following path is a folder: ${remotePath}`);
+        return await this.downloadFile(entry.id, localFilePath, progressCallback, options);
+    }
+
+    /**
+     * Compare the content of a local file and a remote file given by its path
+     * @param {String} localFilePath The path of the local file
+     * @param {string} remotePath The path of the remote file
+     * @returns {Promise<VerifyResult>} The hash of the matching files, rejects with a ChecksumMismatchError if they differ
+     */
+    async verifyPath(localFilePath, remotePath) {
+        const entry = await this._requireEntry(remotePath);
+        if (entry.isDir) throw new Error(`The following path is a folder: ${remotePath}`);
+        return await this.verifyFile(localFilePath, entry.id);
+    }
+
+    /**
+     * Synchronize a local folder and a remote folder given by its path
+     * A missing remote folder is created when pushing
+     * @param {String} localPath The path of the local folder
+     * @param {string} remotePath The path of the remote folder
+     * @param {SyncOptions} [options] The options of the sync
+     * @returns {Promise<SyncSummary>} The planned actions and the result of the transfers
+     */
+    async syncPath(localPath, remotePath, options = {}) {
+        let folder = await this.resolvePath(remotePath);
+        if (folder === undefined && options.mode === 'push') {
+            if (options.dryRun) return await folderSync.sync(this, localPath, undefined, options); // Everything would be uploaded
+            folder = { id: await this.createDirectoryAtPath(remotePath, true), isDir: true };
+        }
+        if (folder === undefined || !folder.isDir) throw pathNotFoundError(remotePath);
+        return await this.sync(localPath, folder.id, options);
+    }
+
+    /**
+     * Set the host to send the requests to
+     * @param {String} host The host to send the requests to, or a base URL like 'http://127.0.0.1:8080' for a local server
+     */
+    setWdHost(host) {
+        this.wdHost = host;
+    }
+
+    /**
+     * Get the host the requests are sent to
+     * @returns {string} The host or base URL of the device, empty if no device is selected
+     */
+    getWdHost() {
+        return this.wdHost;
+    }
+
+    /**
+     * Set the URL of the login endpoint
+     * @param {String} authUrl The URL to send the logins to
+     */
+    setAuthUrl(authUrl) {
+        this.authUrl = authUrl;
+    }
+
+    /**
+     * Change the retry policy of every action or of a single action
+     * @param {Object} policy The fields of the RetryPolicy to change, eg. { maxAttempts: 1 } to disable retrying
+     * @param {String} [actionName] The name of the action to change the policy of, eg. 'upload file', omit to change the default policy
+     */
+    setRetryPolicy(policy, actionName) {
+        if (actionName === undefined) Object.assign(this.retryPolicy, policy);
+        else this.retryPolicies[actionName] = Object.assign({}, this.retryPolicies[actionName], policy);
+    }
+
+    /**
+     * Set the URL of the device list of the accounts
+     * @param {String} devicesUrl The URL the ID of the user is appended to
+     */
+    setDevicesUrl(devicesUrl) {
+        this.devicesUrl = devicesUrl;
+    }
+
+    /**
+     * List the devices of the account
+     * @returns {Promise<Array<DeviceInfo>>} The ID, name, model and endpoint of every device
+     */
+    async getDevices() {
+        return await this._retry('get devices', this._getDevices, []);
+    }
+
+    /**
+     * Send the requests to a device of the account from now on, setWdHost can still override the host afterwards
+     * @param {String} [nameOrID] The ID or the name (case insensitive) of the device, can be omitted if the account has only one device
+     * @returns {Promise<DeviceInfo>} The selected device
+     */
+    async selectDevice(nameOrID) {
+        const devices = await this.getDevices();
+        let matches = devices;
+        if (nameOrID !== undefined) {
+            matches = devices.filter(device => device.id === nameOrID);
+            if (matches.length === 0) matches = devices.filter(device => (device.name || '').toLowerCase() === nameOrID.toLowerCase());
+        }
+        if (matches.length === 0) {
+            throw new errors.NotFoundError(nameOrID === undefined ? 'The account doesn\'t have any devices' : `Failed to find the following device: ${nameOrID}`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`${nameOrID === undefined ? 'The account has' : 'There are'} ${matches.length} devices${nameOrID === undefined ? '' : ' named ' + nameOrID}, select one by its ID: ${matches.map(device => device.id).join(', ')}`);
+        }
+        this._useDevice(matches[0]);
+        return matches[0];
+    }
+
+    // #endregion
+}
+
+// #endregion
+
+// #region Default instance
+
+/**
+ * Client used by the function exports of this module
+ */
+const defaultClient = new WdClient();
+
+/**
+ * Enable the logging of API level messages
  */
-function setWdHost(host) {
-    wdHost = host;
+function enableAPIMessages() {
+    log.enable();
 }
+
+/**
+ * Disable the logging of API level messages
+ */
+function disableAPIMessages() {
+    log.disable();
+}
+
 // #endregion
 
 module.exports = {
-    authenticate,
-    enterDirectory,
-    enterParentDirectory,
-    getCurrentFolder,
-    removePathStackEntries,
-    listFiles,
-    createDirectory,
-    removeFile,
-    uploadFile,
-    downloadFile,
+    WdClient,
+    TransferManager,
+    WdError: errors.WdError,
+    AuthenticationError: errors.AuthenticationError,
+    NotFoundError: errors.NotFoundError,
+    ConflictError: errors.ConflictError,
+    QuotaExceededError: errors.QuotaExceededError,
+    PayloadTooLargeError: errors.PayloadTooLargeError,
+    NetworkError: errors.NetworkError,
+    ServerError: errors.ServerError,
+    ChecksumMismatchError: errors.ChecksumMismatchError,
+    conflictPolicies,
+    authenticate: defaultClient.authenticate.bind(defaultClient),
+    authenticateWithRefreshToken: defaultClient.authenticateWithRefreshToken.bind(defaultClient),
+    getRefreshToken: defaultClient.getRefreshToken.bind(defaultClient),
+    restoreSession: defaultClient.restoreSession.bind(defaultClient),
+    setSessionCallback: defaultClient.setSessionCallback.bind(defaultClient),
+    enterDirectory: defaultClient.enterDirectory.bind(defaultClient),
+    enterParentDirectory: defaultClient.enterParentDirectory.bind(defaultClient),
+    getCurrentFolder: defaultClient.getCurrentFolder.bind(defaultClient),
+    removePathStackEntries: defaultClient.removePathStackEntries.bind(defaultClient),
+    listFiles: defaultClient.listFiles.bind(defaultClient),
+    iterateDirectory: defaultClient.iterateDirectory.bind(defaultClient),
+    createDirectory: defaultClient.createDirectory.bind(defaultClient),
+    removeFile: defaultClient.removeFile.bind(defaultClient),
+    renameEntry: defaultClient.renameEntry.bind(defaultClient),
+    moveEntry: defaultClient.moveEntry.bind(defaultClient),
+    batch: defaultClient.batch.bind(defaultClient),
+    removeFiles: defaultClient.removeFiles.bind(defaultClient),
+    moveEntries: defaultClient.moveEntries.bind(defaultClient),
+    getEntries: defaultClient.getEntries.bind(defaultClient),
+    copyEntry: defaultClient.copyEntry.bind(defaultClient),
+    createReadStream: defaultClient.createReadStream.bind(defaultClient),
+    createWriteStream: defaultClient.createWriteStream.bind(defaultClient),
+    uploadFile: defaultClient.uploadFile.bind(defaultClient),
+    resumeUpload: defaultClient.resumeUpload.bind(defaultClient),
+    listPendingUploads: defaultClient.listPendingUploads.bind(defaultClient),
+    downloadFile: defaultClient.downloadFile.bind(defaultClient),
+    verifyFile: defaultClient.verifyFile.bind(defaultClient),
+    createTransferManager: defaultClient.createTransferManager.bind(defaultClient),
+    uploadFolder: defaultClient.uploadFolder.bind(defaultClient),
+    downloadFolder: defaultClient.downloadFolder.bind(defaultClient),
+    sync: defaultClient.sync.bind(defaultClient),
+    resolvePath: defaultClient.resolvePath.bind(defaultClient),
+    changeDirectory: defaultClient.changeDirectory.bind(defaultClient),
+    listPath: defaultClient.listPath.bind(defaultClient),
+    iteratePath: defaultClient.iteratePath.bind(defaultClient),
+    stat: defaultClient.stat.bind(defaultClient),
+    createDirectoryAtPath: defaultClient.createDirectoryAtPath.bind(defaultClient),
+    removePath: defaultClient.removePath.bind(defaultClient),
+    removePaths: defaultClient.removePaths.bind(defaultClient),
+    renamePath: defaultClient.renamePath.bind(defaultClient),
+    movePath: defaultClient.movePath.bind(defaultClient),
+    movePaths: defaultClient.movePaths.bind(defaultClient),
+    copyPath: defaultClient.copyPath.bind(defaultClient),
+    uploadFileToPath: defaultClient.uploadFileToPath.bind(defaultClient),
+    downloadFileFromPath: defaultClient.downloadFileFromPath.bind(defaultClient),
+    verifyPath: defaultClient.verifyPath.bind(defaultClient),
+    syncPath: defaultClient.syncPath.bind(defaultClient),
     enableAPIMessages,
     disableAPIMessages,
-    setWdHost
+    setWdHost: defaultClient.setWdHost.bind(defaultClient),
+    setAuthUrl: defaultClient.setAuthUrl.bind(defaultClient),
+    getWdHost: defaultClient.getWdHost.bind(defaultClient),
+    setDevicesUrl: defaultClient.setDevicesUrl.bind(defaultClient),
+    getDevices: defaultClient.getDevices.bind(defaultClient),
+    selectDevice: defaultClient.selectDevice.bind(defaultClient),
+    setRetryPolicy: defaultClient.setRetryPolicy.bind(defaultClient),
 };
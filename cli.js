@@ -0,0 +1,760 @@
+// #region Typedefs
+/**
+ * @typedef {Object} OptionSpec
+ * @property {string} name The long name of the option without the dashes, eg. 'on-conflict'
+ * @property {string} [alias] The single letter short name of the option, eg. 'p'
+ * @property {Boolean} [value] True if the option takes a value, otherwise it's a flag
+ */
+
+/**
+ * @typedef {Object} ParsedArguments
+ * @property {(undefined|string)} command The name of the command, undefined if none was given
+ * @property {Array<string>} args The positional arguments of the command
+ * @property {Object} options The given options by their long name, true for flags and the string for options with values
+ */
+
+/**
+ * @typedef {Object} CommandSpec
+ * @property {string} usage The arguments of the command for the help
+ * @property {string} description What the command does
+ * @property {Array<OptionSpec>} options The options of the command, the global options are accepted by every command
+ * @property {number} minArgs The minimum number of positional arguments
+ * @property {number} maxArgs The maximum number of positional arguments
+ * @property {Function} run Called with the arguments, the options and the CliOutput, returns the result of the command
+ */
+// #endregion
+
+// #region Imports
+/**
+ * Module for building the local paths
+ */
+const path = require('path');
+/**
+ * Module for checking the local paths
+ */
+const fs = require('fs');
+/**
+ * Module for piping local content to the device
+ */
+const stream = require('stream');
+/**
+ * Module for communicating with the wdc device
+ */
+const bridge = require('./api');
+/**
+ * Formatting helpers shared with the shell
+ */
+const log = require('./logging');
+/**
+ * Settings file
+ */
+const settings = require('./settings');
+/**
+ * Stored host, session and credentials of the user
+ */
+const profile = require('./profile');
+// #endregion
+
+/**
+ * The exit codes of the command line interface, the typed errors of the API get their own codes so scripts can react to them
+ */
+const exitCodes = {
+    success: 0,
+    failure: 1,
+    usage: 2,
+    authentication: 3,
+    notFound: 4,
+    conflict: 5,
+    network: 6,
+    quotaExceeded: 7,
+    checksumMismatch: 8,
+};
+
+/**
+ * The exit codes of the typed errors, by the name of the error
+ */
+const errorExitCodes = {
+    AuthenticationError: exitCodes.authentication,
+    NotFoundError: exitCodes.notFound,
+    ConflictError: exitCodes.conflict,
+    NetworkError: exitCodes.network,
+    QuotaExceededError: exitCodes.quotaExceeded,
+    ChecksumMismatchError: exitCodes.checksumMismatch,
+    UsageError: exitCodes.usage,
+};
+
+/**
+ * The options accepted by every command
+ * @type {Array<OptionSpec>}
+ */
+const globalOptions = [
+    { name: 'json', value: false },
+    { name: 'quiet', alias: 'q', value: false },
+    { name: 'verbose', alias: 'v', value: false },
+    { name: 'help', alias: 'h', value: false },
+];
+
+/**
+ * Thrown when the command line arguments are invalid
+ */
+class UsageError extends Error {
+    /**
+     * Create a new usage error
+     * @param {string} message The description of the error
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Collects the output of a command, human readable text or a single JSON document
+ * Results go to the standard output, messages and errors to the standard error, so the results can be piped
+ */
+class CliOutput {
+    /**
+     * Create a new output
+     * @param {Object} options The parsed global options (json, quiet and verbose)
+     */
+    constructor(options) {
+        /**
+         * True to print a JSON document instead of text
+         * @type {Boolean}
+         */
+        this.json = options.json === true;
+        /**
+         * True to print only the results and the errors
+         * @type {Boolean}
+         */
+        this.quiet = options.quiet === true;
+        /**
+         * True to print a message for every file and entry
+         * @type {Boolean}
+         */
+        this.verbose = options.verbose === true && !this.quiet;
+        /**
+         * The errors of the entries that failed while the command went on, decide the exit code
+         * @type {Array<Error>}
+         */
+        this.failures = [];
+    }
+
+    /**
+     * Print a line of the result, skipped in JSON mode
+     * @param {string} text The line to print
+     */
+    print(text) {
+        if (!this.json) process.stdout.write(text + '\n');
+    }
+
+    /**
+     * Print a status message, skipped in JSON and quiet mode
+     * @param {string} text The message to print
+     */
+    message(text) {
+        if (!this.json && !this.quiet) process.stderr.write(text + '\n');
+    }
+
+    /**
+     * Print a message about a single file or entry, only in verbose mode
+     * @param {string} text The message to print
+     */
+    detail(text) {
+        if (!this.json && this.verbose) process.stderr.write(text + '\n');
+    }
+
+    /**
+     * Record the failure of a single entry, the command goes on with the other entries
+     * @param {string} subject What failed, eg. 'remove /a.txt'
+     * @param {Error} error The error thrown by the API
+     */
+    fail(subject, error) {
+        this.failures.push(error);
+        if (!this.json) process.stderr.write(`Failed to ${subject}: ${error.message}\n`);
+    }
+
+    /**
+     * Print the result of a command that finished
+     * @param {any} result The JSON serializable result of the command
+     * @returns {number} The exit code of the command
+     */
+    finish(result) {
+        if (this.json) process.stdout.write(JSON.stringify(result === undefined ? null : result, null, 2) + '\n');
+        return this.failures.length === 0 ? exitCodes.success : exitCodeOf(this.failures[0]);
+    }
+
+    /**
+     * Print the error a command failed with
+     * @param {Error} error The error the command threw
+     * @returns {number} The exit code of the command
+     */
+    abort(error) {
+        if (this.json) process.stdout.write(JSON.stringify({ error: describeError(error) }, null, 2) + '\n');
+        else process.stderr.write(`wd-bridge: ${error.message}\n`);
+        return exitCodeOf(error);
+    }
+}
+
+// #region Util
+
+/**
+ * Get the exit code of an error
+ * @param {Error} error The error the command failed with
+ * @returns {number} The exit code matching the type of the error, 1 for untyped errors
+ */
+function exitCodeOf(error) {
+    return errorExitCodes[error.name] || exitCodes.failure;
+}
+
+/**
+ * Describe an error in the JSON output
+ * @param {Error} error The error to describe
+ * @returns {Object} The name, message and the request details of the error
+ */
+function describeError(error) {
+    return { name: error.name, message: error.message, code: exitCodeOf(error), status: error.status, endpoint: error.endpoint, entryID: error.entryID };
+}
+
+/**
+ * Treat a remote argument as a path from the root folder, commands don't share a working directory
+ * @param {string} remotePath The remote path the user gave
+ * @returns {string} The absolute remote path
+ */
+function absoluteRemotePath(remotePath) {
+    return remotePath.startsWith('/') ? remotePath : '/' + remotePath;
+}
+
+/**
+ * Get the remote entry at a path or fail with a NotFoundError
+ * @param {string} remotePath The remote path the user gave
+ * @returns {Promise<Object>} The entry at the path
+ */
+async function requireRemoteEntry(remotePath) {
+    const entry = await bridge.resolvePath(absoluteRemotePath(remotePath));
+    if (entry === undefined) throw new bridge.NotFoundError(`Failed to locate the following path: ${remotePath}`);
+    return entry;
+}
+
+/**
+ * Check the --on-conflict option of a command
+ * @param {Object} options The options of the command
+ * @returns {(undefined|string)} The ConflictPolicy, undefined if the option wasn't given
+ */
+function conflictOption(options) {
+    const conflict = options['on-conflict'];
+    if (conflict !== undefined && !bridge.conflictPolicies.includes(conflict)) throw new UsageError(`Unknown conflict policy: ${conflict}, use one of ${bridge.conflictPolicies.join(', ')}`);
+    return conflict;
+}
+
+/**
+ * Turn the summary of a folder transfer into the result of a command, recording the failed files
+ * @param {Object} summary The TransferSummary of the API
+ * @param {CliOutput} output The output of the command
+ * @param {string} verb What happened to the files, eg. 'uploaded'
+ * @returns {Object} The counts of the transfer and the failed paths
+ */
+function transferResult(summary, output, verb) {
+    summary.failures.forEach(failure => output.fail(`transfer ${failure.job.localPath}`, failure.error));
+    if (summary.filesFailed > 0) output.message(`${summary.filesDone} files ${verb}, ${summary.filesFailed} files failed`);
+    else output.message(`${summary.filesDone} files ${verb}`);
+    return {
+        filesDone: summary.filesDone,
+        filesFailed: summary.filesFailed,
+        bytesDone: summary.bytesDone,
+        failures: summary.failures.map(failure => ({ path: failure.job.localPath, error: describeError(failure.error) })),
+    };
+}
+
+/**
+ * Record the failed responses of a batch of path actions
+ * @param {Array<Object>} responses The BatchResponses of the paths, in the order of the paths
+ * @param {Array<string>} remotePaths The paths of the entries
+ * @param {CliOutput} output The output of the command
+ * @param {string} action The action done on the paths, eg. 'remove'
+ * @returns {Array<Object>} The path and the error (undefined if it succeeded) of every entry
+ */
+function batchResult(responses, remotePaths, output, action) {
+    return responses.map((response, index) => {
+        if (response.error) output.fail(`${action} ${remotePaths[index]}`, response.error);
+        else output.detail(`${action} ${remotePaths[index]} done`);
+        return { path: remotePaths[index], error: response.error ? describeError(response.error) : undefined };
+    });
+}
+
+// #endregion
+
+// #region Commands
+
+/**
+ * List the entries of a remote folder
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Array<Object>>} The entries of the folder
+ */
+async function listCommand([remotePath = '/'], options, output) {
+    const entries = [];
+    // JSON consumers always get the details, the text output only with -l
+    for await (const entry of bridge.iteratePath(absoluteRemotePath(remotePath), { details: options.long === true || output.json })) {
+        entries.push(entry);
+        const name = entry.name + (entry.isDir ? '/' : '');
+        if (options.long) output.print(`${(entry.isDir ? '-' : log.formatSize(entry.size)).padStart(7)}  ${log.formatDate(entry.mTime).padEnd(16)}  ${name}`);
+        else output.print(name);
+    }
+    return entries;
+}
+
+/**
+ * Print the metadata of a remote entry
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Object>} The detailed entry
+ */
+async function statCommand([remotePath], options, output) {
+    const entry = await bridge.stat(absoluteRemotePath(remotePath));
+    if (!output.json) log.logStat(entry);
+    return entry;
+}
+
+/**
+ * Download a remote file/folder
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Object>} The local path and the counts of the transfer
+ */
+async function getCommand([remotePath, localPath = '.'], options, output) {
+    const entry = await requireRemoteEntry(remotePath);
+    if (entry.id === 'root') throw new UsageError('The root folder can\'t be downloaded, give a folder in it');
+    let targetPath = path.resolve(localPath);
+    // Download into an existing folder, like cp does
+    if (fs.existsSync(targetPath) && fs.statSync(targetPath).isDirectory()) targetPath = path.join(targetPath, entry.name);
+    const transferOptions = { resume: options.resume === true, verify: options.verify === true, preserveTimestamps: options['no-timestamps'] !== true };
+    if (entry.isDir) {
+        const summary = await bridge.downloadFolder(entry.id, targetPath, Object.assign(transferOptions, {
+            concurrency: settings.transferConcurrency,
+            jobDoneCallback: job => output.detail(`Downloaded ${job.localPath}`),
+        }));
+        return Object.assign({ localPath: targetPath }, transferResult(summary, output, 'downloaded'));
+    }
+    await bridge.downloadFile(entry.id, targetPath, () => { }, transferOptions);
+    output.message(`Downloaded ${remotePath} to ${targetPath}`);
+    return { localPath: targetPath, filesDone: 1, filesFailed: 0, bytesDone: entry.size, failures: [] };
+}
+
+/**
+ * Upload a local file/folder or the standard input
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Object>} The ID of the new file (not for folders) and the counts of the transfer
+ */
+async function putCommand([localPath, remotePath = '/'], options, output) {
+    const conflict = conflictOption(options);
+    const fromStdin = localPath === '-';
+    if (fromStdin && options.verify) throw new UsageError('The standard input can\'t be verified, upload a file to use --verify');
+    const fullLocalPath = fromStdin ? undefined : path.resolve(localPath);
+    if (!fromStdin && !fs.existsSync(fullLocalPath)) throw new bridge.NotFoundError(`Failed to locate the following local path: ${localPath}`);
+    const preserveTimestamps = options['no-timestamps'] !== true;
+    const stats = fromStdin ? undefined : fs.statSync(fullLocalPath);
+    const target = await bridge.resolvePath(absoluteRemotePath(remotePath));
+    if (stats !== undefined && stats.isDirectory()) {
+        if (target === undefined || !target.isDir) throw new bridge.NotFoundError(`Failed to locate the following folder: ${remotePath}`);
+        const summary = await bridge.uploadFolder(fullLocalPath, target.id, {
+            concurrency: settings.transferConcurrency,
+            verify: options.verify === true,
+            conflict,
+            preserveTimestamps,
+            jobDoneCallback: job => output.detail(`Uploaded ${job.localPath}`),
+        });
+        return transferResult(summary, output, 'uploaded');
+    }
+    if (target !== undefined && target.isDir && !fromStdin) {
+        const fileID = await bridge.uploadFile(fullLocalPath, () => { }, target.id, { verify: options.verify === true, conflict, preserveTimestamps });
+        output.message(`Uploaded ${localPath} to ${remotePath}`);
+        return { id: fileID, filesDone: 1, filesFailed: 0, bytesDone: stats.size, failures: [] };
+    }
+    // Create the file at the destination path, an existing file is handled by the conflict policy
+    const parent = await requireRemoteEntry(path.posix.dirname(absoluteRemotePath(remotePath)));
+    const fileName = path.posix.basename(absoluteRemotePath(remotePath));
+    if (!parent.isDir || fileName === '') throw new bridge.NotFoundError(`Failed to locate the following folder: ${path.posix.dirname(remotePath)}`);
+    const writeStream = bridge.createWriteStream(parent.id, fileName, { conflict, size: stats && stats.size, mTime: stats && preserveTimestamps ? stats.mtime : undefined });
+    await stream.promises.pipeline(fromStdin ? process.stdin : fs.createReadStream(fullLocalPath), writeStream);
+    if (options.verify) await bridge.verifyFile(fullLocalPath, writeStream.fileID);
+    output.message(`Uploaded ${localPath} to ${remotePath}`);
+    return { id: writeStream.fileID, filesDone: 1, filesFailed: 0, bytesDone: stats === undefined ? undefined : stats.size, failures: [] };
+}
+
+/**
+ * Remove remote entries in one batch
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Array<Object>>} The path and the error of every entry
+ */
+async function removeCommand(remotePaths, options, output) {
+    const responses = await bridge.removePaths(remotePaths.map(absoluteRemotePath), { recursive: options.recursive === true });
+    return batchResult(responses, remotePaths, output, 'remove');
+}
+
+/**
+ * Create a remote folder
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Object>} The ID and the path of the folder
+ */
+async function mkdirCommand([remotePath], options, output) {
+    const folderID = await bridge.createDirectoryAtPath(absoluteRemotePath(remotePath), options.parents === true, { conflict: conflictOption(options) });
+    output.detail(`Created ${remotePath}`);
+    return { id: folderID, path: remotePath };
+}
+
+/**
+ * Move remote entries into a folder or to a new path
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Array<Object>>} The path and the error of every entry
+ */
+async function moveCommand(args, options, output) {
+    const remotePaths = args.slice(0, -1);
+    const destPath = args[args.length - 1];
+    if (remotePaths.length === 1) {
+        await bridge.movePath(absoluteRemotePath(remotePaths[0]), absoluteRemotePath(destPath));
+        output.detail(`move ${remotePaths[0]} done`);
+        return [{ path: remotePaths[0], error: undefined }];
+    }
+    // Several entries can only be moved into a folder, like the mv command does
+    const responses = await bridge.movePaths(remotePaths.map(absoluteRemotePath), absoluteRemotePath(destPath));
+    return batchResult(responses, remotePaths, output, 'move');
+}
+
+/**
+ * Copy a remote entry into a folder or to a new path
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Object>} The ID of the copy
+ */
+async function copyCommand([srcPath, destPath], options, output) {
+    const conflict = conflictOption(options);
+    const source = await requireRemoteEntry(srcPath);
+    if (source.isDir && !options.recursive) throw new UsageError(`The following path is a folder, use -r to copy it: ${srcPath}`);
+    const copyID = await bridge.copyPath(absoluteRemotePath(srcPath), absoluteRemotePath(destPath), () => { }, { conflict });
+    output.message(`Copied ${srcPath} to ${destPath}`);
+    return { id: copyID };
+}
+
+/**
+ * Write the content of a remote file to the standard output
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<undefined>} Nothing, the content is the output
+ */
+async function catCommand([remotePath], options, output) {
+    // The content is the output, there's no result to print as JSON after it
+    if (output.json) throw new UsageError('cat writes the raw content of the file, it can\'t be combined with --json');
+    const entry = await requireRemoteEntry(remotePath);
+    if (entry.isDir) throw new UsageError(`The following path is a folder: ${remotePath}`);
+    await new Promise((resolve, reject) => {
+        const content = bridge.createReadStream(entry.id);
+        content.on('end', resolve);
+        content.on('error', reject);
+        content.pipe(process.stdout, { end: false }); // The standard output can't be reopened
+    });
+    return undefined;
+}
+
+/**
+ * Synchronize a local and a remote folder
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Object>} The planned actions, the failed removals and the counts of the transfer
+ */
+async function syncCommand([localPath, remotePath], options, output) {
+    if (options.push && options.pull) throw new UsageError('--push and --pull can\'t be combined');
+    const summary = await bridge.syncPath(path.resolve(localPath), absoluteRemotePath(remotePath), {
+        mode: options.push ? 'push' : options.pull ? 'pull' : 'both',
+        delete: options.delete === true,
+        dryRun: options['dry-run'] === true,
+        verify: options.verify === true,
+        concurrency: settings.transferConcurrency,
+    });
+    summary.actions.forEach(action => output.print(`${action.action.padEnd(12)}  ${action.relativePath}${action.isDir ? '/' : ''}  (${action.reason})`));
+    summary.failures.forEach(failure => output.fail(`remove ${failure.action.relativePath}`, failure.error));
+    const result = { actions: summary.actions, failures: summary.failures.map(failure => ({ path: failure.action.relativePath, error: describeError(failure.error) })) };
+    if (summary.transfer !== undefined) result.transfer = transferResult(summary.transfer, output, 'transferred');
+    return result;
+}
+
+/**
+ * Compare a local and a remote file by their checksums
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Object>} The VerifyResult of the API, rejects with a ChecksumMismatchError if the files differ
+ */
+async function verifyCommand([localPath, remotePath], options, output) {
+    const result = await bridge.verifyPath(path.resolve(localPath), absoluteRemotePath(remotePath));
+    output.print(`${result.algorithm} ${result.hash}`);
+    return result;
+}
+
+/**
+ * List the devices of the account
+ * @param {Array<string>} args The positional arguments of the command
+ * @param {Object} options The options of the command
+ * @param {CliOutput} output The output of the command
+ * @returns {Promise<Array<Object>>} The devices of the account
+ */
+async function devicesCommand(args, options, output) {
+    const devices = await bridge.getDevices();
+    if (!output.json) devices.forEach(device => log.logDevice(device, device.endpoint === bridge.getWdHost()));
+    return devices;
+}
+
+/**
+ * The commands of the command line interface, the interactive shell is started by index.js
+ * @type {Object<string, CommandSpec>}
+ */
+const commands = {
+    ls: {
+        usage: 'ls [-l] [remote path]',
+        description: 'list the entries of a remote folder, the root folder if not given',
+        options: [{ name: 'long', alias: 'l' }],
+        minArgs: 0,
+        maxArgs: 1,
+        run: listCommand,
+    },
+    stat: {
+        usage: 'stat <remote path>',
+        description: 'show the metadata of a remote file/folder',
+        options: [],
+        minArgs: 1,
+        maxArgs: 1,
+        run: statCommand,
+    },
+    get: {
+        usage: 'get [--resume] [--verify] [--no-timestamps] <remote path> [local path]',
+        description: 'download a remote file/folder to a local path or into a local folder, the working directory if not given',
+        options: [{ name: 'resume' }, { name: 'verify' }, { name: 'no-timestamps' }],
+        minArgs: 1,
+        maxArgs: 2,
+        run: getCommand,
+    },
+    put: {
+        usage: 'put [--verify] [--no-timestamps] [--on-conflict policy] <local path|-> [remote path]',
+        description: 'upload a local file/folder or the standard input (-) into a remote folder or to a remote file path, the root folder if not given',
+        options: [{ name: 'verify' }, { name: 'no-timestamps' }, { name: 'on-conflict', value: true }],
+        minArgs: 1,
+        maxArgs: 2,
+        run: putCommand,
+    },
+    rm: {
+        usage: 'rm [-r] <remote path...>',
+        description: 'remove remote files (and folders with -r)',
+        options: [{ name: 'recursive', alias: 'r' }],
+        minArgs: 1,
+        maxArgs: Infinity,
+        run: removeCommand,
+    },
+    mkdir: {
+        usage: 'mkdir [-p] [--on-conflict policy] <remote path>',
+        description: 'create a remote folder, -p creates the missing parent folders',
+        options: [{ name: 'parents', alias: 'p' }, { name: 'on-conflict', value: true }],
+        minArgs: 1,
+        maxArgs: 1,
+        run: mkdirCommand,
+    },
+    mv: {
+        usage: 'mv <remote path...> <destination>',
+        description: 'move remote files/folders into a folder, or one of them to a new path',
+        options: [],
+        minArgs: 2,
+        maxArgs: Infinity,
+        run: moveCommand,
+    },
+    cp: {
+        usage: 'cp [-r] [--on-conflict policy] <remote path> <destination>',
+        description: 'copy a remote file (or folder with -r) into a folder or to a new path',
+        options: [{ name: 'recursive', alias: 'r' }, { name: 'on-conflict', value: true }],
+        minArgs: 2,
+        maxArgs: 2,
+        run: copyCommand,
+    },
+    cat: {
+        usage: 'cat <remote path>',
+        description: 'write the content of a remote file to the standard output',
+        options: [],
+        minArgs: 1,
+        maxArgs: 1,
+        run: catCommand,
+    },
+    sync: {
+        usage: 'sync [--push|--pull] [--delete] [--dry-run] [--verify] <local path> <remote path>',
+        description: 'transfer the changed files between a local and a remote folder, in both directions by default',
+        options: [{ name: 'push' }, { name: 'pull' }, { name: 'delete' }, { name: 'dry-run' }, { name: 'verify' }],
+        minArgs: 2,
+        maxArgs: 2,
+        run: syncCommand,
+    },
+    verify: {
+        usage: 'verify <local path> <remote path>',
+        description: 'check that a local file and a remote file have the same content',
+        options: [],
+        minArgs: 2,
+        maxArgs: 2,
+        run: verifyCommand,
+    },
+    devices: {
+        usage: 'devices',
+        description: 'list the devices of the account, * marks the device in use',
+        options: [],
+        minArgs: 0,
+        maxArgs: 0,
+        run: devicesCommand,
+    },
+};
+
+// #endregion
+
+// #region Running
+
+/**
+ * Parse the command line arguments
+ * Options can be given anywhere, '--name=value' and '--name value' set values, '-abc' combines short flags and '--' ends the options
+ * @param {Array<string>} argv The arguments without the node executable and the script
+ * @returns {ParsedArguments} The command, its arguments and the options
+ */
+function parseArguments(argv) {
+    const parsed = { command: undefined, args: [], options: {} };
+    const findOption = (name, short) => {
+        const specs = globalOptions.concat(parsed.command === undefined || commands[parsed.command] === undefined ? [] : commands[parsed.command].options);
+        const spec = specs.find(option => short ? option.alias === name : option.name === name);
+        if (spec === undefined) throw new UsageError(`Unknown option: ${short ? '-' : '--'}${name}${parsed.command === undefined ? '' : ' for ' + parsed.command}`);
+        return spec;
+    };
+    const addPositional = (arg) => {
+        if (parsed.command !== undefined) parsed.args.push(arg);
+        else parsed.command = arg;
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            argv.slice(i + 1).forEach(addPositional);
+            break;
+        } else if (arg.startsWith('--')) {
+            const separator = arg.indexOf('=');
+            const spec = findOption(separator < 0 ? arg.substring(2) : arg.substring(2, separator), false);
+            if (!spec.value) {
+                if (separator >= 0) throw new UsageError(`The option --${spec.name} doesn't take a value`);
+                parsed.options[spec.name] = true;
+            } else if (separator >= 0) parsed.options[spec.name] = arg.substring(separator + 1);
+            else if (i + 1 < argv.length) parsed.options[spec.name] = argv[++i];
+            else throw new UsageError(`Missing value of the option --${spec.name}`);
+        } else if (arg.startsWith('-') && arg !== '-') {
+            for (const letter of arg.substring(1)) {
+                const spec = findOption(letter, true);
+                if (spec.value) throw new UsageError(`The option -${letter} needs a value, use --${spec.name}`);
+                parsed.options[spec.name] = true;
+            }
+        } else addPositional(arg);
+    }
+    return parsed;
+}
+
+/**
+ * Build the help of the command line interface
+ * @param {string} [commandName] The command to describe, every command if not given
+ * @returns {string} The help text
+ */
+function formatHelp(commandName) {
+    if (commandName !== undefined && commands[commandName] !== undefined) {
+        return `Usage: wd-bridge ${commands[commandName].usage}\n\n${commands[commandName].description}\n`;
+    }
+    const lines = ['Usage: wd-bridge [--json] [-q|--quiet] [-v|--verbose] <command> [arguments]', '', 'Commands:'];
+    Object.keys(commands).forEach(name => lines.push(`  ${commands[name].usage}`, `      ${commands[name].description}`));
+    lines.push('  shell [--script path] [-e]', '      start the interactive shell, the same as running wd-bridge without a command');
+    lines.push('      --script runs the shell commands of a file (- or piped input for the standard input), -e stops at the first failed command');
+    lines.push('  help [command]', '      show this help or the help of a command');
+    lines.push('', 'Options:');
+    lines.push('  --json         print the result or the error as a single JSON document to the standard output');
+    lines.push('  -q, --quiet    only print the results and the errors');
+    lines.push('  -v, --verbose  also print a message for every file and the retries of the API');
+    lines.push('  --on-conflict  rename (default), overwrite, skip, fail or skip-if-identical');
+    lines.push('', 'Remote paths start at the root folder. The credentials come from WD_USER/WD_PASS, the saved credentials (with WD_PASSPHRASE) or settings.js, the session of the last run is continued if there is one.');
+    lines.push('', `Exit codes: 0 success, 1 failure, 2 invalid arguments, 3 authentication, 4 not found, 5 conflict, 6 network, 7 out of space, 8 checksum mismatch`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Configure the bridge from the settings and the profile and authenticate without prompting
+ * The stored session is continued unless WD_USER and WD_PASS are set, otherwise the credentials are resolved like auth -a of the shell
+ */
+async function connect() {
+    bridge.setWdHost(profile.resolveHost(settings));
+    bridge.setAuthUrl(settings.authUrl);
+    bridge.setDevicesUrl(settings.devicesUrl);
+    bridge.removePathStackEntries(Infinity); // Every command starts at the root folder
+    bridge.setSessionCallback(tokens => profile.updateProfile({ tokens })); // The next command continues the session
+    const stored = profile.readProfile();
+    if (stored.tokens !== undefined && !(process.env.WD_USER && process.env.WD_PASS)) {
+        bridge.restoreSession(stored.tokens);
+    } else {
+        // The passphrase can't be prompted for, the secrets file is only read with WD_PASSPHRASE
+        const credentials = profile.resolveCredentials(settings, process.env.WD_PASSPHRASE);
+        if (credentials.source === 'none') throw new bridge.AuthenticationError('Not logged in, set WD_USER and WD_PASS or log in with the auth command of wd-bridge shell');
+        if (!await bridge.authenticate(credentials.user, credentials.pass)) throw new bridge.AuthenticationError(`Failed to authenticate with the credentials from ${credentials.source}`);
+        profile.updateProfile({ user: credentials.user });
+    }
+    // Logins select the device by themselves, a continued session has to do it here
+    if (bridge.getWdHost() === '') await bridge.selectDevice();
+}
+
+/**
+ * Run a command of the command line interface
+ * @param {Array<string>} argv The arguments without the node executable and the script, eg. ['ls', '-l', '/Photos']
+ * @returns {Promise<number>} The exit code, see exitCodes
+ */
+async function run(argv) {
+    let parsed;
+    try {
+        parsed = parseArguments(argv);
+    } catch (error) {
+        // The output options may not be parsed yet
+        return new CliOutput({ json: argv.includes('--json') }).abort(error);
+    }
+    const output = new CliOutput(parsed.options);
+    if (parsed.command === undefined || parsed.command === 'help' || parsed.options.help) {
+        process.stdout.write(formatHelp(parsed.command === 'help' ? parsed.args[0] : parsed.command));
+        return exitCodes.success;
+    }
+    const command = commands[parsed.command];
+    try {
+        if (command === undefined) throw new UsageError(`Unknown command: ${parsed.command}, see wd-bridge help`);
+        if (parsed.args.length < command.minArgs || parsed.args.length > command.maxArgs) throw new UsageError(`Wrong number of arguments, usage: wd-bridge ${command.usage}`);
+        // The API messages are messages like every other one, stdout only holds the results
+        log.setAPIStream(process.stderr);
+        if (output.verbose && !output.json) bridge.enableAPIMessages();
+        else bridge.disableAPIMessages();
+        await connect();
+        return output.finish(await command.run(parsed.args, parsed.options, output));
+    } catch (error) {
+        return output.abort(error);
+    }
+}
+
+// #endregion
+
+module.exports = {
+    exitCodes,
+    parseArguments,
+    formatHelp,
+    connect,
+    run,
+};
@@ -0,0 +1,154 @@
+/**
+ * @typedef {Object} CompletionEntry
+ * @property {string} name The name of the file/folder
+ * @property {Boolean} isDir True if the entry is a folder, otherwise false
+ */
+
+/**
+ * @typedef {Object} CompletionSpec
+ * @property {Array<string>} [flags] The options without a value, see the OptionsSpec of the tokenizer
+ * @property {Array<string>} [values] The options with a value
+ * @property {number} [max] The maximum number of operands
+ * @property {Array<(string|Array<string>)>} [complete] What the operands are by their position, the last one repeats: 'remote' or 'local' paths, 'none' or the list of the accepted words, remote paths if not given
+ */
+
+/**
+ * @typedef {Object} CompletionSources
+ * @property {Function} listRemote Called with the path of a remote folder, resolves the CompletionEntries of the folder
+ * @property {Function} listLocal Called with the Token of a local folder path, returns the CompletionEntries of the folder
+ * @property {Object} [optionValues] The accepted values of the options with a value by the name of the option, eg. the conflict policies
+ */
+
+/**
+ * Command line lexer of the shell, reads the line being typed
+ */
+const tokenizer = require('./tokenizer');
+
+/**
+ * The milliseconds a cached listing is used for, the folders can change on the device in the meantime
+ */
+const defaultCacheLifetime = 60 * 1000;
+
+/**
+ * Cache of folder listings, so that pressing tab repeatedly doesn't list the same folder again and again
+ */
+class ListingCache {
+    /**
+     * Create an empty cache
+     * @param {number} [lifetime] The milliseconds a listing is used for
+     */
+    constructor(lifetime = defaultCacheLifetime) {
+        /**
+         * The lifetime of the listings in milliseconds
+         * @type {number}
+         */
+        this.lifetime = lifetime;
+        /**
+         * The listings and the times they were loaded by their keys
+         * @type {Map<string, Object>}
+         */
+        this.listings = new Map();
+    }
+
+    /**
+     * Get a listing from the cache or load it
+     * @param {string} key The key of the listing, eg. the absolute path of the folder
+     * @param {Function} load Called if the listing isn't cached or too old, resolves the entries of the folder
+     * @returns {Promise<Array<CompletionEntry>>} The entries of the folder
+     */
+    async get(key, load) {
+        const cached = this.listings.get(key);
+        if (cached !== undefined && Date.now() - cached.time < this.lifetime) return cached.entries;
+        const entries = await load();
+        this.listings.set(key, { time: Date.now(), entries });
+        return entries;
+    }
+
+    /**
+     * Forget every listing, eg. after a command changed the remote folders
+     */
+    clear() {
+        this.listings.clear();
+    }
+}
+
+/**
+ * Get the possible arguments of a path being typed
+ * @param {Object} current The Token of the path being typed
+ * @param {string} kind Either 'remote' or 'local'
+ * @param {CompletionSources} sources Where to get the entries from
+ * @returns {Promise<Array<string>>} The paths of the entries in the folder of the path, folders end with a /
+ */
+async function completePath(current, kind, sources) {
+    // Complete the name after the last /, in the folder before it
+    const folderPath = current.value.substring(0, current.value.lastIndexOf('/') + 1);
+    let entries;
+    try {
+        if (kind === 'remote') entries = await sources.listRemote(folderPath === '' ? '.' : folderPath);
+        else entries = sources.listLocal({ value: folderPath === '' ? '.' : folderPath, literal: current.literal });
+    } catch (error) {
+        return []; // Nothing to complete in a missing folder, or before logging in
+    }
+    return entries.map(entry => folderPath + entry.name + (entry.isDir ? '/' : ''));
+}
+
+/**
+ * Get the possible arguments at the end of a command line
+ * @param {Array<Object>} words The Tokens before the argument being typed
+ * @param {Object} current The Token being typed
+ * @param {Object<string, CompletionSpec>} specs The commands by their names
+ * @param {CompletionSources} sources Where to get the entries from
+ * @returns {Promise<Array<string>>} The candidates, not filtered yet
+ */
+async function getCandidates(words, current, specs, sources) {
+    if (words.length === 0) return Object.keys(specs);
+    const spec = specs[words[0].value];
+    if (spec === undefined) return [];
+    const previous = words[words.length - 1];
+    if (words.length > 1 && !previous.literal && (spec.values || []).includes(previous.value)) {
+        return (sources.optionValues || {})[previous.value] || [];
+    }
+    if (!current.literal && current.value.startsWith('-')) return [...(spec.flags || []), ...(spec.values || [])];
+    let operandCount;
+    try {
+        operandCount = tokenizer.parseOptions(words.slice(1), spec).operands.length;
+    } catch (error) {
+        return []; // The user has to fix the options first
+    }
+    if (operandCount >= (spec.max === undefined ? Infinity : spec.max)) return [];
+    const complete = spec.complete || ['remote'];
+    const kind = complete[Math.min(operandCount, complete.length - 1)];
+    if (Array.isArray(kind)) return kind;
+    if (kind === 'remote' || kind === 'local') return await completePath(current, kind, sources);
+    return [];
+}
+
+/**
+ * Complete the argument at the end of a command line, like the tab key of a shell
+ * The completions start with the text of the argument as typed, so that the quotes and escapes of the user are kept
+ * @param {string} line The command line up to the cursor
+ * @param {Object<string, CompletionSpec>} specs The commands by their names
+ * @param {CompletionSources} sources Where to get the entries from
+ * @returns {Promise<Array>} The completions and the text of the argument they replace, in the format of the readline completer
+ */
+async function completeLine(line, specs, sources) {
+    let tokens;
+    try {
+        tokens = tokenizer.tokenize(line, undefined, true);
+    } catch (error) {
+        return [[], line]; // A trailing backslash, the next character decides the argument
+    }
+    const current = tokens[tokens.length - 1];
+    const typed = line.substring(current.start);
+    const candidates = await getCandidates(tokens.slice(0, -1), current, specs, sources);
+    const matches = candidates.filter(candidate => candidate.startsWith(current.value)).sort();
+    const completions = matches.map(match => typed + tokenizer.escapeArgument(match.substring(current.value.length), current.quote, current.value === ''));
+    // A single complete argument is finished like a shell does, folders are kept open for the next name
+    if (completions.length === 1 && !completions[0].endsWith('/')) completions[0] += (current.quote || '') + ' ';
+    return [completions, typed];
+}
+
+module.exports = {
+    ListingCache,
+    completeLine,
+};
@@ -0,0 +1,230 @@
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {number} [status] The HTTP status code of the response, undefined if there was no response
+ * @property {string} [endpoint] The method and path of the request, eg. 'GET /sdk/v2/files/abc'
+ * @property {string} [entryID] The ID of the remote entry the request was about
+ * @property {Error} [cause] The underlying error
+ * @property {number} [retryAfter] The milliseconds the device asked to wait before trying again
+ */
+
+/**
+ * Base of the errors of the bridge, carrying the details of the failed request
+ */
+class WdError extends Error {
+    /**
+     * Create a new bridge error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'WdError';
+        /**
+         * HTTP status code of the response, undefined if there was no response
+         */
+        this.status = details.status;
+        /**
+         * Method and path of the request
+         */
+        this.endpoint = details.endpoint;
+        /**
+         * ID of the remote entry the request was about
+         */
+        this.entryID = details.entryID;
+        /**
+         * Underlying error
+         */
+        this.cause = details.cause;
+        /**
+         * Milliseconds the device asked to wait before trying again, undefined if it didn't ask
+         */
+        this.retryAfter = details.retryAfter;
+    }
+}
+
+/**
+ * Thrown when the device or the login rejects the session and it can't be renewed
+ */
+class AuthenticationError extends WdError {
+    /**
+     * Create a new authentication error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AuthenticationError';
+    }
+}
+
+/**
+ * Thrown when a remote entry or path doesn't exist
+ */
+class NotFoundError extends WdError {
+    /**
+     * Create a new not found error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Thrown when a change conflicts with the state of the device, eg. an entry with the same name already exists
+ */
+class ConflictError extends WdError {
+    /**
+     * Create a new conflict error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ConflictError';
+    }
+}
+
+/**
+ * Thrown when the device doesn't have enough space left
+ */
+class QuotaExceededError extends WdError {
+    /**
+     * Create a new quota exceeded error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'QuotaExceededError';
+    }
+}
+
+/**
+ * Thrown when the device rejects a request as too large, eg. a batch with too many sub-requests
+ */
+class PayloadTooLargeError extends WdError {
+    /**
+     * Create a new payload too large error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'PayloadTooLargeError';
+    }
+}
+
+/**
+ * Thrown when the device can't be reached or the connection broke
+ */
+class NetworkError extends WdError {
+    /**
+     * Create a new network error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Thrown when the device fails to handle a request or answers it unexpectedly
+ */
+class ServerError extends WdError {
+    /**
+     * Create a new server error
+     * @param {string} message The description of the error
+     * @param {ErrorDetails} [details] The details of the failed request
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * Thrown when the content of a transferred file doesn't match its source
+ */
+class ChecksumMismatchError extends WdError {
+    /**
+     * Create a new checksum mismatch error
+     * @param {string} localPath The path of the local file
+     * @param {string} fileID The ID of the remote file
+     * @param {string} algorithm The hash algorithm used for the comparison
+     * @param {string} localHash The hash of the local file
+     * @param {string} remoteHash The hash of the remote file
+     */
+    constructor(localPath, fileID, algorithm, localHash, remoteHash) {
+        super(`Checksum mismatch between ${localPath} and remote file ${fileID} (${algorithm} ${localHash} != ${remoteHash})`, { entryID: fileID });
+        this.name = 'ChecksumMismatchError';
+        /**
+         * Path of the local file
+         */
+        this.localPath = localPath;
+        /**
+         * ID of the remote file
+         */
+        this.fileID = fileID;
+        /**
+         * Hash algorithm used for the comparison
+         */
+        this.algorithm = algorithm;
+        /**
+         * Hash of the local file
+         */
+        this.localHash = localHash;
+        /**
+         * Hash of the remote file
+         */
+        this.remoteHash = remoteHash;
+    }
+}
+
+/**
+ * Create the error matching the status code of a failed response
+ * @param {number} status The HTTP status code of the response
+ * @param {string} endpoint The method and path of the request
+ * @param {string} [entryID] The ID of the remote entry the request was about
+ * @param {number} [retryAfter] The milliseconds the device asked to wait before trying again
+ * @returns {WdError} The error to reject with
+ */
+function errorFromStatus(status, endpoint, entryID, retryAfter) {
+    const details = { status, endpoint, entryID, retryAfter };
+    const subject = entryID === undefined ? endpoint : `entry ${entryID}`;
+    if (status === 401 || status === 403) return new AuthenticationError(`The device rejected the session (${status} on ${endpoint})`, details);
+    if (status === 404) return new NotFoundError(`The ${subject} doesn't exist on the device (${status} on ${endpoint})`, details);
+    if (status === 409) return new ConflictError(`The ${subject} conflicts with an existing entry (${status} on ${endpoint})`, details);
+    if (status === 413) return new PayloadTooLargeError(`The request is too large for the device (${status} on ${endpoint})`, details);
+    if (status === 507) return new QuotaExceededError(`The device doesn't have enough space left (${status} on ${endpoint})`, details);
+    return new ServerError(`Unexpected status code ${status} on ${endpoint}`, details);
+}
+
+/**
+ * Create the error of a request that didn't get a response
+ * @param {Error} cause The error of the request
+ * @param {string} endpoint The method and path of the request
+ * @param {string} [entryID] The ID of the remote entry the request was about
+ * @returns {NetworkError} The error to reject with
+ */
+function networkError(cause, endpoint, entryID) {
+    return new NetworkError(`Failed to reach the device (${cause.code || cause.message} on ${endpoint})`, { endpoint, entryID, cause });
+}
+
+module.exports = {
+    WdError,
+    AuthenticationError,
+    NotFoundError,
+    ConflictError,
+    QuotaExceededError,
+    PayloadTooLargeError,
+    NetworkError,
+    ServerError,
+    ChecksumMismatchError,
+    errorFromStatus,
+    networkError,
+};
@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /**
  * Module to figure out the name of a local path
  */
@@ -6,10 +7,18 @@ const path = require('path');
  * Module for filesystem integration
  */
 const fs = require('fs');
+/**
+ * Module for piping remote content
+ */
+const stream = require('stream');
 /**
  * Module for input handling from the terminal
  */
 const qoa = require('qoa');
+/**
+ * Module for the prompt of the interactive shell, with completion and history
+ */
+const readline = require('readline');
 /**
  * Module for communicating with the wdc device
  */
@@ -23,353 +32,901 @@ const log = require('./logging');
  */
 const settings = require('./settings');
 /**
- * Cache file listing in the current working directory
+ * Stored host, session and credentials of the user
+ */
+const profile = require('./profile');
+/**
+ * Non-interactive command line interface
+ */
+const cli = require('./cli');
+/**
+ * Command line lexer of the shell
+ */
+const tokenizer = require('./tokenizer');
+/**
+ * Tab completion of the interactive shell
  */
-let cwdCache = null;
+const completion = require('./completion');
 /**
  * The local working directory
  * @type {string}
  */
 let lwd = __dirname;
+/**
+ * The remote working directory as a path, shown in the prompt
+ * @type {string}
+ */
+let rwd = '/';
+/**
+ * The remote folder listings of the tab completion
+ * @type {completion.ListingCache}
+ */
+const remoteListings = new completion.ListingCache();
+/**
+ * False while running a script, the commands can't prompt the user then
+ * @type {Boolean}
+ */
+let interactive = true;
+
+/**
+ * @typedef {Object} ScriptReport
+ * @property {number} commands The number of commands run
+ * @property {number} failed The number of failed commands
+ * @property {(undefined|number)} stoppedAt The line the script stopped at because of set -e, undefined if it ran to the end
+ */
+
+/**
+ * @typedef {Object} CommandStatus
+ * @property {Boolean} exit True if the shell has to exit, otherwise false
+ * @property {Boolean} success False if the command or a part of it failed, otherwise true
+ */
 
 /**
  * Authenticate to the wdc
  * @param {String} user The username
  * @param {String} pass The password
+ * @returns {Promise<Boolean>} True if the authentication succeeded, otherwise false
  */
 async function authenticate(user, pass) {
     const authResult = await bridge.authenticate(user, pass);
     if (!authResult) log.authFailed();
-    else log.authSuccess();
+    else {
+        profile.updateProfile({ user });
+        log.authSuccess();
+    }
+    return authResult;
 }
 
 /**
- * Get the id of the specified folder and enter it
- * @param {String} folderName The name of the folder to enter to
+ * Authenticate without asking for the username and password
+ * Uses WD_USER and WD_PASS, the secrets file (with the WD_PASSPHRASE or a prompted passphrase), the settings, then the stored session in this order
+ * @returns {Promise<Boolean>} True if the authentication succeeded, otherwise false
  */
-async function seekAndEnter(folderName) {
-    const lsResult = await bridge.listFiles();
-    const targetDir = lsResult.find(item => item.name == folderName && item.isDir); // Find the folder in the list
-    if (targetDir === undefined) { // Folder doesn't exist
-        log.pathNotFound();
+async function authenticateUnattended() {
+    let passphrase;
+    if (!(process.env.WD_USER && process.env.WD_PASS) && profile.hasSecrets()) {
+        passphrase = process.env.WD_PASSPHRASE;
+        // Scripts skip the secrets file without WD_PASSPHRASE
+        if (passphrase === undefined && interactive) passphrase = (await qoa.prompt([{type: 'hidden', query: 'Passphrase: ', handle: 'passphrase'}])).passphrase;
+    }
+    let credentials;
+    try {
+        credentials = profile.resolveCredentials(settings, passphrase);
+    } catch (error) {
+        log.actionFail('read the secrets file', error);
         return false;
     }
-    else bridge.enterDirectory(targetDir.id);
-    cwdCache = null;
+    if (credentials.source !== 'none') return Boolean(await authenticate(credentials.user, credentials.pass));
+    if (await bridge.authenticateWithRefreshToken()) {
+        log.authSuccess();
+        return true;
+    }
+    log.authFailed();
+    return false;
+}
+
+/**
+ * Prompt for credentials, authenticate with them and store them encrypted with a passphrase
+ * @returns {Promise<Boolean>} True if the credentials were saved, otherwise false
+ */
+async function saveCredentials() {
+    const credentials = await qoa.prompt([
+        {type: 'input', query: 'Username: ', handle: 'username'},
+        {type: 'hidden', query: 'Password: ', handle: 'password'},
+    ]);
+    if (!await authenticate(credentials.username, credentials.password)) return false;
+    const secret = await qoa.prompt([
+        {type: 'hidden', query: 'Passphrase: ', handle: 'passphrase'},
+        {type: 'hidden', query: 'Repeat passphrase: ', handle: 'repeated'},
+    ]);
+    if (secret.passphrase === '' || secret.passphrase !== secret.repeated) {
+        log.actionFail('save the credentials', new Error('The passphrases are empty or don\'t match'));
+        return false;
+    }
+    profile.writeSecrets({ user: credentials.username, pass: credentials.password }, secret.passphrase);
+    log.credentialsSaved();
     return true;
 }
 
 /**
- * Escape spaces and extend relative paths
+ * Extend relative local paths with the local working directory
  * @param {string} inputPath The path the user gave
+ * @returns {string} The absolute path
  */
 function formatPath(inputPath) {
-    while (inputPath.indexOf('\\ ') > 0) {
-        inputPath = inputPath.replace('\\ ', ' ');
-    }
     return inputPath.startsWith('/') ? inputPath : path.join(lwd, inputPath);
 }
 
 /**
- * Upload a folder to the current working directory of the remote
- * @param {string} srcFolderPath The path of the folder to upload to the remote
+ * Get the absolute path of a local path argument, a leading ~ is the home folder
+ * @param {Object} token The Token of the local path argument, see the tokenizer
+ * @returns {string} The absolute path
  */
-async function recursiveUploadFolders(srcFolderPath) {
-    const uploadFolder = async (local, parent) => {
-        // Enter the parent directory
-        bridge.enterDirectory(parent);
-
-        /**
-         * Entires in the current local folder
-         */
-        const entries = fs.readdirSync(local);
-        /**
-         * List of folders in the current local folder
-         */
-        const folderList = [];
-        /**
-         * List of files in the current local folder
-         */
-        const fileList = [];
-        /**
-         * List of the created folder IDs on the remote
-         */
-        const idList = [];
+function localPath(token) {
+    return formatPath(tokenizer.expandHome(token));
+}
 
-        // Enumerate entries in current local directory
-        entries.forEach(entry => {
-            if (fs.statSync(local + '/' + entry).isDirectory()) folderList.push(entry);
-            else fileList.push(entry);
+/**
+ * Upload a folder to a folder on the remote
+ * @param {string} srcFolderPath The path of the folder to upload to the remote
+ * @param {string} destFolderID The ID of the remote folder to upload to
+ * @param {Boolean} verify True to compare the checksums of the uploaded files, otherwise false
+ * @param {(undefined|string)} conflict What to do about the existing entries with the same names, see the ConflictPolicy of the API
+ * @param {Boolean} preserveTimestamps True to give the remote files and folders the modification times of the local ones, otherwise false
+ * @returns {Promise<Boolean>} True if every file and folder was uploaded, otherwise false
+ */
+async function recursiveUploadFolders(srcFolderPath, destFolderID, verify, conflict, preserveTimestamps) {
+    let summary;
+    try {
+        summary = await bridge.uploadFolder(srcFolderPath, destFolderID, {
+            concurrency: settings.transferConcurrency,
+            verify,
+            conflict,
+            preserveTimestamps,
+            progressCallback: (progress) => log.setTransferProgress(progress),
+            jobDoneCallback: (job) => {
+                if (job.isDir) log.folderCreated(job.name);
+            },
+            jobFailCallback: (job, error) => log.fileUploadFail(error),
         });
-
-        // Create folders on remote
-        for (const folder of folderList) {
-            const directoryID = await bridge.createDirectory(folder);
-            log.folderCreated(folder);
-            idList.push(directoryID);
-        }
-
-        // Upload files to remote
-        for (const file of fileList) {
-            log.startFileUpload(file);
-            try {
-                await bridge.uploadFile(path.join(local, file), (progress) => log.setUploadProgress(file, progress));
-                log.fileUploadDone();
-            } catch (error) {
-                log.fileUploadFail(error);
-            }
-        }
-
-        // Check folders in current local directory for more entries
-        for (let i = 0; i < folderList.length; i++) {
-            // Upload child folder, will enter child folder as parent
-            await uploadFolder(path.join(local, folderList[i]), idList[i]);
-            // Restore the parent folder in the api stack
-            bridge.enterParentDirectory();
-        }
-    };
-
-    // Save current folder, to restore after upload is done
-    const currentFolderID = bridge.getCurrentFolder();
-    // Create main directory on remote
-    const mainFolderID = await bridge.createDirectory(path.basename(srcFolderPath));
-    // Begin uploading content
-    await uploadFolder(srcFolderPath, mainFolderID);
-    // Restore original working directory
-    bridge.enterDirectory(currentFolderID);
+    } catch (error) {
+        log.actionFail('upload the folder', error);
+        return false;
+    }
+    log.transferDone(summary);
+    return summary.filesFailed === 0;
 }
 
 /**
  * Download an entire folder from the remote device to the local system
  * @param {string} srcFolderID The ID of the remote forlder to download
  * @param {string} basepath The path to download the folder to, including the name of the folder
+ * @param {Boolean} resume True to continue a previous download of the folder, otherwise false
+ * @param {Boolean} verify True to compare the checksums of the downloaded files, otherwise false
+ * @param {Boolean} preserveTimestamps True to give the local files and folders the modification times of the remote ones, otherwise false
+ * @returns {Promise<Boolean>} True if every file and folder was downloaded, otherwise false
  */
-async function recursiveDownloadFolders(srcFolderID, basepath) {
-    const downloadFolder = async (remoteFolderID, localPath) => {
-        // Enter the current directory
-        bridge.enterDirectory(remoteFolderID);
-
-        /**
-         * Entires in the current remote folder
-         */
-        const entries = await bridge.listFiles();
-        /**
-         * List of folders in the current remote folder
-         */
-        const folderList = entries.filter(entry => entry.isDir);
-        /**
-         * List of files in the current remote folder
-         */
-        const fileList = entries.filter(entry => !entry.isDir);
+async function recursiveDownloadFolders(srcFolderID, basepath, resume, verify, preserveTimestamps) {
+    let summary;
+    try {
+        summary = await bridge.downloadFolder(srcFolderID, basepath, {
+            concurrency: settings.transferConcurrency,
+            resume,
+            verify,
+            preserveTimestamps,
+            progressCallback: (progress) => log.setTransferProgress(progress),
+            jobFailCallback: (job, error) => log.fileDownloadFail(error),
+        });
+    } catch (error) {
+        log.actionFail('download the folder', error);
+        return false;
+    }
+    log.transferDone(summary);
+    return summary.filesFailed === 0;
+}
 
-        // Create folders on the local system
-        for (const folder of folderList) {
-            const localPathNewFolder = path.join(localPath, folder.name);
-            fs.mkdirSync(localPathNewFolder);
-        }
+/**
+ * The options and the operands of the shell commands, by the name of the command
+ * The required list names the operands that have to be given, max is the maximum number of operands
+ * Complete tells the tab completion what the operands are (remote paths if not given, see the CompletionSpec), readOnly commands keep the cached remote listings
+ */
+const commandSpecs = {
+    'exit': { max: 0, readOnly: true },
+    'help': { max: 0, readOnly: true },
+    'clear': { max: 0, readOnly: true },
+    'auth': { flags: ['-a', '--save'], max: 0 },
+    'logout': { max: 0 },
+    'devices': { max: 0, readOnly: true },
+    'device': { required: ['use', 'device name or ID'], max: 2, complete: [['use'], 'none'] },
+    'ls': { flags: ['-l', '--json'], max: 1, readOnly: true },
+    'stat': { flags: ['--json'], required: ['remote path'], max: Infinity, readOnly: true },
+    'cd': { required: ['remote path'], max: 1, readOnly: true },
+    'mkdir': { flags: ['-p'], values: ['--on-conflict'], required: ['remote path'], max: Infinity },
+    'rm': { flags: ['-r', '-f'], required: ['remote path'], max: Infinity },
+    'mv': { required: ['remote path', 'destination path'], max: Infinity },
+    'rename': { required: ['remote path', 'new name'], max: 2 },
+    'cp': { flags: ['-r'], values: ['--on-conflict'], required: ['remote path', 'destination path'], max: Infinity },
+    'cat': { required: ['remote path'], max: Infinity, readOnly: true },
+    'put': { values: ['--on-conflict'], required: ['local path', 'remote path'], max: 2, complete: ['local', 'remote'] },
+    'upload': { flags: ['--resume', '--verify', '--no-timestamps'], values: ['--on-conflict'], max: Infinity, complete: ['local'] },
+    'download': { flags: ['--resume', '--verify', '--no-timestamps'], required: ['remote path'], max: Infinity, readOnly: true },
+    'verify': { required: ['local path', 'remote path'], max: 2, readOnly: true, complete: ['local', 'remote'] },
+    'sync': { flags: ['--push', '--pull', '--delete', '--dry-run', '--verify'], required: ['local path', 'remote path'], max: 2, complete: ['local', 'remote'] },
+    'l': { required: ['local command'], max: 2, readOnly: true, complete: [['pwd', 'cd', 'ls'], 'local'] },
+};
 
-        // Download files from remote
-        for (const file of fileList) {
-            log.startFileDownload(file.name);
-            const filePath = path.join(localPath, file.name);
-            try {
-                await bridge.downloadFile(file.id, filePath, (progress) => log.setDownloadProgress(file.name, progress));
-                log.fileDownloadDone(filePath);
-            } catch (error) {
-                log.fileDownloadFail(error);
-            }
+/**
+ * Run a single shell command
+ * @param {string} command The command entered by the user
+ * @param {Object} [variables] The values of the $NAME variables of the command, undefined to keep $ signs as they are
+ * @returns {Promise<CommandStatus>} Whether the shell has to exit and whether the command succeeded
+ */
+async function runCommand(command, variables) {
+    /**
+     * @type {CommandStatus}
+     */
+    const status = { exit: false, success: true };
+    /**
+     * Print a failure of the command, the command fails even if its other parts succeed
+     * @param {Function} report The logging function of the failure, eg. log.actionFail
+     * @param {...*} reportArgs The arguments of the logging function
+     * @returns {CommandStatus} The status of the command
+     */
+    const fail = (report, ...reportArgs) => {
+        status.success = false;
+        report(...reportArgs);
+        return status;
+    };
+    let name;
+    let spec;
+    let options;
+    let operands;
+    try {
+        const tokens = tokenizer.tokenize(command, variables);
+        if (tokens.length === 0) return status;
+        name = tokens[0].value;
+        spec = commandSpecs[name];
+        if (spec === undefined) {
+            return fail(log.unknownCommand, name);
         }
-
-        // Download subfolders from the remote
-        for (const folder of folderList) {
-            // Download the subfolder from the remote
-            await downloadFolder(folder.id, path.join(localPath, folder.name));
+        ({ options, operands } = tokenizer.parseOptions(tokens.slice(1), spec));
+        const required = spec.required || [];
+        if (operands.length < required.length) {
+            return fail(log.missingArgument, required[operands.length]);
         }
-    };
-
-    // Get the ID of the current working directory
-    const currentFolderID = bridge.getCurrentFolder();
-    bridge.enterDirectory(srcFolderID);
-    // Create main directory on remote
-    fs.mkdirSync(basepath);
-    // Begin uploading content
-    await downloadFolder(srcFolderID, basepath);
-    // Restore the original working directory
-    bridge.enterDirectory(currentFolderID);
-}
+        if (operands.length > spec.max) throw new Error(`Too many arguments for ${name}, see help`);
+    } catch (error) {
+        return fail(log.invalidArguments, error.message);
+    }
+    // The listings of the completion may be outdated after the command
+    if (!spec.readOnly) remoteListings.clear();
+    // The remote paths as given, the local paths go through localPath for the ~
+    const args = operands.map(operand => operand.value);
+    const conflict = options['--on-conflict'];
 
-/**
- * Simple command shell for user interaction
- */
-async function handleCommands() {
-    while (true) {
-        const result = await qoa.input({type: 'input', query: '> ', handle: 'command'});
-        /**
-         * @type {string}
-         */
-        const command = result.command;
-        if (command === 'exit') break;
-        else if (command === 'auth') {
+    if (name === 'exit') {
+        status.exit = true;
+        return status;
+    } else if (!interactive && name === 'auth' && !options['-a']) {
+        fail(log.actionFail, 'authenticate', new Error('Scripts can\'t prompt for the credentials, use auth -a or the stored session'));
+    } else if (name === 'auth') {
+        let authenticated;
+        if (options['-a']) authenticated = await authenticateUnattended();
+        else if (options['--save']) authenticated = await saveCredentials();
+        else {
             // Get the username and the password
             const credentials = await qoa.prompt([
                 {type: 'input', query: 'Username: ', handle: 'username'},
                 {type: 'hidden', query: 'Password: ', handle: 'password'},
             ]);
-            
-            await authenticate(credentials.username, credentials.password);
-        } else if (command === 'auth -a') {
-            await authenticate(settings.user, settings.pass);
-        } else if (command === 'ls') {
-            const lsResult = await bridge.listFiles();
-            cwdCache = lsResult;
-            lsResult.forEach(entry => log.logEntry(entry));
-        } else if (command === 'clear') console.clear();
-        else if (command.startsWith('cd ')) {
-            const path = command.substring(3);
-            if (path === '/') bridge.enterDirectory('root'); // Root path
-            else if (path.indexOf('/') < 0) { // Only one folder, relative path
-                if (cwdCache !== null) {
-                    const targetDir = cwdCache.find(item => item.name == path && item.isDir);
-                    if (targetDir === undefined) log.pathNotFound();
-                    else bridge.enterDirectory(targetDir.id);
-                    cwdCache = null;
-                } else {
-                    await seekAndEnter(path);
-                }
-            } else { // Multiple folders relative path or absolute path
-                const pathParts = path.split('/');
-                let iterator = 0;
-                for (const currentFolder of pathParts) {
-                    if (currentFolder === '') { // Root folder or trailing slash (ignoring trailing slash)
-                        if (iterator === 0) bridge.enterDirectory('root'); // Enter the root folder
-                    } else if (currentFolder === '..') { // Parent directory
-                        bridge.enterParentDirectory();
-                        cwdCache = null;
-                    } else { // Actual folder to enter
-                        const result = await seekAndEnter(currentFolder); // Get the ID of the folder and enter it
-                        if (!result) { // If folder doesn't exists go back to the original folder
-                            if (iterator > 0) bridge.removePathStackEntries(iterator);
-                        }
-                    }
 
-                    iterator++;
-                }
+            authenticated = await authenticate(credentials.username, credentials.password);
+        }
+        if (!authenticated) status.success = false;
+    } else if (name === 'devices') {
+        try {
+            const devices = await bridge.getDevices();
+            if (devices.length === 0) log.noDevices();
+            devices.forEach(device => log.logDevice(device, device.endpoint === bridge.getWdHost()));
+        } catch (error) {
+            fail(log.actionFail, 'get the devices', error);
+        }
+    } else if (name === 'device') {
+        if (args[0] !== 'use') {
+            return fail(log.unknownCommand, `device ${args[0]}`);
+        }
+        try {
+            const device = await bridge.selectDevice(args[1]);
+            profile.updateProfile({ host: device.endpoint });
+            log.deviceSelected(device);
+        } catch (error) {
+            fail(log.actionFail, 'select the device', error);
+        }
+    } else if (name === 'logout') {
+        bridge.restoreSession({});
+        profile.updateProfile({ tokens: undefined });
+        profile.removeSecrets();
+        log.loggedOut();
+    } else if (name === 'ls') {
+        const remotePath = args.length > 0 ? args[0] : '.';
+        const details = options['-l'] === true || options['--json'] === true;
+        try {
+            const entries = [];
+            // Print the entries as the pages of the listing arrive, JSON is printed at once
+            for await (const entry of bridge.iteratePath(remotePath, { details })) {
+                if (options['--json']) entries.push(entry);
+                else log.logEntry(entry, options['-l'] === true);
             }
-        } else if (command.startsWith('mkdir ')) {
-            const folderName = command.substring(6);
-            if (folderName.indexOf('/') > -1) {
-                log.onlyRelativePath();
-            } else {
-                await bridge.createDirectory(folderName);
+            if (options['--json']) log.logJSON(entries);
+        } catch (error) {
+            fail(log.actionFail, 'list files', error);
+        }
+    } else if (name === 'stat') {
+        for (const remotePath of args) {
+            try {
+                // Make sure the API treats the argument as a path and not as an ID
+                const entry = await bridge.stat(remotePath.indexOf('/') < 0 ? './' + remotePath : remotePath);
+                if (options['--json']) log.logJSON(entry);
+                else log.logStat(entry);
+            } catch (error) {
+                fail(log.actionFail, 'get entry data', error);
+            }
+        }
+    } else if (name === 'clear') console.clear();
+    else if (name === 'cd') {
+        const startPath = getRemotePath();
+        try {
+            const result = await bridge.changeDirectory(args[0]);
+            if (!result) fail(log.pathNotFound, args[0]);
+            else rwd = path.posix.resolve(startPath, args[0]);
+        } catch (error) {
+            fail(log.actionFail, 'change directory', error);
+        }
+    } else if (name === 'mkdir') {
+        for (const remotePath of args) {
+            try {
+                await bridge.createDirectoryAtPath(remotePath, options['-p'] === true, { conflict });
+                log.folderCreated(remotePath);
+            } catch (error) {
+                fail(log.actionFail, 'create directory', error);
             }
-        } else if (command.startsWith('rm ')) {
-            const entryName = command.substring(3);
-            if (entryName.indexOf('/') > -1) {
-                log.onlyRelativePath();
+        }
+    } else if (name === 'rm') {
+        try {
+            // Every entry is removed in the same batch, report the ones that failed
+            const responses = await bridge.removePaths(args, { recursive: options['-r'] === true });
+            responses.forEach((response, index) => {
+                // -f ignores the entries that don't exist
+                if (response.error && !(options['-f'] && response.error instanceof bridge.NotFoundError)) fail(log.actionFail, 'remove ' + args[index], response.error);
+            });
+        } catch (error) {
+            fail(log.actionFail, 'remove entries', error);
+        }
+    } else if (name === 'mv') {
+        const destPath = args.pop();
+        try {
+            if (args.length === 1) {
+                await bridge.movePath(args[0], destPath);
             } else {
-                if (cwdCache === null) cwdCache = await bridge.listFiles();
-                
-                const target = cwdCache.find(item => item.name == entryName);
-                if (target !== undefined) await bridge.removeFile(target.id);
-                else log.pathNotFound(entryName);
+                // Several entries can only be moved into a folder, like the mv command does
+                const responses = await bridge.movePaths(args, destPath);
+                responses.forEach((response, index) => {
+                    if (response.error) fail(log.actionFail, 'move ' + args[index], response.error);
+                });
             }
-        } else if (command.startsWith('upload ')) {
-            const localPath = command.substring(7);
-            const fullLocalPath = formatPath(localPath);
+        } catch (error) {
+            fail(log.actionFail, 'move entry', error);
+        }
+    } else if (name === 'rename') {
+        try {
+            await bridge.renamePath(args[0], args[1]);
+        } catch (error) {
+            fail(log.actionFail, 'rename entry', error);
+        }
+    } else if (name === 'cp') {
+        const destPath = args.pop();
+        if (args.length > 1) {
+            // Several entries can only be copied into a folder
+            try {
+                const dest = await bridge.resolvePath(destPath);
+                if (dest === undefined || !dest.isDir) {
+                    return fail(log.pathNotFound, destPath);
+                }
+            } catch (error) {
+                return fail(log.actionFail, 'copy entries', error);
+            }
+        }
+        for (const srcPath of args) {
+            try {
+                const source = await bridge.resolvePath(srcPath);
+                if (source === undefined) {
+                    fail(log.pathNotFound, srcPath);
+                    continue;
+                }
+                if (source.isDir && !options['-r']) {
+                    fail(log.recursiveRequired, srcPath);
+                    continue;
+                }
+                await bridge.copyPath(srcPath, destPath, (progress) => log.setCopyProgress(progress), { conflict });
+                log.copyDone();
+            } catch (error) {
+                fail(log.actionFail, 'copy entry', error);
+            }
+        }
+    } else if (name === 'cat') {
+        for (const remotePath of args) {
+            try {
+                const target = await bridge.resolvePath(remotePath);
+                if (target === undefined || target.isDir) {
+                    fail(log.pathNotFound, remotePath);
+                    continue;
+                }
+                await new Promise((resolve, reject) => {
+                    const content = bridge.createReadStream(target.id);
+                    content.on('end', resolve);
+                    content.on('error', reject);
+                    content.pipe(process.stdout, { end: false }); // Keep the terminal open after the file ends
+                });
+            } catch (error) {
+                fail(log.actionFail, 'read file', error);
+            }
+        }
+    } else if (name === 'put') {
+        const remotePath = args[1];
+        const fromStdin = args[0] === '-';
+        const fullLocalPath = fromStdin ? undefined : localPath(operands[0]);
+        if (!fromStdin && !fs.existsSync(fullLocalPath)) {
+            return fail(log.pathNotFound, fullLocalPath);
+        }
+        // Upload into the destination if it's a folder, otherwise create the file at the destination path
+        let target;
+        let fileName = fromStdin ? undefined : path.basename(fullLocalPath);
+        try {
+            target = await bridge.resolvePath(remotePath);
+            if (target === undefined || !target.isDir) { // An existing file is handled by the conflict policy
+                target = await bridge.resolvePath(path.posix.dirname(remotePath));
+                fileName = path.posix.basename(remotePath);
+            }
+        } catch (error) {
+            return fail(log.fileUploadFail, error);
+        }
+        if (target === undefined || !target.isDir || fileName === undefined) {
+            return fail(log.pathNotFound, remotePath);
+        }
+        log.startFileUpload(fileName);
+        try {
+            const source = fromStdin ? process.stdin : fs.createReadStream(fullLocalPath);
+            const stats = fromStdin ? undefined : fs.statSync(fullLocalPath);
+            const streamOptions = { conflict, size: stats && stats.size, mTime: stats && stats.mtime };
+            await new Promise((resolve, reject) => {
+                stream.pipeline(source, bridge.createWriteStream(target.id, fileName, streamOptions), error => error ? reject(error) : resolve());
+            });
+            log.fileUploadDone();
+        } catch (error) {
+            fail(log.fileUploadFail, error);
+        }
+    } else if (name === 'upload') {
+        const verify = options['--verify'] === true;
+        const preserveTimestamps = options['--no-timestamps'] !== true;
+        if (options['--resume']) {
+            if (args.length === 0) {
+                const pendingUploads = bridge.listPendingUploads();
+                if (pendingUploads.length === 0) log.noPendingUploads();
+                pendingUploads.forEach(upload => log.logPendingUpload(upload));
+                return status;
+            }
+            for (const journalID of args) {
+                log.startFileUpload(journalID);
+                try {
+                    await bridge.resumeUpload(journalID, (progress) => log.setUploadProgress(journalID, progress.toFixed(2)), { verify, preserveTimestamps });
+                    log.fileUploadDone();
+                } catch (error) {
+                    fail(log.fileUploadFail, error);
+                }
+            }
+            return status;
+        }
+        if (operands.length === 0) {
+            return fail(log.missingArgument, 'local path');
+        }
+        // With several paths the last one is the remote folder, like cp does
+        const remotePath = operands.length > 1 ? args[args.length - 1] : '.';
+        const localOperands = operands.length > 1 ? operands.slice(0, -1) : operands;
+        let target;
+        try {
+            target = await bridge.resolvePath(remotePath);
+        } catch (error) {
+            return fail(log.fileUploadFail, error);
+        }
+        if (target === undefined || !target.isDir) {
+            return fail(log.pathNotFound, remotePath);
+        }
+        for (const operand of localOperands) {
+            const fullLocalPath = localPath(operand);
             const fileName = path.basename(fullLocalPath);
+            if (!fs.existsSync(fullLocalPath)) {
+                fail(log.pathNotFound, fullLocalPath);
+                continue;
+            }
             const entryIsDirectory = fs.statSync(fullLocalPath).isDirectory();
             if (entryIsDirectory) {
-                await recursiveUploadFolders(fullLocalPath);
+                if (!await recursiveUploadFolders(fullLocalPath, target.id, verify, conflict, preserveTimestamps)) status.success = false;
             } else {
                 log.startFileUpload(fileName);
                 try {
-                    await bridge.uploadFile(fullLocalPath, (progress) => log.setUploadProgress(fileName, progress.toFixed(2)));
+                    await bridge.uploadFile(fullLocalPath, (progress) => log.setUploadProgress(fileName, progress.toFixed(2)), target.id, { verify, conflict, preserveTimestamps });
                     log.fileUploadDone();
                 } catch (error) {
-                    log.fileUploadFail(error);
+                    fail(log.fileUploadFail, error);
                 }
             }
-        } else if (command.startsWith('download ')) {
-            const entryName = command.substring(9);
-            if (entryName.indexOf('/') > -1) {
-                log.onlyRelativePath();
+        }
+    } else if (name === 'download') {
+        const resume = options['--resume'] === true;
+        const verify = options['--verify'] === true;
+        const preserveTimestamps = options['--no-timestamps'] !== true;
+        for (const remotePath of args) {
+            let target;
+            try {
+                target = await bridge.resolvePath(remotePath);
+            } catch (error) {
+                fail(log.fileDownloadFail, error);
+                continue;
+            }
+            if (target === undefined || target.id === 'root') {
+                fail(log.pathNotFound, remotePath);
+                continue;
+            }
+            const downloadPath = path.join(lwd, target.name || path.posix.basename(remotePath));
+            if (target.isDir) {
+                if (!await recursiveDownloadFolders(target.id, downloadPath, resume, verify, preserveTimestamps)) status.success = false;
             } else {
-                if (cwdCache === null) cwdCache = await bridge.listFiles();
-                
-                const target = cwdCache.find(item => item.name == entryName);
-                if (target !== undefined) {
-                    const localPath = path.join(lwd, target.name);
-                    if (target.isDir) {
-                        await recursiveDownloadFolders(target.id, localPath);
-                    } else {
-                        try {
-                            log.startFileDownload(target.name);
-                            await bridge.downloadFile(target.id, localPath, (progress) => log.setDownloadProgress(target.name, progress.toFixed(2)));
-                            log.fileDownloadDone(localPath);
-                        } catch (error) {
-                            log.fileDownloadFail(error);
-                        }
-                    }
+                try {
+                    log.startFileDownload(target.name);
+                    await bridge.downloadFile(target.id, downloadPath, (progress) => log.setDownloadProgress(target.name, progress.toFixed(2)), { resume, verify, preserveTimestamps });
+                    log.fileDownloadDone(downloadPath);
+                } catch (error) {
+                    fail(log.fileDownloadFail, error);
                 }
-                else log.pathNotFound(entryName);
             }
-        } else if (command === 'help') {
-            console.log('help - display this menu');
-            console.log('exit - exit from the wdc shell');
-            console.log('clear - clear the screen');
-            console.log('ls - Get the list of entries in the current working directory');
-            console.log('auth - authenticate to the wdc server');
-            console.log('auth -a - authenticate to the wdc server with the credentials stored in settings.json');
-            console.log('mkdir [folder name] - create a new folder in the current working directory');
-            console.log('rm [entry name] - remove an entry from the current working directory');
-            console.log('cd [path] - change the current working directory');
-            console.log('upload [local file path] - upload a file to the current working directory');
-            console.log('download [remote file name] - download a remote file from the current working directory');
-            console.log('l pwd - print the current working directory on the local system');
-            console.log('l cd [local path] - change the current working directory on the local system');
-            console.log('l ls [path] - list files in the given folder/current working directory if not given');
-        } else if (command.startsWith('l ')) {
-            const localCommand = command.substring(2);
-            if (localCommand === 'pwd') {
-                console.log(`The current local working directory is: ${lwd}`);
-            } else if (localCommand.startsWith('cd ')) {
-                let givenPath = localCommand.substring(3);
-                const fullPath = formatPath(givenPath);
-                if (fs.existsSync(fullPath)) {
-                    lwd = fullPath;
-                } else {
-                    log.pathNotFound(fullPath);
-                }
-            } else if (localCommand.startsWith('ls')) {
-                let fullPath = lwd;
-                if (localCommand.length > 2) {
-                    let givenPath = localCommand.substring(3);
-                    fullPath = formatPath(givenPath);
-                }
+        }
+    } else if (name === 'verify') {
+        const fullLocalPath = localPath(operands[0]);
+        if (!fs.existsSync(fullLocalPath)) {
+            return fail(log.pathNotFound, fullLocalPath);
+        }
+        try {
+            log.verifyDone(await bridge.verifyPath(fullLocalPath, args[1]));
+        } catch (error) {
+            fail(log.actionFail, 'verify file', error);
+        }
+    } else if (name === 'sync') {
+        if (options['--push'] && options['--pull']) {
+            return fail(log.invalidArguments, '--push and --pull can\'t be combined');
+        }
+        const syncOptions = {
+            mode: options['--push'] ? 'push' : options['--pull'] ? 'pull' : 'both',
+            delete: options['--delete'] === true,
+            dryRun: options['--dry-run'] === true,
+            verify: options['--verify'] === true,
+            concurrency: settings.transferConcurrency,
+            progressCallback: (progress) => log.setTransferProgress(progress),
+            jobFailCallback: (job, error) => job.direction === 'upload' ? fail(log.fileUploadFail, error) : fail(log.fileDownloadFail, error),
+        };
+        try {
+            const summary = await bridge.syncPath(localPath(operands[0]), args[1], syncOptions);
+            summary.actions.forEach(action => log.logSyncAction(action));
+            summary.failures.forEach(failure => fail(log.actionFail, 'remove ' + failure.action.relativePath, failure.error));
+            log.syncDone(summary);
+        } catch (error) {
+            fail(log.actionFail, 'sync folders', error);
+        }
+    } else if (name === 'help') {
+        console.log('help - display this menu');
+        console.log('exit - exit from the wdc shell');
+        console.log('clear - clear the screen');
+        console.log('ls [-l] [--json] [path] - Get the list of entries in the given folder/current working directory if not given, -l shows sizes and dates, --json prints the entries as JSON');
+        console.log('stat [--json] [path...] - show the metadata of remote files/folders');
+        console.log('auth - authenticate to the wdc server');
+        console.log('auth -a - authenticate to the wdc server without prompting, with WD_USER/WD_PASS, the saved credentials (WD_PASSPHRASE or a prompted passphrase), settings.js or the stored session');
+        console.log('auth --save - authenticate to the wdc server and save the credentials encrypted with a passphrase');
+        console.log('logout - forget the stored session and the saved credentials');
+        console.log('devices - list the devices of the account, * marks the device in use');
+        console.log('device use [name|id] - send the requests to the given device, also on the next start');
+        console.log('mkdir [-p] [--on-conflict policy] [path...] - create new folders, -p creates the missing parent folders');
+        console.log('rm [-r] [-f] [path...] - remove remote files (and folders with -r) in one request, -f ignores the missing paths');
+        console.log('cd [path] - change the current working directory');
+        console.log('mv [path...] [destination] - move a remote file/folder into a folder or to a new path, several entries into a folder in one request');
+        console.log('rename [path] [new name] - rename a remote file/folder');
+        console.log('cp [-r] [--on-conflict policy] [path...] [destination] - copy remote files (or folders with -r) into a folder, a single entry also to a new path');
+        console.log('upload [--verify] [--no-timestamps] [--on-conflict policy] [local path...] [remote folder] - upload files/folders to the given folder/current working directory if a single path is given, --verify compares the checksums after the upload');
+        console.log('upload --resume [--verify] [--no-timestamps] [upload id...] - continue interrupted uploads, lists the interrupted uploads if no ID is given');
+        console.log('download [--resume] [--verify] [--no-timestamps] [remote path...] - download remote files/folders to the local working directory, --resume continues an interrupted download, --verify compares the checksums after the download');
+        console.log('  uploads and downloads keep the modification times of the files and folders, --no-timestamps stamps the copies with the transfer time instead');
+        console.log('verify [local path] [remote path] - check that a local file and a remote file have the same content');
+        console.log('sync [--push|--pull] [--delete] [--dry-run] [--verify] [local path] [remote path] - transfer the changed files between a local and a remote folder, in both directions by default, --delete removes the extra entries when pushing/pulling');
+        console.log('cat [remote path...] - print the content of remote files');
+        console.log('put [--on-conflict policy] [local path|-] [remote path] - upload a local file or the standard input (-) to a remote folder or file path');
+        console.log('  --on-conflict decides what happens to an existing entry with the same name: rename (default, the device picks a free name), overwrite, skip, fail or skip-if-identical (same size and modification time)');
+        console.log('l pwd - print the current working directory on the local system');
+        console.log('l cd [local path] - change the current working directory on the local system');
+        console.log('l ls [path] - list files in the given folder/current working directory if not given');
+        console.log('Arguments are separated by spaces, quote them with \'...\' or "..." or escape characters with \\ to keep spaces, quotes and leading dashes, -- ends the options');
+        console.log('~ at the start of a local path is the home folder, scripts replace $NAME and ${NAME} with environment variables');
+        console.log('Tab completes the commands, options and paths, the up and down keys browse the commands of this and the earlier sessions');
+    } else if (name === 'l') {
+        const localCommand = args[0];
+        if (localCommand === 'pwd' && args.length === 1) {
+            console.log(`The current local working directory is: ${lwd}`);
+        } else if (localCommand === 'cd' && args.length === 2) {
+            const fullPath = localPath(operands[1]);
+            if (fs.existsSync(fullPath)) {
+                lwd = fullPath;
+            } else {
+                fail(log.pathNotFound, fullPath);
+            }
+        } else if (localCommand === 'ls') {
+            const fullPath = args.length > 1 ? localPath(operands[1]) : lwd;
 
-                if (fs.existsSync(fullPath)) {
-                    const entries = fs.readdirSync(fullPath);
-                    entries.sort((left, right) => {
-                        // Ignore case, and dots
-                        const a = left.toLowerCase().replace('.', '');
-                        const b = right.toLowerCase().replace('.', '');
-                        if (a > b) return 1;
-                        else if (a < b) return -1;
-                        else return 0;
-                    });
-                    const entryList = entries.map(entry => {
-                        const entryPath = path.join(fullPath, entry);
-                        const isDir = fs.statSync(entryPath).isDirectory();
-                        return {name: entry, isDir};
-                    });
-                    entryList.forEach(entry => log.logEntry(entry));
-                } else {
-                    log.pathNotFound(fullPath);
-                }
+            if (fs.existsSync(fullPath)) {
+                const entries = fs.readdirSync(fullPath);
+                entries.sort((left, right) => {
+                    // Ignore case, and dots
+                    const a = left.toLowerCase().replace('.', '');
+                    const b = right.toLowerCase().replace('.', '');
+                    if (a > b) return 1;
+                    else if (a < b) return -1;
+                    else return 0;
+                });
+                const entryList = entries.map(entry => {
+                    const entryPath = path.join(fullPath, entry);
+                    const isDir = fs.statSync(entryPath).isDirectory();
+                    return {name: entry, isDir};
+                });
+                entryList.forEach(entry => log.logEntry(entry));
+            } else {
+                fail(log.pathNotFound, fullPath);
+            }
+        } else fail(log.unknownCommand, `l ${args.join(' ')}`);
+    }
+    return status;
+}
+
+/**
+ * Run the commands of a script one by one and report the status of every command
+ * Empty lines and lines starting with # are skipped, set -e stops the script at the first failed command and set +e turns it off again
+ * @param {string} script The content of the script, one command per line
+ * @param {Object} [options] The stopOnError option starts the script with set -e
+ * @returns {Promise<ScriptReport>} The number of commands and failures
+ */
+async function runScript(script, options = {}) {
+    interactive = false;
+    let stopOnError = options.stopOnError === true;
+    const report = { commands: 0, failed: 0, stoppedAt: undefined };
+    try {
+        const lines = script.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '' || line.startsWith('#')) continue;
+            if (line === 'set -e' || line === 'set +e') {
+                stopOnError = line === 'set -e';
+                continue;
+            }
+            let status;
+            try {
+                status = await runCommand(line, process.env);
+            } catch (error) {
+                log.actionFail('run the command', error);
+                status = { exit: false, success: false };
+            }
+            const success = status.success;
+            report.commands++;
+            if (!success) report.failed++;
+            log.scriptCommandDone(i + 1, line, success);
+            if (status.exit) break;
+            if (!success && stopOnError) {
+                report.stoppedAt = i + 1;
+                log.scriptStopped(i + 1);
+                break;
+            }
+        }
+    } finally {
+        interactive = true;
+    }
+    log.scriptDone(report);
+    return report;
+}
+
+/**
+ * Get the path of the remote working directory
+ * @returns {string} The absolute path of the folder the relative paths start from
+ */
+function getRemotePath() {
+    // Selecting another device starts at its root folder
+    if (bridge.getCurrentFolder() === undefined) rwd = '/';
+    return rwd;
+}
+
+/**
+ * Get the prompt of the interactive shell
+ * @returns {string} The prompt with the remote working directory
+ */
+function getPrompt() {
+    return `${getRemotePath()}> `;
+}
+
+/**
+ * Complete the command being typed, the remote folders are listed once and cached until a command changes them
+ * @param {string} line The command line up to the cursor
+ * @returns {Promise<Array>} The completions and the text they replace, see completeLine of the completion
+ */
+async function completeCommand(line) {
+    return await completion.completeLine(line, commandSpecs, {
+        listRemote: (folderPath) => remoteListings.get(path.posix.resolve(getRemotePath(), folderPath), () => bridge.listPath(folderPath)),
+        listLocal: (token) => fs.readdirSync(localPath(token), { withFileTypes: true }).map(entry => ({ name: entry.name, isDir: entry.isDirectory() })),
+        optionValues: { '--on-conflict': bridge.conflictPolicies },
+    });
+}
+
+/**
+ * Read a command from the terminal, tab completes it and the arrow keys browse the history
+ * Every command gets its own prompt, so that the commands can prompt the user in the meantime
+ * @param {Array<string>} history The earlier commands from the oldest to the newest
+ * @returns {Promise<(undefined|string)>} The command, undefined if the input ended (Ctrl+D)
+ */
+function readCommand(history) {
+    return new Promise(resolve => {
+        const prompt = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            completer: (line, callback) => completeCommand(line).then(result => callback(null, result), () => callback(null, [[], line])),
+            history: history.slice().reverse(), // Newest first
+            historySize: settings.historySize,
+        });
+        let command;
+        prompt.on('line', line => {
+            command = line;
+            prompt.close();
+        });
+        // Ctrl+C drops the line being typed like other shells do
+        prompt.on('SIGINT', () => {
+            command = '';
+            process.stdout.write('\n');
+            prompt.close();
+        });
+        prompt.on('close', () => resolve(command));
+        prompt.setPrompt(getPrompt());
+        prompt.prompt();
+    });
+}
+
+/**
+ * Simple command shell for user interaction
+ */
+async function handleCommands() {
+    const history = profile.readHistory();
+    while (true) {
+        const command = await readCommand(history);
+        if (command === undefined) break;
+        if (command.trim() !== '' && command !== history[history.length - 1]) {
+            history.push(command);
+            try {
+                profile.writeHistory(history, settings.historySize);
+            } catch (error) {
+                log.actionFail('save the command history', error);
+            }
+        }
+        try {
+            if ((await runCommand(command)).exit) break;
+        } catch (error) { // The commands report their own failures, anything else mustn't end the shell
+            log.actionFail('run the command', error);
+        }
+    }
+}
+
+/**
+ * Read everything piped to the standard input
+ * @returns {Promise<string>} The text of the standard input
+ */
+function readStandardInput() {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => text += chunk);
+        process.stdin.on('end', () => resolve(text));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Parse the arguments of the shell command: --script <path> and -e (--stop-on-error)
+ * @param {Array<string>} args The arguments after 'shell'
+ * @returns {Object} The script path (undefined if not given, '-' for the standard input) and the stopOnError flag
+ */
+function parseShellArguments(args) {
+    const options = { script: undefined, stopOnError: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '-e' || args[i] === '--stop-on-error') options.stopOnError = true;
+        else if (args[i].startsWith('--script=')) options.script = args[i].substring(9);
+        else if (args[i] === '--script' && i + 1 < args.length) options.script = args[++i];
+        else throw new Error(`Unknown shell argument: ${args[i]}, use shell [--script path] [-e]`);
+    }
+    return options;
+}
+
+/**
+ * Run a script file or the piped standard input without prompting, authenticating with the stored session or credentials
+ * @param {Object} options The script path (undefined or '-' for the standard input) and the stopOnError flag
+ * @returns {Promise<number>} The exit code, 0 if every command succeeded
+ */
+async function startScript(options) {
+    const script = options.script === undefined || options.script === '-' ? await readStandardInput() : fs.readFileSync(options.script, 'utf8');
+    lwd = process.cwd(); // Relative local paths of scripts are relative to where they are started
+    try {
+        await cli.connect();
+    } catch (error) {
+        log.actionFail('authenticate', error);
+        return cli.exitCodes.authentication;
+    }
+    const report = await runScript(script, { stopOnError: options.stopOnError });
+    return report.failed === 0 ? cli.exitCodes.success : cli.exitCodes.failure;
+}
+
+/**
+ * Configure the bridge from the settings and the profile, then start the shell
+ */
+async function startShell() {
+    bridge.setWdHost(profile.resolveHost(settings));
+    bridge.setAuthUrl(settings.authUrl);
+    bridge.setDevicesUrl(settings.devicesUrl);
+    // Continue the session of the last run and keep the stored session up to date
+    const stored = profile.readProfile();
+    if (stored.tokens !== undefined) {
+        bridge.restoreSession(stored.tokens);
+        // Logins select the device by themselves, a continued session has to do it here
+        if (bridge.getWdHost() === '') {
+            try {
+                log.deviceSelected(await bridge.selectDevice());
+            } catch (error) {
+                log.actionFail('select a device, use devices and device use', error);
             }
         }
     }
+    bridge.setSessionCallback(tokens => profile.updateProfile({ tokens }));
+    await handleCommands();
+}
+
+/**
+ * Run a command of the command line interface, or the shell if there's no command or the command is 'shell'
+ * @param {Array<string>} args The arguments without the node executable and the script
+ * @returns {Promise<number>} The exit code
+ */
+async function main(args) {
+    if (args.length > 0 && args[0] !== 'shell') return await cli.run(args);
+    let options;
+    try {
+        options = parseShellArguments(args.slice(1));
+    } catch (error) {
+        log.invalidArguments(error.message);
+        return cli.exitCodes.usage;
+    }
+    // Piped commands run like a script
+    if (options.script !== undefined || !process.stdin.isTTY) return await startScript(options);
+    await startShell();
+    return cli.exitCodes.success;
+}
+
+// Only start when run directly, the tests drive runCommand, runScript and the cli themselves
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => process.exitCode = exitCode, (error) => {
+        log.actionFail('run wd-bridge', error);
+        process.exitCode = cli.exitCodes.failure;
+    });
 }
 
-bridge.setWdHost(settings.wdHost);
-handleCommands();
\ No newline at end of file
+module.exports = {
+    runCommand,
+    runScript,
+    completeCommand,
+    getPrompt,
+};
@@ -0,0 +1,110 @@
+/**
+ * @typedef {Object} UploadJournal
+ * @property {string} id The ID of the journal
+ * @property {string} filePath The path of the uploaded file on the local system
+ * @property {string} parentID The ID of the remote folder the file is uploaded to
+ * @property {string} fileName The name of the file on the remote
+ * @property {number} size The size of the local file when the upload started
+ * @property {number} mTimeMs The modification time of the local file when the upload started
+ * @property {string} url The resumable content url of the upload
+ * @property {string} entryID The ID of the new remote file
+ * @property {string} activityID The activity ID of the upload
+ * @property {number} offset The number of bytes the remote acknowledged
+ */
+
+/**
+ * Module for reading and writing journal files
+ */
+const fs = require('fs');
+/**
+ * Module for building the journal paths
+ */
+const path = require('path');
+/**
+ * Module for getting the home directory of the user
+ */
+const os = require('os');
+/**
+ * Module for generating journal IDs
+ */
+const crypto = require('crypto');
+/**
+ * The folder the journals are stored in if the client doesn't specify one
+ */
+const defaultJournalDir = path.join(os.homedir(), '.config', 'wd-bridge', 'uploads');
+
+/**
+ * Generate the ID of a new journal
+ * @returns {string} The random ID of the journal
+ */
+function createJournalID() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Get the path of a journal file
+ * @param {string} journalDir The folder of the journals
+ * @param {string} journalID The ID of the journal
+ * @returns {string} The path of the journal file
+ */
+function getJournalPath(journalDir, journalID) {
+    // IDs are only ever hex strings, don't let them point outside of the journal folder
+    if (!/^[0-9a-f]+$/.test(journalID)) throw new Error(`Invalid upload journal ID: ${journalID}`);
+    return path.join(journalDir, journalID + '.json');
+}
+
+/**
+ * Read a journal
+ * @param {string} journalDir The folder of the journals
+ * @param {string} journalID The ID of the journal
+ * @returns {(undefined|UploadJournal)} The journal, undefined if it doesn't exist
+ */
+function readJournal(journalDir, journalID) {
+    const journalPath = getJournalPath(journalDir, journalID);
+    if (!fs.existsSync(journalPath)) return undefined;
+    return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+}
+
+/**
+ * Create or overwrite a journal
+ * @param {string} journalDir The folder of the journals
+ * @param {UploadJournal} journal The journal to save
+ */
+function writeJournal(journalDir, journal) {
+    fs.mkdirSync(journalDir, { recursive: true, mode: 0o700 });
+    // Write to a temporary file first, so that a crash can't leave a half written journal behind
+    const journalPath = getJournalPath(journalDir, journal.id);
+    fs.writeFileSync(journalPath + '.tmp', JSON.stringify(journal), { mode: 0o600 });
+    fs.renameSync(journalPath + '.tmp', journalPath);
+}
+
+/**
+ * Remove a journal if it exists
+ * @param {string} journalDir The folder of the journals
+ * @param {string} journalID The ID of the journal
+ */
+function removeJournal(journalDir, journalID) {
+    const journalPath = getJournalPath(journalDir, journalID);
+    if (fs.existsSync(journalPath)) fs.unlinkSync(journalPath);
+}
+
+/**
+ * List every journal in a folder
+ * @param {string} journalDir The folder of the journals
+ * @returns {Array<UploadJournal>} The journals of the unfinished uploads
+ */
+function listJournals(journalDir) {
+    if (!fs.existsSync(journalDir)) return [];
+    return fs.readdirSync(journalDir)
+        .filter(fileName => fileName.endsWith('.json'))
+        .map(fileName => readJournal(journalDir, path.basename(fileName, '.json')));
+}
+
+module.exports = {
+    defaultJournalDir,
+    createJournalID,
+    readJournal,
+    writeJournal,
+    removeJournal,
+    listJournals,
+};
@@ -12,10 +12,48 @@ const uploadProgress = new signale.Signale({interactive: true, scope: 'File Uplo
  * Logger for downloading files
  */
 const downloadProgress = new signale.Signale({interactive: true, scope: 'File Download'});
+/**
+ * Logger for the overall progress of folder transfers
+ */
+const transferProgress = new signale.Signale({interactive: true, scope: 'Transfer'});
+/**
+ * Logger for copying files on the remote
+ */
+const copyProgress = new signale.Signale({interactive: true, scope: 'File Copy'});
+/**
+ * The stream the API messages are written to, looked up on every message so that it can be changed after the loggers were handed out
+ */
+let apiStream = process.stdout;
 /**
  * Logger for API messages
  */
-const apiLogger = new signale.Signale({scope: 'API'});
+const apiLogger = new signale.Signale({scope: 'API', stream: {write: text => apiStream.write(text)}});
+/**
+ * What the user can do about the typed errors of the API, by the name of the error
+ */
+const errorHints = {
+    AuthenticationError: 'The session expired or was rejected, use auth to log in again',
+    NotFoundError: 'The entry doesn\'t exist (anymore), check the path with ls',
+    ConflictError: 'An entry with the same name already exists or the entry changed in the meantime',
+    QuotaExceededError: 'The device is out of space, free up some space and try again',
+    PayloadTooLargeError: 'The device doesn\'t accept requests of this size',
+    NetworkError: 'The device can\'t be reached, check the connection and try again',
+    ServerError: 'The device failed to handle the request, try again later',
+};
+
+/**
+ * Print an error thrown by the API, typed errors are printed with a hint instead of the stack trace
+ * @param {Error} internalError The error thrown by the API
+ */
+function printError(internalError) {
+    const hint = errorHints[internalError.name];
+    if (hint === undefined) {
+        signale.error(internalError);
+        return;
+    }
+    signale.error(internalError.message);
+    signale.note(hint);
+}
 
 /**
  * Get the API logger
@@ -24,6 +62,14 @@ function getAPILogger() {
     return apiLogger;
 }
 
+/**
+ * Write the API messages to another stream, eg. to stderr when stdout holds the results of a command
+ * @param {stream.Writable} stream The stream to write the messages to
+ */
+function setAPIStream(stream) {
+    apiStream = stream;
+}
+
 /**
  * Generate error message for missing entry
  * @param {String} path The path of the given entry
@@ -32,13 +78,88 @@ function pathNotFound(path) {
     signale.error('Failed to located the following path: ' + path);
 }
 
+/**
+ * Format a size in bytes to a human readable size
+ * @param {number} size The size in bytes
+ * @returns {string} The size with a unit, eg. 1.5M
+ */
+function formatSize(size) {
+    const units = ['B', 'K', 'M', 'G', 'T'];
+    let unitIndex = 0;
+    while (size >= 1024 && unitIndex < units.length - 1) {
+        size /= 1024;
+        unitIndex++;
+    }
+    return (unitIndex === 0 ? size.toString() : size.toFixed(1)) + units[unitIndex];
+}
+
+/**
+ * Format a date to a human readable local date
+ * @param {(undefined|Date)} date The date to format
+ * @returns {string} The date in YYYY-MM-DD HH:mm format, '-' if there's no date
+ */
+function formatDate(date) {
+    if (date === undefined) return '-';
+    // 0 prefix function
+    const pf = (input) => input.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pf(date.getMonth() + 1)}-${pf(date.getDate())} ${pf(date.getHours())}:${pf(date.getMinutes())}`;
+}
+
 /**
  * Print an entry to the terminal
  * @param {Object} entry The entry result from the listFiles function
+ * @param {Boolean} [long] True to print the size and modification time before the name, otherwise false
+ */
+function logEntry(entry, long = false) {
+    const name = entry.isDir ? `\x1b[36m${entry.name}\x1b[0m/` : entry.name;
+    if (!long) console.log(name);
+    else console.log(`${(entry.isDir ? '-' : formatSize(entry.size)).padStart(7)}  ${formatDate(entry.mTime).padEnd(16)}  ${name}`);
+}
+
+/**
+ * Print entries or other results of the API as JSON to the terminal
+ * @param {any} value The value to print
  */
-function logEntry(entry) {
-    if (entry.isDir) console.log(`\x1b[36m${entry.name}\x1b[0m/`);
-    else console.log(entry.name);
+function logJSON(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Print the metadata of an entry to the terminal
+ * @param {Object} entry The entry result from the stat function
+ */
+function logStat(entry) {
+    console.log(`Name: ${entry.name}`);
+    console.log(`ID: ${entry.id}`);
+    console.log(`Type: ${entry.isDir ? 'folder' : 'file'} (${entry.mimeType})`);
+    if (!entry.isDir) console.log(`Size: ${formatSize(entry.size)} (${entry.size} bytes)`);
+    console.log(`Modified: ${formatDate(entry.mTime)}`);
+    console.log(`Created: ${formatDate(entry.cTime)}`);
+    console.log(`Parent ID: ${entry.parentID === undefined ? '-' : entry.parentID}`);
+}
+
+/**
+ * Print a device of the account to the terminal
+ * @param {Object} device The device result from the getDevices function
+ * @param {Boolean} current True if the requests are sent to the device, otherwise false
+ */
+function logDevice(device, current) {
+    console.log(`${current ? '*' : ' '} ${device.name}  ${device.model || '-'}  ${device.id}  ${device.endpoint}`);
+}
+
+/**
+ * Print that the account doesn't have devices to the terminal
+ */
+function noDevices() {
+    signale.info('The account doesn\'t have any devices');
+}
+
+/**
+ * Print the device the requests are sent to from now on to the terminal
+ * @param {Object} device The device result from the selectDevice function
+ */
+function deviceSelected(device) {
+    signale.success('Using the device %s (%s)', device.name, device.endpoint);
 }
 
 /**
@@ -55,6 +176,20 @@ function authFailed() {
     signale.error('Failed to authenticate to the wdc with given credentials');
 }
 
+/**
+ * Print that the credentials were saved to the terminal
+ */
+function credentialsSaved() {
+    signale.success('Credentials saved, use auth -a to authenticate with them');
+}
+
+/**
+ * Print that the stored session was removed to the terminal
+ */
+function loggedOut() {
+    signale.success('Logged out, the stored session and credentials were removed');
+}
+
 /**
  * Upadte the progress of the file upload
  * @param {String} fileName The name of the currently uploading file
@@ -85,7 +220,25 @@ function fileUploadDone() {
  */
 function fileUploadFail(internalError) {
     signale.fatal('Failed to upload file');
-    signale.error(internalError);
+    printError(internalError);
+    if (internalError.name === 'ChecksumMismatchError') signale.note('The remote file doesn\'t match the local file, upload it again');
+    if (internalError.journalID !== undefined) signale.note('The upload can be continued with: upload --resume %s', internalError.journalID);
+}
+
+/**
+ * Print an interrupted upload
+ * @param {Object} upload The journal of the upload from the listPendingUploads function
+ */
+function logPendingUpload(upload) {
+    const percentage = upload.size == 0 ? 100 : upload.offset * 100 / upload.size;
+    console.log(`${upload.id}  ${percentage.toFixed(2).padStart(6)}%  ${upload.filePath}`);
+}
+
+/**
+ * Print that there are no interrupted uploads
+ */
+function noPendingUploads() {
+    signale.info('There are no interrupted uploads');
 }
 
 /**
@@ -118,14 +271,100 @@ function fileDownloadDone(filePath) {
  */
 function fileDownloadFail(internalError) {
     signale.fatal('Failed to download file');
-    signale.error(internalError);
+    printError(internalError);
+    if (internalError.name === 'ChecksumMismatchError') signale.note('The local file doesn\'t match the remote file, download it again');
+}
+
+/**
+ * Print a failed remote action notification along with the thrown error
+ * @param {String} actionName The friendly display name of the action
+ * @param {Error} internalError The error thrown by the API
+ */
+function actionFail(actionName, internalError) {
+    signale.fatal('Failed to %s', actionName);
+    printError(internalError);
+}
+
+/**
+ * Update the progress of a copy on the remote
+ * @param {Object} progress The progress reported by the copy function of the API
+ */
+function setCopyProgress(progress) {
+    const filePercentage = progress.fileSize == 0 ? 100 : progress.fileBytes * 100 / progress.fileSize;
+    const totalPercentage = progress.totalBytes == 0 ? 100 : progress.bytesDone * 100 / progress.totalBytes;
+    copyProgress.await('Copying %s is %d%% done (%d/%d files, %d%% in total)', progress.fileName, filePercentage.toFixed(2), progress.filesDone, progress.totalFiles, totalPercentage.toFixed(2));
+}
+
+/**
+ * Update the overall progress of a folder transfer
+ * @param {Object} progress The progress reported by the transfer manager of the API
+ */
+function setTransferProgress(progress) {
+    transferProgress.await('%d/%d files done, %s/%s transferred (%s/s), %d in progress', progress.filesDone, progress.totalFiles, formatSize(progress.bytesDone), formatSize(progress.totalBytes), formatSize(Math.round(progress.rate)), progress.active.length);
 }
 
 /**
- * Error when user specifies a non-relative/more than one level deep path
+ * Print a folder transfer done notification
+ * @param {Object} summary The result of the transfer manager of the API
  */
-function onlyRelativePath() {
-    signale.error('Path must be relative (the specified path should not contain path separator characters)');
+function transferDone(summary) {
+    if (summary.filesFailed > 0) signale.warn('Transfer done, %d files transferred, %d files failed', summary.filesDone, summary.filesFailed);
+    else signale.complete('Transfer done, %d files transferred', summary.filesDone);
+}
+
+/**
+ * Print a planned action of a folder sync
+ * @param {Object} action The SyncAction of the API
+ */
+function logSyncAction(action) {
+    const target = action.relativePath + (action.isDir ? '/' : '');
+    if (action.action === 'conflict') signale.warn('Conflict: %s (%s)', target, action.reason);
+    else console.log(`${action.action.padEnd(12)}  ${target}  (${action.reason})`);
+}
+
+/**
+ * Print a folder sync done notification
+ * @param {Object} summary The SyncSummary of the API
+ */
+function syncDone(summary) {
+    const conflicts = summary.actions.filter(action => action.action === 'conflict').length;
+    if (summary.transfer === undefined) signale.info('Dry run, %d actions planned', summary.actions.length - conflicts);
+    else if (summary.transfer.filesFailed > 0 || summary.failures.length > 0) signale.warn('Sync done, %d files transferred, %d files failed, %d removals failed', summary.transfer.filesDone, summary.transfer.filesFailed, summary.failures.length);
+    else if (summary.actions.length === 0) signale.complete('Sync done, everything is up to date');
+    else signale.complete('Sync done, %d files transferred', summary.transfer.filesDone);
+    if (conflicts > 0) signale.warn('%d conflicts were skipped', conflicts);
+}
+
+/**
+ * Print the result of a successful checksum comparison
+ * @param {Object} result The VerifyResult of the API
+ */
+function verifyDone(result) {
+    const source = result.source === 'metadata' ? 'reported by the device' : 'computed from the remote content';
+    signale.success('Files match, %s %s (%s)', result.algorithm, result.hash, source);
+}
+
+/**
+ * Print a copy done notification
+ */
+function copyDone() {
+    signale.complete('Copy done');
+}
+
+/**
+ * Error when a folder is given to a command without the recursive flag
+ * @param {string} path The path of the folder
+ */
+function recursiveRequired(path) {
+    signale.error('The following path is a folder, use -r to copy it: ' + path);
+}
+
+/**
+ * Error when the user doesn't give every argument of a command
+ * @param {string} argumentName The name of the missing argument
+ */
+function missingArgument(argumentName) {
+    signale.error('Missing argument: %s (quote or escape the spaces in paths)', argumentName);
 }
 
 /**
@@ -136,9 +375,65 @@ function folderCreated(folderName) {
     signale.success('Folder \'%s\' created successfully', folderName);
 }
 
+/**
+ * Error when the shell doesn't know a command
+ * @param {string} command The command entered by the user
+ */
+function unknownCommand(command) {
+    signale.error('Unknown command: %s, use help to list the commands', command);
+}
+
+/**
+ * Error when the arguments of the program are invalid
+ * @param {string} message What is wrong with the arguments
+ */
+function invalidArguments(message) {
+    signale.error(message);
+}
+
+/**
+ * Print the status of a command of a script
+ * @param {number} lineNumber The line of the command in the script
+ * @param {string} command The command as written in the script
+ * @param {Boolean} success True if the command succeeded, otherwise false
+ */
+function scriptCommandDone(lineNumber, command, success) {
+    if (success) signale.success('Line %d: %s', lineNumber, command);
+    else signale.error('Line %d failed: %s', lineNumber, command);
+}
+
+/**
+ * Print that a script stopped at a failed command because of set -e
+ * @param {number} lineNumber The line of the failed command in the script
+ */
+function scriptStopped(lineNumber) {
+    signale.warn('Stopped the script at line %d, the command failed and set -e is on', lineNumber);
+}
+
+/**
+ * Print the summary of a script
+ * @param {Object} report The ScriptReport of the shell
+ */
+function scriptDone(report) {
+    if (report.failed > 0) signale.warn('Script done, %d commands run, %d failed', report.commands, report.failed);
+    else signale.complete('Script done, %d commands run', report.commands);
+}
+
 module.exports = {
+    unknownCommand,
+    invalidArguments,
+    scriptCommandDone,
+    scriptStopped,
+    scriptDone,
+    formatSize,
+    formatDate,
     authSuccess,
+    logDevice,
+    noDevices,
+    deviceSelected,
     authFailed,
+    credentialsSaved,
+    loggedOut,
     fileDownloadDone,
     startFileDownload,
     setDownloadProgress,
@@ -146,10 +441,24 @@ module.exports = {
     startFileUpload,
     setUploadProgress,
     logEntry,
+    logStat,
+    logJSON,
     pathNotFound,
-    onlyRelativePath,
+    actionFail,
+    missingArgument,
+    setCopyProgress,
+    setTransferProgress,
+    transferDone,
+    logSyncAction,
+    syncDone,
+    verifyDone,
+    copyDone,
+    recursiveRequired,
     fileUploadFail,
+    logPendingUpload,
+    noPendingUploads,
     fileDownloadFail,
     getAPILogger,
+    setAPIStream,
     folderCreated
 };
@@ -0,0 +1,212 @@
+/**
+ * @typedef {Object} Profile
+ * @property {(undefined|string)} host The host of the device the bridge connects to
+ * @property {(undefined|string)} user The username of the last successful login
+ * @property {(undefined|Object)} tokens The TokenObject of the last session
+ */
+
+/**
+ * @typedef {Object} Secrets
+ * @property {string} user The username to login with
+ * @property {string} pass The password to login with
+ */
+
+/**
+ * @typedef {Object} ResolvedCredentials
+ * @property {(undefined|string)} user The username, undefined if none was found
+ * @property {(undefined|string)} pass The password, undefined if none was found
+ * @property {string} source Where the credentials came from, one of 'env', 'secrets', 'settings' or 'none'
+ */
+
+/**
+ * Module for reading and writing the profile files
+ */
+const fs = require('fs');
+/**
+ * Module for building the profile paths
+ */
+const path = require('path');
+/**
+ * Module for getting the home directory of the user
+ */
+const os = require('os');
+/**
+ * Module for encrypting the secrets file
+ */
+const crypto = require('crypto');
+/**
+ * The folder the profile is stored in if the caller doesn't specify one
+ */
+const defaultConfigDir = path.join(os.homedir(), '.config', 'wd-bridge');
+/**
+ * The name of the file holding the host, the username and the session
+ */
+const profileFileName = 'profile.json';
+/**
+ * The name of the passphrase encrypted file holding the credentials
+ */
+const secretsFileName = 'secrets.json';
+/**
+ * The name of the file holding the commands of the interactive shell, one per line
+ */
+const historyFileName = 'history';
+/**
+ * The cipher of the secrets file
+ */
+const secretsCipher = 'aes-256-gcm';
+
+/**
+ * Write a file that only the current user can read, replacing it atomically
+ * @param {string} filePath The path of the file
+ * @param {string} content The content of the file
+ */
+function writePrivateFile(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    // Write to a temporary file first, so that a crash can't leave a half written file behind
+    fs.writeFileSync(filePath + '.tmp', content, { mode: 0o600 });
+    fs.chmodSync(filePath + '.tmp', 0o600); // The mode option is ignored if the temporary file already existed
+    fs.renameSync(filePath + '.tmp', filePath);
+}
+
+/**
+ * Read the profile
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ * @returns {Profile} The profile, empty if it doesn't exist yet
+ */
+function readProfile(configDir = defaultConfigDir) {
+    const profilePath = path.join(configDir, profileFileName);
+    if (!fs.existsSync(profilePath)) return {};
+    return JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+}
+
+/**
+ * Change fields of the profile, undefined values remove the field
+ * @param {Object} changes The fields of the Profile to change
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ * @returns {Profile} The changed profile
+ */
+function updateProfile(changes, configDir = defaultConfigDir) {
+    const profile = Object.assign(readProfile(configDir), changes);
+    writePrivateFile(path.join(configDir, profileFileName), JSON.stringify(profile, null, 2));
+    return readProfile(configDir);
+}
+
+/**
+ * Check if a secrets file exists
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ * @returns {Boolean} True if the secrets file exists, otherwise false
+ */
+function hasSecrets(configDir = defaultConfigDir) {
+    return fs.existsSync(path.join(configDir, secretsFileName));
+}
+
+/**
+ * Encrypt the credentials with a passphrase and store them
+ * @param {Secrets} secrets The credentials to store
+ * @param {string} passphrase The passphrase to encrypt the credentials with
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ */
+function writeSecrets(secrets, passphrase, configDir = defaultConfigDir) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(secretsCipher, crypto.scryptSync(passphrase, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+    writePrivateFile(path.join(configDir, secretsFileName), JSON.stringify({
+        cipher: secretsCipher,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    }));
+}
+
+/**
+ * Decrypt the stored credentials
+ * @param {string} passphrase The passphrase the credentials were encrypted with
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ * @returns {(undefined|Secrets)} The credentials, undefined if there's no secrets file
+ */
+function readSecrets(passphrase, configDir = defaultConfigDir) {
+    if (!hasSecrets(configDir)) return undefined;
+    const stored = JSON.parse(fs.readFileSync(path.join(configDir, secretsFileName), 'utf8'));
+    const decipher = crypto.createDecipheriv(stored.cipher, crypto.scryptSync(passphrase, Buffer.from(stored.salt, 'base64'), 32), Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    try {
+        return JSON.parse(Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8'));
+    } catch {
+        // GCM only tells that the authentication failed, a wrong passphrase and a damaged file look the same
+        throw new Error('Failed to decrypt the secrets file, wrong passphrase or damaged file');
+    }
+}
+
+/**
+ * Remove the secrets file if it exists
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ */
+function removeSecrets(configDir = defaultConfigDir) {
+    const secretsPath = path.join(configDir, secretsFileName);
+    if (fs.existsSync(secretsPath)) fs.unlinkSync(secretsPath);
+}
+
+/**
+ * Find the credentials to login with, the environment variables WD_USER and WD_PASS come first, then the secrets file, then the settings
+ * @param {Object} settings The settings with the user and pass fields
+ * @param {(undefined|string)} passphrase The passphrase of the secrets file, the secrets file is skipped if not given
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ * @returns {ResolvedCredentials} The credentials and where they came from
+ */
+function resolveCredentials(settings, passphrase, configDir = defaultConfigDir) {
+    if (process.env.WD_USER && process.env.WD_PASS) return { user: process.env.WD_USER, pass: process.env.WD_PASS, source: 'env' };
+    if (passphrase !== undefined) {
+        const secrets = readSecrets(passphrase, configDir);
+        if (secrets !== undefined) return { user: secrets.user, pass: secrets.pass, source: 'secrets' };
+    }
+    if (settings.user && settings.pass) return { user: settings.user, pass: settings.pass, source: 'settings' };
+    return { user: undefined, pass: undefined, source: 'none' };
+}
+
+/**
+ * Read the command history of the interactive shell
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ * @returns {Array<string>} The commands from the oldest to the newest, empty if there's no history yet
+ */
+function readHistory(configDir = defaultConfigDir) {
+    const historyPath = path.join(configDir, historyFileName);
+    if (!fs.existsSync(historyPath)) return [];
+    return fs.readFileSync(historyPath, 'utf8').split('\n').filter(line => line !== '');
+}
+
+/**
+ * Store the command history of the interactive shell, the paths in the commands are private like the rest of the profile
+ * @param {Array<string>} commands The commands from the oldest to the newest
+ * @param {number} maxLength The number of the newest commands to keep
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ */
+function writeHistory(commands, maxLength, configDir = defaultConfigDir) {
+    const kept = maxLength > 0 ? commands.slice(-maxLength) : [];
+    writePrivateFile(path.join(configDir, historyFileName), kept.map(command => command + '\n').join(''));
+}
+
+/**
+ * Find the host of the device, the environment variable WD_HOST comes first, then the profile, then the settings
+ * @param {Object} settings The settings with the wdHost field
+ * @param {string} [configDir] The folder of the profile, defaults to ~/.config/wd-bridge
+ * @returns {string} The host to send the requests to
+ */
+function resolveHost(settings, configDir = defaultConfigDir) {
+    return process.env.WD_HOST || readProfile(configDir).host || settings.wdHost;
+}
+
+module.exports = {
+    defaultConfigDir,
+    readProfile,
+    updateProfile,
+    hasSecrets,
+    writeSecrets,
+    readSecrets,
+    removeSecrets,
+    resolveCredentials,
+    resolveHost,
+    readHistory,
+    writeHistory,
+};
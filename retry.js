@@ -0,0 +1,120 @@
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts The maximum number of attempts of an action, 1 disables retrying
+ * @property {number} baseDelay The delay before the first retry in milliseconds
+ * @property {number} maxDelay The upper limit of the delay between two attempts in milliseconds, Retry-After requests of the device included
+ * @property {number} factor The factor the delay grows by after every attempt
+ * @property {number} jitter The random part of the delay between 0 (always the full delay) and 1 (anything between 0 and the full delay)
+ * @property {Function} retryOn Called with the error and the number of the failed attempt, returns true if the action should be tried again
+ */
+
+/**
+ * Typed errors of the API, used to decide which failures are worth retrying
+ */
+const errors = require('./errors');
+/**
+ * API logging utility getter
+ */
+const { getAPILogger } = require('./logging');
+/**
+ * Logger the retries are reported to
+ */
+const log = getAPILogger();
+
+/**
+ * Check if a failure can go away by trying again: network errors, 429 (too many requests) and 5xx responses
+ * Missing entries, conflicts, a full device and rejected sessions fail the same way every time
+ * @param {Error} error The error of the failed attempt
+ * @returns {Boolean} True if the action should be tried again, otherwise false
+ */
+function isRetryable(error) {
+    if (error instanceof errors.NetworkError) return true;
+    if (error instanceof errors.QuotaExceededError) return false; // 507 is a server error, but the space doesn't free up by itself
+    return error instanceof errors.WdError && error.status !== undefined && (error.status === 429 || error.status >= 500);
+}
+
+/**
+ * The policy used for the actions without overrides
+ * @type {RetryPolicy}
+ */
+const defaultRetryPolicy = {
+    maxAttempts: 5,
+    baseDelay: 500,
+    maxDelay: 30 * 1000,
+    factor: 2,
+    jitter: 0.5,
+    retryOn: isRetryable,
+};
+
+/**
+ * Create a complete retry policy from partial policies, the later ones override the earlier ones
+ * @param {...(undefined|Object)} overrides The fields of the RetryPolicy to change
+ * @returns {RetryPolicy} The merged policy
+ */
+function createRetryPolicy(...overrides) {
+    return Object.assign({}, defaultRetryPolicy, ...overrides.filter(override => override !== undefined));
+}
+
+/**
+ * Read the Retry-After header of a response
+ * @param {(undefined|string)} value The value of the header, either seconds or an HTTP date
+ * @returns {(undefined|number)} The milliseconds to wait, undefined if the header is missing or invalid
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === '') return undefined;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Calculate the delay before the next attempt
+ * @param {RetryPolicy} policy The retry policy of the action
+ * @param {number} attempt The number of the failed attempt, starting at 1
+ * @param {Error} error The error of the failed attempt
+ * @returns {number} The milliseconds to wait
+ */
+function getRetryDelay(policy, attempt, error) {
+    // The device knows best when it can handle requests again, but a huge or bogus value mustn't stall the transfer
+    if (error.retryAfter !== undefined) return Math.min(policy.maxDelay, error.retryAfter);
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+    return Math.round(backoff * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * Wait for some time
+ * @param {number} milliseconds The time to wait
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Call an abstracted function until it succeeds, fails with an error that isn't worth retrying or runs out of attempts
+ * @param {RetryPolicy} policy The retry policy of the action
+ * @param {string} actionName The friendly display name of the action
+ * @param {Function} abstractedFunction The abstracted function to call to execute the action
+ * @param {Array} afArgs An array of arguments to pass to the abstracted function
+ * @returns {Promise<any>} The result of the abstracted function, rejects with the error of the last attempt if it failed
+ */
+async function retryAbstracted(policy, actionName, abstractedFunction, afArgs) {
+    for (let attempt = 1; ; attempt++) {
+        const result = await abstractedFunction(...afArgs); // The AbstractedResult of the attempt
+        if (result.success) return result.data;
+        const error = result.error || new errors.WdError(`Failed to ${actionName}`);
+        if (attempt >= policy.maxAttempts || !policy.retryOn(error, attempt)) throw error;
+        const delay = getRetryDelay(policy, attempt, error);
+        log.warn(`Attempt ${attempt} of ${policy.maxAttempts} to ${actionName} failed (${error.message}), trying again in ${delay} ms`);
+        await sleep(delay);
+    }
+}
+
+module.exports = {
+    defaultRetryPolicy,
+    isRetryable,
+    createRetryPolicy,
+    parseRetryAfter,
+    getRetryDelay,
+    retryAbstracted,
+};
@@ -1,6 +1,7 @@
 module.exports = {
     /**
      * The username to the wd my cloud home device
+     * This file is part of the repository, prefer the WD_USER and WD_PASS environment variables or auth --save
      */
     user: '',
     /**
@@ -8,7 +9,24 @@ module.exports = {
      */
     pass: '',
     /**
-     * WD Host endpoint to send the requests to
+     * WD Host endpoint to send the requests to, the WD_HOST environment variable and the stored profile take precedence
+     * Leave it empty to use the device of the account (see the devices and device use commands)
      */
-    wdHost: 'device-local-6147bab3-b7b2-4ebc-93b4-a8c337829d45',
+    wdHost: '',
+    /**
+     * Login endpoint to authenticate with
+     */
+    authUrl: 'https://wdc.auth0.com/oauth/ro',
+    /**
+     * Device service listing the devices of the account
+     */
+    devicesUrl: 'https://prod.wdckeystone.com/device/v1/user',
+    /**
+     * Number of files to transfer at the same time when uploading/downloading folders
+     */
+    transferConcurrency: 4,
+    /**
+     * Number of commands the interactive shell remembers across sessions, 0 disables the history file
+     */
+    historySize: 500,
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+// #region Typedefs
+/**
+ * @typedef {Object} SyncOptions
+ * @property {string} [mode] 'push' to mirror the local folder to the remote, 'pull' to mirror the remote folder to the local system, 'both' to transfer the newer version in both directions, defaults to 'both'
+ * @property {Boolean} [delete] True to remove the entries that don't exist on the other side, not supported in 'both' mode
+ * @property {Boolean} [dryRun] True to only plan the actions without executing them, otherwise false
+ * @property {number} [concurrency] The number of transfers to run at the same time
+ * @property {Boolean} [verify] True to compare the checksums of every transferred file, otherwise false
+ * @property {Function} [progressCallback] Called with the TransferProgress whenever a transfer progresses
+ * @property {Function} [jobFailCallback] Called with the TransferJob and the error when a file/folder failed
+ */
+
+/**
+ * @typedef {Object} SyncAction
+ * @property {string} action One of 'upload', 'download', 'removeLocal', 'removeRemote' or 'conflict'
+ * @property {string} relativePath The path of the entry relative to the synchronized folders
+ * @property {Boolean} isDir True if the entry is a folder, otherwise false
+ * @property {string} reason Why the action is needed
+ * @property {string} localPath The path of the entry on the local system
+ * @property {(undefined|Object)} remoteEntry The detailed remote entry, undefined if it doesn't exist on the remote
+ * @property {string} parentID The ID of the remote folder of the entry
+ */
+
+/**
+ * @typedef {Object} SyncSummary
+ * @property {Array<SyncAction>} actions The planned actions
+ * @property {(undefined|Object)} transfer The TransferSummary of the uploads and downloads, undefined for dry runs
+ * @property {Array<Object>} failures The removals that failed, with the action and the error
+ */
+
+// #endregion
+
+// #region Imports and Globals
+/**
+ * Module for reading the local tree
+ */
+const fs = require('fs');
+/**
+ * Module for building local and relative paths
+ */
+const path = require('path');
+/**
+ * Modification times closer than this many milliseconds are considered equal (some filesystems store seconds only)
+ */
+const mTimeTolerance = 2000;
+/**
+ * The supported sync modes
+ */
+const syncModes = ['push', 'pull', 'both'];
+// #endregion
+
+// #region Planning
+
+/**
+ * Decide which way a file present on both sides has to be transferred
+ * @param {fs.Stats} localStats The stats of the local file
+ * @param {Object} remoteEntry The detailed remote entry
+ * @param {string} mode The sync mode
+ * @returns {(undefined|Object)} The action and the reason, undefined if the file is up to date
+ */
+function compareFiles(localStats, remoteEntry, mode) {
+    const sameSize = localStats.size === remoteEntry.size;
+    const remoteTime = remoteEntry.mTime ? remoteEntry.mTime.getTime() : 0;
+    const localNewer = localStats.mtimeMs - remoteTime > mTimeTolerance;
+    const remoteNewer = remoteTime - localStats.mtimeMs > mTimeTolerance;
+    const reason = sameSize ? 'modification time differs' : 'size differs';
+    if (mode === 'push') return !sameSize || localNewer ? { action: 'upload', reason } : undefined;
+    if (mode === 'pull') return !sameSize || remoteNewer ? { action: 'download', reason } : undefined;
+    if (localNewer) return { action: 'upload', reason: 'local file is newer' };
+    if (remoteNewer) return { action: 'download', reason: 'remote file is newer' };
+    if (!sameSize) return { action: 'conflict', reason: 'same modification time, but the size differs' };
+    return undefined;
+}
+
+/**
+ * Compare a local and a remote folder and collect the actions that make them equal
+ * @param {Object} client The WdClient of the remote
+ * @param {string} localDir The path of the local folder
+ * @param {(undefined|string)} remoteFolderID The ID of the remote folder, undefined if it doesn't exist yet
+ * @param {string} relativePath The path of the folders relative to the synchronized folders
+ * @param {SyncOptions} options The options of the sync
+ * @param {Array<SyncAction>} actions The list to add the actions to
+ */
+async function compareFolders(client, localDir, remoteFolderID, relativePath, options, actions) {
+    const localEntries = new Map();
+    // Missing folders are only planned for dry runs, they have nothing in them yet
+    if (fs.existsSync(localDir)) fs.readdirSync(localDir).forEach(name => localEntries.set(name, fs.statSync(path.join(localDir, name))));
+    const remoteEntries = new Map();
+    if (remoteFolderID !== undefined) {
+        for await (const entry of client.iterateDirectory(remoteFolderID, { details: true })) remoteEntries.set(entry.name, entry);
+    }
+    const names = Array.from(new Set([...localEntries.keys(), ...remoteEntries.keys()])).sort();
+
+    for (const name of names) {
+        const localStats = localEntries.get(name);
+        const remoteEntry = remoteEntries.get(name);
+        const base = {
+            relativePath: path.posix.join(relativePath, name),
+            localPath: path.join(localDir, name),
+            remoteEntry,
+            parentID: remoteFolderID,
+        };
+        /**
+         * Add an action for the current entry
+         * @param {string} action The name of the action
+         * @param {Boolean} isDir True if the action handles a folder, otherwise false
+         * @param {string} reason Why the action is needed
+         */
+        const addAction = (action, isDir, reason) => actions.push(Object.assign({ action, isDir, reason }, base));
+
+        if (localStats !== undefined && remoteEntry !== undefined) {
+            const localIsDir = localStats.isDirectory();
+            if (localIsDir && remoteEntry.isDir) {
+                await compareFolders(client, base.localPath, remoteEntry.id, base.relativePath, options, actions);
+            } else if (localIsDir !== remoteEntry.isDir) { // A file on one side, a folder on the other side
+                if (options.mode === 'push') addAction('upload', localIsDir, 'type differs');
+                else if (options.mode === 'pull') addAction('download', remoteEntry.isDir, 'type differs');
+                else addAction('conflict', false, 'file on one side, folder on the other side');
+            } else {
+                const result = compareFiles(localStats, remoteEntry, options.mode);
+                if (result !== undefined) addAction(result.action, false, result.reason);
+            }
+        } else if (localStats !== undefined) { // Only exists on the local system
+            if (options.mode !== 'pull') addAction('upload', localStats.isDirectory(), 'missing on the remote');
+            else if (options.delete) addAction('removeLocal', localStats.isDirectory(), 'missing on the remote');
+        } else { // Only exists on the remote
+            if (options.mode !== 'push') addAction('download', remoteEntry.isDir, 'missing on the local system');
+            else if (options.delete) addAction('removeRemote', remoteEntry.isDir, 'missing on the local system');
+        }
+    }
+}
+
+// #endregion
+
+// #region Running
+
+/**
+ * Synchronize a local folder and a remote folder
+ * Files are compared by size and modification time, only the changed files are transferred
+ * @param {Object} client The WdClient of the remote
+ * @param {string} localPath The path of the local folder
+ * @param {(undefined|string)} remoteFolderID The ID of the remote folder, undefined for a dry run of a push to a folder that doesn't exist yet
+ * @param {SyncOptions} [options] The options of the sync
+ * @returns {Promise<SyncSummary>} The actions and the result of the sync
+ */
+async function sync(client, localPath, remoteFolderID, options = {}) {
+    options = Object.assign({ mode: 'both', delete: false, dryRun: false }, options);
+    if (!syncModes.includes(options.mode)) throw new Error(`Unknown sync mode: ${options.mode}`);
+    // Without a previous state a deleted file can't be told apart from a new file on the other side
+    if (options.mode === 'both' && options.delete) throw new Error('Deleting extraneous entries is only supported in push and pull mode');
+    if (!fs.existsSync(localPath) || !fs.statSync(localPath).isDirectory()) {
+        if (options.mode === 'push') throw new Error(`Failed to locate the following path: ${localPath}`);
+        if (!options.dryRun) fs.mkdirSync(localPath, { recursive: true });
+    }
+
+    /**
+     * @type {Array<SyncAction>}
+     */
+    const actions = [];
+    await compareFolders(client, localPath, remoteFolderID, '', options, actions);
+    if (options.dryRun) return { actions, transfer: undefined, failures: [] };
+
+    const failures = [];
+    const manager = client.createTransferManager({
+        concurrency: options.concurrency,
+        verify: options.verify,
+        // The changed files replace the remote ones, which are only removed once the new upload is complete
+        conflict: 'overwrite',
+        progressCallback: options.progressCallback,
+        jobFailCallback: options.jobFailCallback,
+    });
+    for (const action of actions) {
+        try {
+            if (action.action === 'removeRemote') await client.removeFile(action.remoteEntry.id);
+            if (action.action === 'removeLocal' || (action.action === 'download' && fs.existsSync(action.localPath) && fs.statSync(action.localPath).isDirectory() !== action.isDir)) {
+                fs.rmSync(action.localPath, { recursive: true, force: true });
+            }
+            if (action.action === 'upload') manager.add(manager.planUpload(action.localPath, action.parentID));
+            if (action.action === 'download') manager.add(await manager.planDownload(action.remoteEntry, action.localPath));
+        } catch (error) {
+            failures.push({ action, error });
+        }
+    }
+    const transfer = await manager.run();
+    return { actions, transfer, failures };
+}
+
+// #endregion
+
+module.exports = {
+    sync,
+    syncModes,
+    mTimeTolerance,
+};
@@ -0,0 +1,925 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const api = require('../api');
+const journal = require('../journal');
+const { MockWdServer } = require('./mock-server');
+const { startClient, stopClient } = require('./helpers');
+
+/**
+ * Read a readable stream to the end
+ * @param {stream.Readable} readable The stream to read
+ * @returns {Promise<Buffer>} The content of the stream
+ */
+function readAll(readable) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        readable.on('data', chunk => chunks.push(chunk));
+        readable.on('end', () => resolve(Buffer.concat(chunks)));
+        readable.on('error', reject);
+    });
+}
+
+describe('WdClient', function () {
+    let context;
+    let server;
+    let client;
+
+    beforeEach(async function () {
+        context = await startClient();
+        ({ server, client } = context);
+    });
+
+    afterEach(async function () {
+        await stopClient(context);
+    });
+
+    describe('authentication', function () {
+        it('logs in with valid credentials', async function () {
+            assert.strictEqual(await client.authenticate('user', 'pass'), true);
+            assert.ok(client.tokens.auth.startsWith('Bearer '));
+        });
+
+        it('rejects wrong credentials', async function () {
+            const other = new api.WdClient({ host: server.url, authUrl: server.authUrl });
+            assert.strictEqual(await other.authenticate('user', 'wrong'), false);
+        });
+
+        it('keeps the refresh token instead of the password', async function () {
+            assert.ok(client.getRefreshToken());
+            assert.ok(client.tokens.expiresAt > Date.now());
+            assert.strictEqual(client.creds.pass, undefined);
+        });
+
+        it('renews the session with the refresh token when it expired', async function () {
+            server.addFile('a.txt', 'a');
+            server.expireTokens();
+            const entries = await client.listFiles('root');
+            assert.deepStrictEqual(entries.map(entry => entry.name), ['a.txt']);
+            assert.strictEqual(server.requests.filter(request => request.path === '/oauth/ro').length, 1);
+            assert.strictEqual(server.requests.filter(request => request.path === '/oauth/token').length, 1);
+        });
+
+        it('renews the session before the token expires', async function () {
+            server.tokenLifetime = 30;
+            await client.authenticate('user', 'pass');
+            server.requests = [];
+            await client.listFiles('root');
+            assert.deepStrictEqual(server.requests.map(request => request.path), ['/oauth/token', '/sdk/v2/filesSearch/parents']);
+        });
+
+        it('logs in again when the refresh token is rejected', async function () {
+            const other = new api.WdClient({ host: server.url, authUrl: server.authUrl, credentials: { user: 'user', pass: 'pass' } });
+            assert.strictEqual(await other.authenticate(), true);
+            server.revokeRefreshTokens();
+            server.expireTokens();
+            assert.deepStrictEqual(await other.listFiles('root'), []);
+            assert.strictEqual(server.requests.filter(request => request.path === '/oauth/ro').length, 3);
+        });
+
+        it('fails without looping when the session can\'t be renewed', async function () {
+            server.revokeRefreshTokens();
+            server.expireTokens();
+            await assert.rejects(client.listFiles('root'), api.AuthenticationError);
+            assert.strictEqual(server.requests.filter(request => request.path === '/oauth/token').length, 1);
+            assert.strictEqual(server.requests.filter(request => request.path === '/sdk/v2/filesSearch/parents').length, 1);
+        });
+
+        it('hands new sessions to the session callback and restores them', async function () {
+            const sessions = [];
+            client.setSessionCallback(tokens => sessions.push(tokens));
+            await client.authenticate('user', 'pass');
+            server.expireTokens();
+            await client.listFiles('root');
+            assert.strictEqual(sessions.length, 2);
+            assert.strictEqual(sessions[1].auth, client.tokens.auth);
+
+            const other = new api.WdClient({ host: server.url, authUrl: server.authUrl });
+            other.restoreSession(sessions[1]);
+            assert.deepStrictEqual(await other.listFiles('root'), []);
+            assert.strictEqual(server.requests.filter(request => request.path.startsWith('/oauth/')).length, 3);
+        });
+
+        it('authenticates with only a refresh token', async function () {
+            server.addFile('a.txt', 'a');
+            const other = new api.WdClient({ host: server.url, authUrl: server.authUrl, refreshToken: client.getRefreshToken() });
+            assert.strictEqual(await other.authenticateWithRefreshToken(), true);
+            assert.deepStrictEqual((await other.listFiles('root')).map(entry => entry.name), ['a.txt']);
+            assert.strictEqual(await other.authenticateWithRefreshToken('unknown'), false);
+            assert.strictEqual(await new api.WdClient({ host: server.url, authUrl: server.authUrl }).authenticateWithRefreshToken(), false);
+        });
+
+        it('fails to log in on any unexpected response', async function () {
+            const responses = [{ status: 403 }, { status: 429 }, { status: 502, body: '<html>Bad gateway</html>' }, { status: 200, body: 'not json' }, { status: 200, body: {} }];
+            for (const response of responses) {
+                server.injectFault(Object.assign({ path: '/oauth/ro' }, response));
+                assert.strictEqual(await client.authenticate('user', 'pass'), false, `${response.status} ${JSON.stringify(response.body)}`);
+                server.injectFault(Object.assign({ path: '/oauth/token' }, response));
+                assert.strictEqual(await client.authenticateWithRefreshToken(), false, `${response.status} ${JSON.stringify(response.body)}`);
+            }
+            assert.strictEqual(await client.authenticate('user', 'pass'), true);
+        });
+
+        it('uses the configured host and auth URL', async function () {
+            const other = new api.WdClient();
+            other.setWdHost(server.url);
+            other.setAuthUrl(server.authUrl);
+            assert.strictEqual(await other.authenticate('user', 'pass'), true);
+            assert.deepStrictEqual(await other.listFiles('root'), []);
+        });
+    });
+
+    describe('devices', function () {
+        it('lists the devices of the account', async function () {
+            server.devices.push({ deviceId: 'other-device', name: 'Other', type: 'monarch', network: {} });
+            assert.deepStrictEqual(await client.getDevices(), [
+                { id: 'mock-device', name: 'Mock Cloud', model: 'sebring', endpoint: server.url },
+                { id: 'other-device', name: 'Other', model: 'monarch', endpoint: 'device-local-other-device' },
+            ]);
+        });
+
+        it('selects a device by name or ID', async function () {
+            server.devices.push({ deviceId: 'other-device', name: 'Other', type: 'monarch', network: {} });
+            client.pathStack.push('some-folder');
+            assert.strictEqual((await client.selectDevice('other')).id, 'other-device');
+            assert.strictEqual(client.getWdHost(), 'device-local-other-device');
+            assert.deepStrictEqual(client.pathStack, []);
+            await client.selectDevice('mock-device');
+            assert.strictEqual(client.getWdHost(), server.url);
+            await assert.rejects(client.selectDevice('missing'), /Failed to find the following device: missing/);
+            await assert.rejects(client.selectDevice(), /The account has 2 devices/);
+        });
+
+        it('uses the only device of the account after logging in without a host', async function () {
+            const other = new api.WdClient({ authUrl: server.authUrl, devicesUrl: server.devicesUrl });
+            assert.strictEqual(other.getWdHost(), '');
+            assert.strictEqual(await other.authenticate('user', 'pass'), true);
+            assert.strictEqual(other.getWdHost(), server.url);
+            assert.deepStrictEqual(await other.listFiles('root'), []);
+        });
+    });
+
+    describe('listing', function () {
+        it('lists the entries of a folder', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('b.txt', 'bb', folderID);
+            server.addFile('a.txt', 'a', folderID);
+            const entries = await client.listFiles(folderID);
+            assert.deepStrictEqual(entries.map(entry => entry.name), ['a.txt', 'b.txt']);
+            assert.strictEqual(entries[0].size, undefined);
+        });
+
+        it('lists the details of the entries', async function () {
+            const mTime = new Date('2020-01-02T03:04:05Z');
+            server.addFile('a.txt', 'abc', 'root', mTime);
+            const [entry] = await client.listFiles('root', { details: true });
+            assert.strictEqual(entry.size, 3);
+            assert.strictEqual(entry.mTime.getTime(), mTime.getTime());
+            assert.strictEqual(entry.parentID, 'root');
+        });
+
+        it('follows the page tokens', async function () {
+            server.pageSize = 2;
+            for (let i = 0; i < 5; i++) server.addFile(`file${i}`, '');
+            const entries = await client.listFiles('root');
+            assert.strictEqual(entries.length, 5);
+            const iterated = [];
+            for await (const entry of client.iterateDirectory('root')) iterated.push(entry.name);
+            assert.deepStrictEqual(iterated, ['file0', 'file1', 'file2', 'file3', 'file4']);
+        });
+
+        it('lists and iterates paths', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'a', folderID);
+            assert.deepStrictEqual((await client.listPath('/docs')).map(entry => entry.name), ['a.txt']);
+            const iterated = [];
+            for await (const entry of client.iteratePath('docs', { details: true })) iterated.push(entry.size);
+            assert.deepStrictEqual(iterated, [1]);
+            await assert.rejects(client.listPath('/missing'), /Failed to locate/);
+        });
+    });
+
+    describe('working directory and paths', function () {
+        it('keeps track of the working directory', async function () {
+            const folderID = server.addFolder('docs');
+            client.enterDirectory(folderID);
+            assert.strictEqual(client.getCurrentFolder(), folderID);
+            client.enterDirectory('other');
+            client.enterParentDirectory();
+            assert.strictEqual(client.getCurrentFolder(), folderID);
+            client.enterDirectory('other');
+            client.removePathStackEntries(2);
+            assert.strictEqual(client.getCurrentFolder(), undefined);
+        });
+
+        it('resolves absolute and relative paths', async function () {
+            const docsID = server.addFolder('docs');
+            const innerID = server.addFolder('inner', docsID);
+            assert.strictEqual((await client.resolvePath('/docs/inner')).id, innerID);
+            assert.strictEqual(await client.changeDirectory('docs'), true);
+            assert.strictEqual((await client.resolvePath('inner')).id, innerID);
+            assert.strictEqual((await client.resolvePath('..')).id, 'root');
+            assert.strictEqual((await client.resolvePath('./inner/..')).id, docsID);
+            assert.strictEqual(await client.resolvePath('missing'), undefined);
+            assert.strictEqual(await client.changeDirectory('missing'), false);
+        });
+
+        it('gets the metadata of entries by ID and by path', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            assert.strictEqual((await client.stat(fileID)).size, 3);
+            assert.strictEqual((await client.stat('./a.txt')).id, fileID);
+            await assert.rejects(client.stat('/missing/a'), /Failed to locate/);
+        });
+    });
+
+    describe('entry changes', function () {
+        it('creates folders', async function () {
+            const folderID = await client.createDirectory('docs', 'root');
+            assert.strictEqual(server.entries.get(folderID).name, 'docs');
+            const nestedID = await client.createDirectoryAtPath('/a/b/c', true);
+            assert.strictEqual(server.getEntryByPath('/a/b/c').id, nestedID);
+            await client.createDirectoryAtPath('/docs/single');
+            assert.ok(server.getEntryByPath('/docs/single'));
+            await assert.rejects(client.createDirectoryAtPath('/missing/single'), /Failed to locate/);
+        });
+
+        it('removes entries', async function () {
+            const folderID = server.addFolder('docs');
+            const fileID = server.addFile('a.txt', 'a', folderID);
+            assert.strictEqual(await client.removeFile(fileID), true);
+            assert.strictEqual(server.entries.has(fileID), false);
+            await client.removePath('/docs');
+            assert.strictEqual(server.entries.has(folderID), false);
+        });
+
+        it('renames and moves entries', async function () {
+            const folderID = server.addFolder('docs');
+            const fileID = server.addFile('a.txt', 'a');
+            await client.renameEntry(fileID, 'b.txt');
+            assert.strictEqual(server.entries.get(fileID).name, 'b.txt');
+            await client.moveEntry(fileID, folderID);
+            assert.strictEqual(server.entries.get(fileID).parentID, folderID);
+            await client.renamePath('/docs/b.txt', 'c.txt');
+            assert.ok(server.getEntryByPath('/docs/c.txt'));
+            await client.movePath('/docs/c.txt', '/d.txt');
+            assert.strictEqual(server.getEntryByPath('/d.txt').id, fileID);
+            await client.movePath('/d.txt', '/docs');
+            assert.strictEqual(server.getEntryByPath('/docs/d.txt').id, fileID);
+        });
+
+        it('copies entries on the device', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'abc', folderID);
+            const copyID = await client.copyEntry(folderID, 'root', { newName: 'copy' });
+            assert.strictEqual(server.getEntryByPath('/copy/a.txt').content.toString(), 'abc');
+            assert.strictEqual(server.getEntryByPath('/copy').id, copyID);
+        });
+
+        it('copies entries by streaming them when the device can\'t copy', async function () {
+            server.supportsCopy = false;
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'abc', folderID);
+            const progress = [];
+            await client.copyPath('/docs', '/copy', update => progress.push(update));
+            assert.strictEqual(server.getEntryByPath('/copy/a.txt').content.toString(), 'abc');
+            assert.strictEqual(progress[progress.length - 1].filesDone, 1);
+        });
+
+        it('keeps copying on the device after a copy of a missing entry', async function () {
+            const folderID = server.addFolder('docs');
+            const fileID = server.addFile('a.txt', 'abc');
+            server.injectFault({ method: 'POST', path: /\/copy$/, status: 404, body: { error: 'Entry not found' } });
+            server.injectFault({ method: 'GET', path: `/sdk/v2/files/${folderID}`, status: 404 }); // Removed in the meantime
+            await assert.rejects(client.copyEntry(fileID, folderID), api.NotFoundError);
+            assert.notStrictEqual(client.serverCopySupported, false);
+
+            server.injectFault({ method: 'POST', path: /\/copy$/, status: 404 });
+            await client.copyEntry(fileID, folderID, { newName: 'b.txt' }); // Streamed, the endpoint may be missing
+            assert.strictEqual(server.getEntryByPath('/docs/b.txt').content.toString(), 'abc');
+            await client.copyEntry(fileID, folderID, { newName: 'c.txt' });
+            assert.strictEqual(server.requests.filter(request => request.path.endsWith('/copy')).length, 1); // Injected faults aren't recorded
+            assert.strictEqual(client.serverCopySupported, true);
+        });
+
+        it('fails copies without the location of the copy', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            server.injectFault({ method: 'POST', path: /\/copy$/, status: 201, body: '' });
+            await assert.rejects(client.copyEntry(fileID, 'root', { newName: 'b.txt' }), { name: 'ServerError', message: /doesn't contain the location/ });
+        });
+    });
+
+    describe('batches', function () {
+        it('runs different requests in one round trip', async function () {
+            const folderID = server.addFolder('docs');
+            const fileID = server.addFile('a.txt', 'abc');
+            const responses = await client.batch([
+                { method: 'GET', path: `/sdk/v2/files/${fileID}?fields=name,size` },
+                { method: 'PATCH', path: `/sdk/v2/files/${fileID}`, body: { parentID: folderID } },
+                { method: 'DELETE', path: '/sdk/v2/files/missing', entryID: 'missing' },
+            ]);
+            assert.deepStrictEqual(server.batches, [3]);
+            assert.deepStrictEqual(responses.map(response => response.status), [200, 204, 404]);
+            assert.strictEqual(responses[0].body.size, 3);
+            assert.strictEqual(responses[1].error, undefined);
+            assert.ok(responses[2].error instanceof api.NotFoundError);
+            assert.strictEqual(responses[2].error.entryID, 'missing');
+            assert.strictEqual(server.entries.get(fileID).parentID, folderID);
+        });
+
+        it('removes, moves and looks up several entries at once', async function () {
+            const folderID = server.addFolder('docs');
+            const ids = ['a.txt', 'b.txt', 'c.txt'].map(name => server.addFile(name, name));
+            const lookups = await client.getEntries([ids[0], 'missing']);
+            assert.strictEqual(lookups[0].body.name, 'a.txt');
+            assert.strictEqual(lookups[0].body.size, 5);
+            assert.ok(lookups[1].error instanceof api.NotFoundError);
+            await client.moveEntries(ids.slice(0, 2), folderID);
+            assert.ok(server.getEntryByPath('/docs/b.txt'));
+            const removals = await client.removeFiles(ids);
+            assert.ok(removals.every(response => response.error === undefined));
+            assert.strictEqual(server.entries.size, 2); // The root and the folder
+            assert.deepStrictEqual(server.batches, [2, 2, 3]);
+        });
+
+        it('splits batches the device rejects as too large', async function () {
+            server.batchLimit = 2;
+            const ids = ['a', 'b', 'c', 'd', 'e'].map(name => server.addFile(name, name));
+            const responses = await client.removeFiles(ids);
+            assert.strictEqual(responses.length, 5);
+            assert.ok(responses.every(response => response.status === 204));
+            assert.deepStrictEqual(server.batches, [2, 2, 1]);
+            assert.strictEqual(client.batchLimit, 2);
+        });
+
+        it('renews the session of a batch', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            server.expireTokens();
+            assert.strictEqual((await client.getEntries([fileID]))[0].body.name, 'a.txt');
+        });
+
+        it('removes and moves several paths', async function () {
+            server.addFolder('docs');
+            server.addFile('a.txt', 'a');
+            server.addFile('b.txt', 'b');
+            server.addFile('c.txt', 'c');
+            const moves = await client.movePaths(['/a.txt', '/missing', '/b.txt'], '/docs');
+            assert.ok(moves[1].error instanceof api.NotFoundError);
+            assert.ok(server.getEntryByPath('/docs/a.txt') && server.getEntryByPath('/docs/b.txt'));
+            await assert.rejects(client.movePaths(['/c.txt'], '/docs/a.txt'), api.ConflictError);
+            const removals = await client.removePaths(['/docs/a.txt', '/', '/c.txt']);
+            assert.match(removals[1].error.message, /root folder/);
+            assert.strictEqual(server.getEntryByPath('/c.txt'), undefined);
+            assert.deepStrictEqual(server.batches, [2, 2]);
+        });
+    });
+
+    describe('name conflicts', function () {
+        /**
+         * Get the names of the entries in the root folder
+         * @returns {Array<string>} The sorted names
+         */
+        const rootNames = () => server.getChildren('root').map(entry => entry.name).sort();
+
+        it('renames, overwrites, skips or fails uploads', async function () {
+            const filePath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(filePath, 'new');
+            const existingID = server.addFile('a.txt', 'old');
+            await client.uploadFile(filePath, () => { }, 'root');
+            assert.deepStrictEqual(rootNames(), ['a (1).txt', 'a.txt']);
+            await client.removeFile(server.getEntryByPath('/a (1).txt').id);
+
+            assert.strictEqual(await client.uploadFile(filePath, () => { }, 'root', { conflict: 'skip' }), existingID);
+            await assert.rejects(client.uploadFile(filePath, () => { }, 'root', { conflict: 'fail' }), { name: 'ConflictError', entryID: existingID });
+            await assert.rejects(client.uploadFile(filePath, () => { }, 'root', { conflict: 'sometimes' }), /Unknown conflict policy/);
+            const newID = await client.uploadFile(filePath, () => { }, 'root', { conflict: 'overwrite' });
+            assert.deepStrictEqual(rootNames(), ['a.txt']);
+            assert.strictEqual(server.getEntryByPath('/a.txt').id, newID);
+            assert.strictEqual(server.getEntryByPath('/a.txt').content.toString(), 'new');
+        });
+
+        it('keeps the overwritten file if the new one can\'t take its name', async function () {
+            const filePath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(filePath, 'new');
+            const existingID = server.addFile('a.txt', 'old');
+            const renameEntry = client.renameEntry;
+            let renames = 0;
+            client.renameEntry = function (...args) {
+                // The existing file is moved aside first, the rename of the new one fails
+                return ++renames === 2 ? Promise.reject(new api.ConflictError('Taken in the meantime')) : renameEntry.apply(this, args);
+            };
+            const error = await client.uploadFile(filePath, () => { }, 'root', { conflict: 'overwrite' }).catch(error => error);
+            assert.strictEqual(error.name, 'ConflictError');
+            assert.deepStrictEqual(rootNames(), ['a (1).txt', 'a.txt']);
+            assert.strictEqual(server.getEntryByPath('/a.txt').id, existingID);
+            assert.strictEqual(server.getEntryByPath('/a.txt').content.toString(), 'old');
+            assert.strictEqual(server.getEntryByPath('/a (1).txt').id, error.newEntryID);
+        });
+
+        it('skips identical files by size and modification time', async function () {
+            const filePath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(filePath, 'abc');
+            const mTime = new Date('2020-01-02T03:04:05Z');
+            fs.utimesSync(filePath, mTime, mTime);
+            const existingID = server.addFile('a.txt', 'xyz', 'root', mTime);
+            assert.strictEqual(await client.uploadFile(filePath, () => { }, 'root', { conflict: 'skip-if-identical' }), existingID);
+            fs.writeFileSync(filePath, 'abcd');
+            fs.utimesSync(filePath, mTime, mTime);
+            assert.notStrictEqual(await client.uploadFile(filePath, () => { }, 'root', { conflict: 'skip-if-identical' }), existingID);
+            assert.strictEqual(server.getEntryByPath('/a.txt').content.toString(), 'abcd');
+            assert.deepStrictEqual(rootNames(), ['a.txt']);
+        });
+
+        it('reuses existing directories', async function () {
+            const folderID = server.addFolder('docs');
+            assert.strictEqual(await client.createDirectory('docs', 'root', { conflict: 'skip' }), folderID);
+            assert.strictEqual(await client.createDirectoryAtPath('/docs', false, { conflict: 'overwrite' }), folderID);
+            await assert.rejects(client.createDirectory('docs', 'root', { conflict: 'fail' }), api.ConflictError);
+            await client.createDirectory('docs', 'root');
+            assert.deepStrictEqual(rootNames(), ['docs', 'docs (1)']);
+            server.addFile('file', 'a');
+            await assert.rejects(client.createDirectory('file', 'root', { conflict: 'skip' }), /isn't a folder/);
+        });
+
+        it('merges folder uploads into existing folders', async function () {
+            const localPath = path.join(context.tempDir, 'docs');
+            fs.mkdirSync(localPath);
+            fs.writeFileSync(path.join(localPath, 'a.txt'), 'new');
+            fs.writeFileSync(path.join(localPath, 'b.txt'), 'b');
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'old', folderID);
+            const summary = await client.uploadFolder(localPath, 'root', { conflict: 'overwrite' });
+            assert.strictEqual(summary.filesFailed, 0);
+            assert.deepStrictEqual(rootNames(), ['docs']);
+            assert.deepStrictEqual(server.getChildren(folderID).map(entry => entry.content.toString()).sort(), ['b', 'new']);
+        });
+
+        it('lists every destination folder once per transfer', async function () {
+            const localPath = path.join(context.tempDir, 'docs');
+            fs.mkdirSync(path.join(localPath, 'sub'), { recursive: true });
+            for (let i = 0; i < 5; i++) fs.writeFileSync(path.join(localPath, `${i}.txt`), `${i}`);
+            for (let i = 0; i < 3; i++) fs.writeFileSync(path.join(localPath, 'sub', `${i}.txt`), `${i}`);
+            const folderID = server.addFolder('docs');
+            server.addFile('0.txt', '0', folderID);
+            server.requests = [];
+            const summary = await client.uploadFolder(localPath, 'root', { conflict: 'skip' });
+            assert.strictEqual(summary.filesDone, 8);
+            assert.strictEqual(server.getChildren(folderID).length, 6);
+            // The root and docs are listed once, the new sub folder isn't listed at all
+            assert.strictEqual(server.requests.filter(request => request.path === '/sdk/v2/filesSearch/parents').length, 2);
+        });
+
+        it('applies the policy to copies and write streams', async function () {
+            const srcID = server.addFile('a.txt', 'new');
+            const folderID = server.addFolder('docs');
+            const existingID = server.addFile('a.txt', 'old', folderID);
+            assert.strictEqual(await client.copyEntry(srcID, folderID, { conflict: 'skip' }), existingID);
+            await client.copyPath('/a.txt', '/docs/a.txt', undefined, { conflict: 'overwrite' });
+            assert.strictEqual(server.getEntryByPath('/docs/a.txt').content.toString(), 'new');
+            assert.strictEqual(server.getChildren(folderID).length, 1);
+
+            const write = conflict => stream.promises.pipeline(stream.Readable.from([Buffer.from('stream')]), client.createWriteStream(folderID, 'a.txt', { conflict }));
+            await assert.rejects(write('fail'), api.ConflictError);
+            await write('overwrite');
+            assert.strictEqual(server.getEntryByPath('/docs/a.txt').content.toString(), 'stream');
+        });
+    });
+
+    describe('streams', function () {
+        it('reads remote files and ranges of them', async function () {
+            const fileID = server.addFile('a.txt', '0123456789');
+            assert.strictEqual((await readAll(client.createReadStream(fileID))).toString(), '0123456789');
+            assert.strictEqual((await readAll(client.createReadStream(fileID, { start: 2, end: 4 }))).toString(), '234');
+            server.ignoreRange = true;
+            assert.strictEqual((await readAll(client.createReadStream(fileID, { start: 7 }))).toString(), '789');
+        });
+
+        it('retries reads after dropped connections', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            server.injectFault({ path: `/sdk/v2/files/${fileID}/content`, drop: true });
+            assert.strictEqual((await readAll(client.createReadStream(fileID))).toString(), 'abc');
+        });
+
+        it('writes remote files', async function () {
+            const output = client.createWriteStream('root', 'out.txt');
+            await new Promise((resolve, reject) => stream.pipeline(stream.Readable.from([Buffer.from('hello '), Buffer.from('world')]), output, error => error ? reject(error) : resolve()));
+            assert.strictEqual(server.entries.get(output.fileID).content.toString(), 'hello world');
+        });
+    });
+
+    describe('uploads', function () {
+        it('uploads files in chunks', async function () {
+            const filePath = path.join(context.tempDir, 'big.bin');
+            fs.writeFileSync(filePath, Buffer.alloc(50000, 7));
+            const progress = [];
+            const fileID = await client.uploadFile(filePath, percentage => progress.push(percentage), 'root');
+            assert.strictEqual(server.entries.get(fileID).content.length, 50000);
+            assert.ok(progress.length >= 3);
+            assert.deepStrictEqual(client.listPendingUploads(), []);
+        });
+
+        it('uploads empty files', async function () {
+            const filePath = path.join(context.tempDir, 'empty.txt');
+            fs.writeFileSync(filePath, '');
+            const fileID = await client.uploadFile(filePath, () => { }, 'root');
+            assert.strictEqual(server.entries.get(fileID).complete, true);
+        });
+
+        it('uploads to paths', async function () {
+            server.addFolder('docs');
+            const filePath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(filePath, 'abc');
+            await client.uploadFileToPath(filePath, '/docs', () => { });
+            assert.strictEqual(server.getEntryByPath('/docs/a.txt').content.toString(), 'abc');
+        });
+
+        it('continues the upload after a session timeout', async function () {
+            const filePath = path.join(context.tempDir, 'big.bin');
+            fs.writeFileSync(filePath, Buffer.alloc(50000, 7));
+            server.injectFault({ method: 'PUT', path: /resumable\/content$/, status: 401 });
+            const fileID = await client.uploadFile(filePath, () => { }, 'root');
+            assert.strictEqual(server.entries.get(fileID).content.length, 50000);
+        });
+
+        it('keeps a journal of failed uploads and resumes them', async function () {
+            const filePath = path.join(context.tempDir, 'big.bin');
+            fs.writeFileSync(filePath, Buffer.alloc(50000, 7));
+            const error = await client.uploadFile(filePath, (percentage) => {
+                if (percentage > 0) throw new Error('Interrupted');
+            }, 'root').catch(error => error);
+            assert.ok(error.journalID);
+            const [pending] = client.listPendingUploads();
+            assert.strictEqual(pending.id, error.journalID);
+            assert.ok(pending.offset > 0);
+            const fileID = await client.resumeUpload(error.journalID, () => { });
+            assert.strictEqual(server.entries.get(fileID).content.length, 50000);
+            assert.deepStrictEqual(client.listPendingUploads(), []);
+        });
+
+        it('saves the journal once in a while instead of after every chunk', async function () {
+            const filePath = path.join(context.tempDir, 'big.bin');
+            fs.writeFileSync(filePath, Buffer.alloc(1000000, 7));
+            const writeJournal = journal.writeJournal;
+            let writes = 0;
+            journal.writeJournal = (...args) => {
+                writes++;
+                return writeJournal(...args);
+            };
+            try {
+                await client.uploadFile(filePath, () => { }, 'root');
+            } finally {
+                journal.writeJournal = writeJournal;
+            }
+            assert.ok(writes >= 1 && writes < 10, `${writes} writes`);
+        });
+
+        it('starts uploads the device doesn\'t know anymore again', async function () {
+            const filePath = path.join(context.tempDir, 'big.bin');
+            fs.writeFileSync(filePath, Buffer.from(Array.from({ length: 50000 }, (value, index) => index % 251)));
+            const interrupt = (percentage) => {
+                if (percentage > 0) throw new Error('Interrupted');
+            };
+            const forgotten = await client.uploadFile(filePath, interrupt, 'root').catch(error => error);
+            server.entries.delete(client.listPendingUploads()[0].entryID); // The resumable url answers 404
+            const fileID = await client.resumeUpload(forgotten.journalID, () => { }, { verify: true });
+            assert.deepStrictEqual(server.entries.get(fileID).content, fs.readFileSync(filePath));
+            assert.deepStrictEqual(client.listPendingUploads(), []);
+
+            const expired = await client.uploadFile(filePath, interrupt, 'root').catch(error => error);
+            server.injectFault({ method: 'PUT', path: /resumable\/content$/, status: 410 });
+            const otherID = await client.resumeUpload(expired.journalID, () => { });
+            assert.deepStrictEqual(server.entries.get(otherID).content, fs.readFileSync(filePath));
+            assert.deepStrictEqual(client.listPendingUploads(), []);
+        });
+
+        it('fails uploads whose journal can\'t be saved', async function () {
+            const filePath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(filePath, 'abc');
+            client.journalDir = filePath; // Not a folder
+            await assert.rejects(client.uploadFile(filePath, () => { }, 'root'), { code: /^(EEXIST|ENOTDIR)$/ });
+        });
+
+        it('keeps the modification time of the local file in any time zone', async function () {
+            const originalTimeZone = process.env.TZ;
+            process.env.TZ = 'Asia/Kolkata'; // +05:30, a wrong offset would move the time by hours
+            try {
+                const filePath = path.join(context.tempDir, 'a.txt');
+                fs.writeFileSync(filePath, 'abc');
+                const mTime = new Date('2019-05-04T12:30:00Z');
+                fs.utimesSync(filePath, mTime, mTime);
+                const fileID = await client.uploadFile(filePath, () => { }, 'root');
+                assert.strictEqual(server.entries.get(fileID).mTime.getTime(), mTime.getTime());
+            } finally {
+                if (originalTimeZone === undefined) delete process.env.TZ;
+                else process.env.TZ = originalTimeZone;
+            }
+        });
+
+        it('stamps the upload time if timestamps are not preserved', async function () {
+            const filePath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(filePath, 'abc');
+            fs.utimesSync(filePath, new Date('2019-05-04T12:30:00Z'), new Date('2019-05-04T12:30:00Z'));
+            const fileID = await client.uploadFile(filePath, () => { }, 'root', { preserveTimestamps: false });
+            assert.ok(Date.now() - server.entries.get(fileID).mTime.getTime() < 60 * 1000);
+        });
+    });
+
+    describe('downloads', function () {
+        it('downloads files', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            const localPath = path.join(context.tempDir, 'a.txt');
+            assert.strictEqual(await client.downloadFile(fileID, localPath, () => { }), true);
+            assert.strictEqual(fs.readFileSync(localPath, 'utf8'), 'abc');
+            assert.strictEqual(fs.existsSync(localPath + '.part'), false);
+        });
+
+        it('resumes partial downloads with ranged requests', async function () {
+            const fileID = server.addFile('a.txt', '0123456789');
+            const localPath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(localPath + '.part', '01234');
+            await client.downloadFile(fileID, localPath, () => { }, { resume: true });
+            assert.strictEqual(fs.readFileSync(localPath, 'utf8'), '0123456789');
+            const contentRequest = server.requests.find(request => request.path.endsWith('/content'));
+            assert.ok(contentRequest);
+        });
+
+        it('retries downloads cut off in the middle', async function () {
+            const fileID = server.addFile('a.txt', Buffer.alloc(10000, 1));
+            server.injectFault({ path: `/sdk/v2/files/${fileID}/content`, dropAfter: 100 });
+            const localPath = path.join(context.tempDir, 'a.txt');
+            await client.downloadFile(fileID, localPath, () => { });
+            assert.strictEqual(fs.statSync(localPath).size, 10000);
+        });
+
+        it('downloads from paths', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'abc', folderID);
+            const localPath = path.join(context.tempDir, 'a.txt');
+            await client.downloadFileFromPath('/docs/a.txt', localPath, () => { });
+            assert.strictEqual(fs.readFileSync(localPath, 'utf8'), 'abc');
+            await assert.rejects(client.downloadFileFromPath('/docs', localPath, () => { }), /is a folder/);
+        });
+
+        it('keeps the modification time of the remote file', async function () {
+            const mTime = new Date('2019-05-04T12:30:00Z');
+            const fileID = server.addFile('a.txt', 'abc', 'root', mTime);
+            const localPath = path.join(context.tempDir, 'a.txt');
+            await client.downloadFile(fileID, localPath, () => { });
+            assert.strictEqual(fs.statSync(localPath).mtime.getTime(), mTime.getTime());
+            assert.strictEqual(fs.statSync(localPath).atime.getTime(), mTime.getTime());
+
+            const otherPath = path.join(context.tempDir, 'b.txt');
+            await client.downloadFile(fileID, otherPath, () => { }, { preserveTimestamps: false });
+            assert.notStrictEqual(fs.statSync(otherPath).mtime.getTime(), mTime.getTime());
+        });
+
+        it('fails downloads the local file system rejects', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            // A folder in the way of the downloaded file, the partial file can't be renamed
+            const localPath = path.join(context.tempDir, 'a.txt');
+            fs.mkdirSync(localPath);
+            fs.writeFileSync(path.join(localPath, 'b.txt'), 'b');
+            await assert.rejects(client.downloadFile(fileID, localPath, () => { }), { code: /^(EISDIR|ENOTEMPTY|EEXIST|EPERM)$/ });
+            assert.strictEqual(fs.readFileSync(localPath + '.part', 'utf8'), 'abc');
+        });
+    });
+
+    describe('folder transfers', function () {
+        it('uploads and downloads folders', async function () {
+            const localRoot = path.join(context.tempDir, 'tree');
+            fs.mkdirSync(path.join(localRoot, 'sub'), { recursive: true });
+            fs.writeFileSync(path.join(localRoot, 'a.txt'), 'a');
+            fs.writeFileSync(path.join(localRoot, 'sub', 'b.txt'), 'bb');
+            const uploaded = await client.uploadFolder(localRoot, 'root', { concurrency: 2 });
+            assert.strictEqual(uploaded.filesDone, 2);
+            assert.strictEqual(server.getEntryByPath('/tree/sub/b.txt').content.toString(), 'bb');
+
+            const downloadPath = path.join(context.tempDir, 'copy');
+            const downloaded = await client.downloadFolder(server.getEntryByPath('/tree').id, downloadPath);
+            assert.strictEqual(downloaded.filesDone, 2);
+            assert.strictEqual(fs.readFileSync(path.join(downloadPath, 'sub', 'b.txt'), 'utf8'), 'bb');
+        });
+
+        it('keeps the modification times of files and folders', async function () {
+            const mTime = new Date('2019-05-04T12:30:00Z');
+            const localRoot = path.join(context.tempDir, 'tree');
+            fs.mkdirSync(path.join(localRoot, 'sub'), { recursive: true });
+            fs.writeFileSync(path.join(localRoot, 'sub', 'b.txt'), 'bb');
+            [path.join(localRoot, 'sub', 'b.txt'), path.join(localRoot, 'sub'), localRoot].forEach(entryPath => fs.utimesSync(entryPath, mTime, mTime));
+            await client.uploadFolder(localRoot, 'root');
+            ['/tree', '/tree/sub', '/tree/sub/b.txt'].forEach(remotePath => assert.strictEqual(server.getEntryByPath(remotePath).mTime.getTime(), mTime.getTime()));
+
+            const downloadPath = path.join(context.tempDir, 'copy');
+            await client.downloadFolder(server.getEntryByPath('/tree').id, downloadPath);
+            [downloadPath, path.join(downloadPath, 'sub'), path.join(downloadPath, 'sub', 'b.txt')].forEach(entryPath => assert.strictEqual(fs.statSync(entryPath).mtime.getTime(), mTime.getTime()));
+        });
+
+        it('creates transfer managers for custom job trees', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            const manager = client.createTransferManager({ concurrency: 1 });
+            manager.add(await manager.planDownload(await client.stat(fileID), path.join(context.tempDir, 'a.txt')));
+            const summary = await manager.run();
+            assert.strictEqual(summary.filesDone, 1);
+            assert.ok(manager instanceof api.TransferManager);
+        });
+    });
+
+    describe('sync', function () {
+        it('pushes new local files', async function () {
+            const localRoot = path.join(context.tempDir, 'local');
+            fs.mkdirSync(localRoot);
+            fs.writeFileSync(path.join(localRoot, 'a.txt'), 'a');
+            const summary = await client.syncPath(localRoot, '/remote', { mode: 'push' });
+            assert.strictEqual(summary.transfer.filesDone, 1);
+            assert.strictEqual(server.getEntryByPath('/remote/a.txt').content.toString(), 'a');
+        });
+
+        it('pulls new remote files', async function () {
+            const folderID = server.addFolder('remote');
+            server.addFile('a.txt', 'a', folderID);
+            const localRoot = path.join(context.tempDir, 'local');
+            const summary = await client.sync(localRoot, folderID, { mode: 'pull' });
+            assert.strictEqual(summary.transfer.filesDone, 1);
+            assert.strictEqual(fs.readFileSync(path.join(localRoot, 'a.txt'), 'utf8'), 'a');
+        });
+    });
+
+    describe('verification', function () {
+        it('compares files by reading the remote content back', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            const localPath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(localPath, 'abc');
+            assert.strictEqual((await client.verifyFile(localPath, fileID)).source, 'content');
+            fs.writeFileSync(localPath, 'abd');
+            await assert.rejects(client.verifyPath(localPath, '/a.txt'), api.ChecksumMismatchError);
+        });
+
+        it('uses the checksums reported by the device', async function () {
+            server.reportChecksums = true;
+            const fileID = server.addFile('a.txt', 'abc');
+            const localPath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(localPath, 'abc');
+            assert.strictEqual((await client.verifyFile(localPath, fileID)).source, 'metadata');
+        });
+
+        it('verifies uploads and downloads', async function () {
+            const localPath = path.join(context.tempDir, 'a.txt');
+            fs.writeFileSync(localPath, 'abc');
+            const fileID = await client.uploadFile(localPath, () => { }, 'root', { verify: true });
+            await client.downloadFile(fileID, path.join(context.tempDir, 'b.txt'), () => { }, { verify: true });
+            assert.strictEqual(fs.readFileSync(path.join(context.tempDir, 'b.txt'), 'utf8'), 'abc');
+        });
+
+        it('verifies uploads with the hash of the sent bytes', async function () {
+            server.reportChecksums = true;
+            const filePath = path.join(context.tempDir, 'big.bin');
+            fs.writeFileSync(filePath, Buffer.from(Array.from({ length: 50000 }, (value, index) => index % 251)));
+            server.injectFault({ method: 'PUT', path: /resumable\/content$/, status: 500 }); // The failed chunk is sent again
+            const createReadStream = fs.createReadStream;
+            const readPaths = [];
+            fs.createReadStream = (readPath, ...args) => {
+                readPaths.push(readPath);
+                return createReadStream(readPath, ...args);
+            };
+            try {
+                await client.uploadFile(filePath, () => { }, 'root', { verify: true });
+            } finally {
+                fs.createReadStream = createReadStream;
+            }
+            assert.deepStrictEqual(readPaths, []);
+        });
+
+        it('verifies resumed uploads', async function () {
+            const filePath = path.join(context.tempDir, 'big.bin');
+            fs.writeFileSync(filePath, Buffer.from(Array.from({ length: 50000 }, (value, index) => index % 251)));
+            const error = await client.uploadFile(filePath, (percentage) => {
+                if (percentage > 0) throw new Error('Interrupted');
+            }, 'root', { verify: true }).catch(error => error);
+            assert.ok(error.journalID);
+            const fileID = await client.resumeUpload(error.journalID, () => { }, { verify: true });
+            assert.deepStrictEqual(server.entries.get(fileID).content, fs.readFileSync(filePath));
+        });
+    });
+
+    describe('server errors', function () {
+        it('retries requests after server errors', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 503, times: 2 });
+            assert.strictEqual((await client.stat(fileID)).size, 3);
+        });
+
+        it('gives up after too many failures', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 500, times: 100 });
+            await assert.rejects(client.stat(fileID), { name: 'ServerError', status: 500, endpoint: `GET /sdk/v2/files/${fileID}`, entryID: fileID });
+            assert.strictEqual(server.faults[0].times, 95); // Exactly 5 attempts
+        });
+
+        it('retries dropped connections and too many requests', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, drop: true });
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 429 });
+            assert.strictEqual((await client.stat(fileID)).size, 3);
+            assert.strictEqual(server.faults.length, 0);
+        });
+
+        it('doesn\'t retry errors that fail the same way every time', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            for (const status of [404, 409, 507]) {
+                server.injectFault({ path: `/sdk/v2/files/${fileID}`, status, times: 2 });
+                await assert.rejects(client.stat(fileID), { status });
+                assert.strictEqual(server.faults[0].times, 1);
+                server.faults = [];
+            }
+        });
+
+        it('waits as long as the Retry-After header asks, up to the maximum delay', async function () {
+            client.setRetryPolicy({ maxDelay: 1000 });
+            const fileID = server.addFile('a.txt', 'abc');
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 503, headers: { 'retry-after': '1' } });
+            let start = Date.now();
+            assert.strictEqual((await client.stat(fileID)).size, 3);
+            assert.ok(Date.now() - start >= 1000);
+
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 503, headers: { 'retry-after': '86400' } });
+            start = Date.now();
+            assert.strictEqual((await client.stat(fileID)).size, 3);
+            assert.ok(Date.now() - start < 5000);
+        });
+
+        it('applies the retry policy of single actions', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            client.setRetryPolicy({ maxAttempts: 1 }, 'get entry data');
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 503 });
+            await assert.rejects(client.stat(fileID), { name: 'ServerError', status: 503 });
+            client.setRetryPolicy({ maxAttempts: 3 });
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 503 });
+            await assert.rejects(client.stat(fileID), { name: 'ServerError' }); // The action override still wins
+            client.setRetryPolicy({ maxAttempts: 2 }, 'get entry data');
+            server.injectFault({ path: `/sdk/v2/files/${fileID}`, status: 503 });
+            assert.strictEqual((await client.stat(fileID)).size, 3);
+        });
+    });
+
+    describe('typed errors', function () {
+        it('rejects with the error matching the status code', async function () {
+            const fileID = server.addFile('a.txt', 'abc');
+            const cases = [[404, api.NotFoundError], [409, api.ConflictError], [507, api.QuotaExceededError], [413, api.PayloadTooLargeError], [403, api.AuthenticationError], [503, api.ServerError]];
+            for (const [status, errorClass] of cases) {
+                server.injectFault({ path: `/sdk/v2/files/${fileID}`, status, times: 10 });
+                const error = await client.stat(fileID).catch(error => error);
+                assert.ok(error instanceof errorClass, `${status} should be a ${errorClass.name}`);
+                assert.ok(error instanceof api.WdError);
+                assert.strictEqual(error.status, status);
+                server.faults = [];
+            }
+        });
+
+        it('tells missing entries from unreachable devices', async function () {
+            await assert.rejects(client.stat('missing'), { name: 'NotFoundError', entryID: 'missing' });
+            await assert.rejects(client.removeFile('missing'), { name: 'NotFoundError', endpoint: 'DELETE /sdk/v2/files/missing' });
+            await assert.rejects(client.stat('./missing'), { name: 'NotFoundError', message: 'Failed to locate the following path: ./missing' });
+            server.injectFault({ path: '/sdk/v2/filesSearch/parents', drop: true, times: 10 });
+            const error = await client.listFiles('root').catch(error => error);
+            assert.ok(error instanceof api.NetworkError);
+            assert.strictEqual(error.endpoint, 'GET /sdk/v2/filesSearch/parents');
+            assert.ok(error.cause instanceof Error);
+        });
+
+        it('rejects path conflicts and missing uploads with typed errors', async function () {
+            server.addFile('a.txt', 'a');
+            server.addFile('b.txt', 'b');
+            await assert.rejects(client.movePath('/a.txt', '/b.txt'), api.ConflictError);
+            await assert.rejects(client.uploadFile(path.join(context.tempDir, 'missing.txt')), api.NotFoundError);
+        });
+    });
+});
+
+describe('default client exports', function () {
+    let server;
+
+    before(async function () {
+        server = new MockWdServer();
+        await server.start();
+        api.setWdHost(server.url);
+        api.setAuthUrl(server.authUrl);
+    });
+
+    after(async function () {
+        await server.stop();
+    });
+
+    it('share the state of one client', async function () {
+        assert.strictEqual(await api.authenticate('user', 'pass'), true);
+        const folderID = await api.createDirectory('docs', 'root');
+        api.enterDirectory(folderID);
+        assert.strictEqual(api.getCurrentFolder(), folderID);
+        api.enterParentDirectory();
+        assert.deepStrictEqual((await api.listFiles()).map(entry => entry.name), ['docs']);
+    });
+
+    it('toggle the API messages', function () {
+        api.enableAPIMessages();
+        api.disableAPIMessages();
+    });
+});
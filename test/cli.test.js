@@ -0,0 +1,201 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const bridge = require('../api');
+const settings = require('../settings');
+const profile = require('../profile');
+const cli = require('../cli');
+const { MockWdServer } = require('./mock-server');
+const { createTempDir, captureStreams, fastRetryPolicy } = require('./helpers');
+
+describe('cli', function () {
+    let server;
+    let tempDir;
+    let originalSettings;
+
+    /**
+     * Run the command line interface and collect its output
+     * @param {...string} args The command line arguments
+     * @returns {Promise<Object>} The exit code, the stdout and the stderr text
+     */
+    const run = async (...args) => {
+        const captured = await captureStreams(() => cli.run(args));
+        return { code: captured.result, stdout: captured.stdout, stderr: captured.stderr };
+    };
+
+    beforeEach(async function () {
+        server = new MockWdServer();
+        await server.start();
+        tempDir = createTempDir();
+        originalSettings = Object.assign({}, settings);
+        Object.assign(settings, { authUrl: server.authUrl, devicesUrl: server.devicesUrl });
+        Object.assign(process.env, { WD_HOST: server.url, WD_USER: 'user', WD_PASS: 'pass' });
+        bridge.setRetryPolicy(fastRetryPolicy);
+    });
+
+    afterEach(async function () {
+        delete process.env.WD_HOST;
+        delete process.env.WD_USER;
+        delete process.env.WD_PASS;
+        Object.assign(settings, originalSettings);
+        bridge.setSessionCallback(undefined);
+        profile.updateProfile({ tokens: undefined });
+        await server.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('arguments', function () {
+        it('parses options anywhere', function () {
+            assert.deepStrictEqual(cli.parseArguments(['--json', 'put', './a b', '--on-conflict=skip', '/docs', '--verify']), {
+                command: 'put',
+                args: ['./a b', '/docs'],
+                options: { 'json': true, 'on-conflict': 'skip', 'verify': true },
+            });
+            assert.deepStrictEqual(cli.parseArguments(['ls', '-lq', '--', '-odd']).options, { long: true, quiet: true });
+            assert.deepStrictEqual(cli.parseArguments(['ls', '--', '-odd']).args, ['-odd']);
+            assert.deepStrictEqual(cli.parseArguments(['mkdir', '--on-conflict', 'fail', 'x']).options, { 'on-conflict': 'fail' });
+        });
+
+        it('rejects invalid arguments with exit code 2', async function () {
+            assert.throws(() => cli.parseArguments(['ls', '--recursive']), /Unknown option: --recursive for ls/);
+            assert.throws(() => cli.parseArguments(['mkdir', '--on-conflict']), /Missing value/);
+            const unknown = await run('frobnicate');
+            assert.strictEqual(unknown.code, cli.exitCodes.usage);
+            assert.match(unknown.stderr, /Unknown command: frobnicate/);
+            assert.strictEqual((await run('stat')).code, cli.exitCodes.usage);
+            const policy = await run('--json', 'mkdir', '--on-conflict', 'maybe', 'x');
+            assert.strictEqual(policy.code, cli.exitCodes.usage);
+            assert.strictEqual(JSON.parse(policy.stdout).error.name, 'UsageError');
+        });
+
+        it('prints the help', async function () {
+            const help = await run('help');
+            assert.strictEqual(help.code, 0);
+            assert.match(help.stdout, /Exit codes/);
+            assert.match(help.stdout, /shell/);
+            assert.match((await run('put', '--help')).stdout, /Usage: wd-bridge put/);
+        });
+    });
+
+    describe('commands', function () {
+        it('lists folders as text and JSON', async function () {
+            const folderID = server.addFolder('Photos');
+            server.addFile('a.jpg', 'abc', folderID);
+            server.addFolder('trip', folderID);
+            const text = await run('ls', '/Photos');
+            assert.strictEqual(text.code, 0);
+            assert.deepStrictEqual(text.stdout.trim().split('\n').sort(), ['a.jpg', 'trip/']);
+            assert.match((await run('ls', '-l', 'Photos')).stdout, /3B .* a\.jpg/);
+            const json = await run('ls', '--json', '/Photos');
+            const entries = JSON.parse(json.stdout);
+            assert.strictEqual(entries.find(entry => entry.name === 'a.jpg').size, 3);
+            assert.strictEqual(json.stderr, '');
+        });
+
+        it('puts and gets files and folders', async function () {
+            server.addFolder('Backups');
+            const localFile = path.join(tempDir, 'a.txt');
+            fs.writeFileSync(localFile, 'abc');
+            const put = await run('--json', 'put', localFile, '/Backups');
+            assert.strictEqual(put.code, 0);
+            assert.strictEqual(JSON.parse(put.stdout).id, server.getEntryByPath('/Backups/a.txt').id);
+            assert.strictEqual((await run('put', localFile, '/Backups/renamed.txt')).code, 0);
+            assert.strictEqual(server.getEntryByPath('/Backups/renamed.txt').content.toString(), 'abc');
+
+            fs.mkdirSync(path.join(tempDir, 'tree', 'sub'), { recursive: true });
+            fs.writeFileSync(path.join(tempDir, 'tree', 'sub', 'b.txt'), 'bb');
+            const folder = await run('put', path.join(tempDir, 'tree'), '/Backups');
+            assert.strictEqual(folder.code, 0);
+            assert.match(folder.stderr, /1 files uploaded/);
+            assert.strictEqual(server.getEntryByPath('/Backups/tree/sub/b.txt').content.toString(), 'bb');
+
+            const downloads = path.join(tempDir, 'downloads');
+            fs.mkdirSync(downloads);
+            assert.strictEqual((await run('get', '/Backups/renamed.txt', downloads)).code, 0);
+            assert.strictEqual(fs.readFileSync(path.join(downloads, 'renamed.txt'), 'utf8'), 'abc');
+            const got = await run('--json', 'get', '/Backups/tree', path.join(downloads, 'copy'));
+            assert.strictEqual(JSON.parse(got.stdout).filesDone, 1);
+            assert.strictEqual(fs.readFileSync(path.join(downloads, 'copy', 'sub', 'b.txt'), 'utf8'), 'bb');
+        });
+
+        it('creates, moves, copies, prints and removes entries', async function () {
+            assert.strictEqual((await run('mkdir', '-p', '/a/b')).code, 0);
+            assert.ok(server.getEntryByPath('/a/b').isDir);
+            assert.strictEqual((await run('mkdir', '--on-conflict', 'fail', '/a/b')).code, cli.exitCodes.conflict);
+            server.addFile('x.txt', 'xyz');
+            assert.strictEqual((await run('cp', '/x.txt', '/a/y.txt')).code, 0);
+            assert.strictEqual((await run('mv', '/x.txt', '/a/y.txt', '/a/b')).code, 0);
+            assert.strictEqual(server.getEntryByPath('/a/b/y.txt').content.toString(), 'xyz');
+            assert.strictEqual((await run('cat', '/a/b/x.txt')).stdout, 'xyz');
+            const json = await run('--json', 'cat', '/a/b/x.txt');
+            assert.strictEqual(json.code, cli.exitCodes.usage);
+            assert.strictEqual(JSON.parse(json.stdout).error.name, 'UsageError');
+            assert.strictEqual(JSON.parse((await run('--json', 'stat', '/a/b/x.txt')).stdout).size, 3);
+            assert.strictEqual((await run('cp', '/a', '/c')).code, cli.exitCodes.usage);
+            assert.strictEqual((await run('rm', '/a/b/x.txt', '/a/b/y.txt')).code, 0);
+            assert.strictEqual(server.getEntryByPath('/a/b/x.txt'), undefined);
+            const folder = await run('rm', '/a');
+            assert.strictEqual(folder.code, cli.exitCodes.failure);
+            assert.match(folder.stderr, /only removed recursively/);
+            assert.ok(server.getEntryByPath('/a/b'));
+            assert.strictEqual((await run('rm', '-r', '/a')).code, 0);
+            assert.strictEqual(server.getEntryByPath('/a'), undefined);
+        });
+    });
+
+    describe('exit codes and output', function () {
+        it('reports the failed entries and exits with the code of the first failure', async function () {
+            server.addFile('a.txt', 'a');
+            const result = await run('--json', 'rm', '/a.txt', '/missing.txt');
+            assert.strictEqual(result.code, cli.exitCodes.notFound);
+            const [removed, missing] = JSON.parse(result.stdout);
+            assert.strictEqual(removed.error, undefined);
+            assert.strictEqual(missing.path, '/missing.txt');
+            assert.strictEqual(missing.error.name, 'NotFoundError');
+            assert.strictEqual(server.getEntryByPath('/a.txt'), undefined);
+        });
+
+        it('fails with exit code 3 without credentials', async function () {
+            delete process.env.WD_USER;
+            delete process.env.WD_PASS;
+            const result = await run('ls');
+            assert.strictEqual(result.code, cli.exitCodes.authentication);
+            assert.match(result.stderr, /Not logged in/);
+        });
+
+        it('continues the stored session', async function () {
+            assert.strictEqual((await run('ls')).code, 0);
+            assert.ok(profile.readProfile().tokens.auth);
+            delete process.env.WD_USER;
+            delete process.env.WD_PASS;
+            assert.strictEqual((await run('ls')).code, 0);
+        });
+
+        it('prints less when quiet and more when verbose', async function () {
+            const localFile = path.join(tempDir, 'a.txt');
+            fs.writeFileSync(localFile, 'abc');
+            const quiet = await run('-q', 'put', localFile, '/');
+            assert.strictEqual(quiet.code, 0);
+            assert.strictEqual(quiet.stdout + quiet.stderr, '');
+            assert.match((await run('put', localFile, '/')).stderr, /Uploaded/);
+            try {
+                assert.match((await run('-v', 'rm', '/a.txt')).stderr, /remove \/a\.txt done/);
+            } finally {
+                bridge.disableAPIMessages();
+            }
+        });
+
+        it('keeps the API messages of verbose runs out of the results', async function () {
+            server.addFile('a.txt', 'abc');
+            server.injectFault({ path: /\/content$/, status: 503 });
+            try {
+                const verbose = await run('-v', 'cat', '/a.txt');
+                assert.strictEqual(verbose.code, 0);
+                assert.strictEqual(verbose.stdout, 'abc');
+                assert.match(verbose.stderr, /trying again/);
+            } finally {
+                bridge.disableAPIMessages();
+            }
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const completion = require('../completion');
+
+describe('completion', function () {
+    const specs = {
+        'ls': { flags: ['-l', '--json'], max: 1 },
+        'rm': { flags: ['-r', '-f'] },
+        'cp': { values: ['--on-conflict'] },
+        'upload': { flags: ['--verify'], complete: ['local'] },
+        'l': { max: 2, complete: [['pwd', 'cd', 'ls'], 'local'] },
+    };
+    const remote = {
+        '.': [{ name: 'docs', isDir: true }, { name: 'doc notes.txt', isDir: false }, { name: 'it\'s.txt', isDir: false }],
+        'docs/': [{ name: 'a.txt', isDir: false }, { name: 'b.txt', isDir: false }],
+    };
+    const sources = {
+        listRemote: async (folderPath) => {
+            if (remote[folderPath] === undefined) throw new Error('Missing folder');
+            return remote[folderPath];
+        },
+        listLocal: (token) => token.value === '.' ? [{ name: 'photos', isDir: true }, { name: 'photo.jpg', isDir: false }] : [],
+        optionValues: { '--on-conflict': ['rename', 'skip'] },
+    };
+    const complete = (line) => completion.completeLine(line, specs, sources);
+
+    it('completes the commands and their options', async function () {
+        assert.deepStrictEqual(await complete(''), [['cp', 'l', 'ls', 'rm', 'upload'], '']);
+        assert.deepStrictEqual(await complete('l'), [['l', 'ls'], 'l']);
+        assert.deepStrictEqual(await complete('up'), [['upload '], 'up']);
+        assert.deepStrictEqual(await complete('ls -'), [['--json', '-l'], '-']);
+        assert.deepStrictEqual(await complete('cp --on-conflict s'), [['skip '], 's']);
+        assert.deepStrictEqual(await complete('l '), [['cd', 'ls', 'pwd'], '']);
+        assert.deepStrictEqual(await complete('frobnicate '), [[], '']);
+    });
+
+    it('completes the remote paths with the quotes and escapes of the user', async function () {
+        assert.deepStrictEqual(await complete('rm do'), [['doc\\ notes.txt', 'docs/'], 'do']);
+        assert.deepStrictEqual(await complete('rm "doc n'), [['"doc notes.txt" '], '"doc n']);
+        assert.deepStrictEqual(await complete('rm -r it'), [['it\\\'s.txt '], 'it']);
+        assert.deepStrictEqual(await complete('rm \'it'), [['\'it\'\\\'\'s.txt\' '], '\'it']);
+        assert.deepStrictEqual(await complete('rm docs/'), [['docs/a.txt', 'docs/b.txt'], 'docs/']);
+        assert.deepStrictEqual(await complete('rm missing/'), [[], 'missing/']);
+        assert.deepStrictEqual(await complete('ls docs '), [[], '']);
+    });
+
+    it('completes the local paths of local commands', async function () {
+        assert.deepStrictEqual(await complete('upload --verify pho'), [['photo.jpg', 'photos/'], 'pho']);
+        assert.deepStrictEqual(await complete('l cd photos'), [['photos/'], 'photos']);
+    });
+
+    it('caches the listings until they are cleared or too old', async function () {
+        const cache = new completion.ListingCache(60 * 1000);
+        let loads = 0;
+        const load = async () => [{ name: `load ${++loads}`, isDir: false }];
+        assert.strictEqual((await cache.get('/docs', load))[0].name, 'load 1');
+        assert.strictEqual((await cache.get('/docs', load))[0].name, 'load 1');
+        assert.strictEqual((await cache.get('/other', load))[0].name, 'load 2');
+        cache.clear();
+        assert.strictEqual((await cache.get('/docs', load))[0].name, 'load 3');
+        const expired = new completion.ListingCache(0);
+        await expired.get('/docs', load);
+        assert.strictEqual((await expired.get('/docs', load))[0].name, 'load 5');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Module for the temporary folders
+ */
+const fs = require('fs');
+/**
+ * Module for the temporary folder location
+ */
+const os = require('os');
+/**
+ * Module for building the temporary paths
+ */
+const path = require('path');
+/**
+ * Local stand-in of the device
+ */
+const { MockWdServer } = require('./mock-server');
+/**
+ * Client under test
+ */
+const { WdClient } = require('../api');
+/**
+ * Retry policy keeping the retries of the tests short, the mock server answers at once
+ */
+const fastRetryPolicy = { baseDelay: 1, maxDelay: 5 };
+
+/**
+ * Create an empty temporary folder
+ * @returns {string} The path of the folder
+ */
+function createTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'wd-bridge-test-'));
+}
+
+/**
+ * Start a mock server and create an authenticated client for it
+ * @param {Object} [serverOptions] The options of the mock server
+ * @returns {Promise<Object>} The server, the client and a temporary folder for local files
+ */
+async function startClient(serverOptions) {
+    const server = new MockWdServer(serverOptions);
+    await server.start();
+    const tempDir = createTempDir();
+    const client = new WdClient({
+        host: server.url,
+        authUrl: server.authUrl,
+        devicesUrl: server.devicesUrl,
+        journalDir: path.join(tempDir, '.journals'),
+        retryPolicy: fastRetryPolicy,
+    });
+    await client.authenticate('user', 'pass');
+    return { server, client, tempDir };
+}
+
+/**
+ * Stop the mock server of startClient and remove the temporary folder
+ * @param {Object} context The result of startClient
+ */
+async function stopClient(context) {
+    await context.server.stop();
+    fs.rmSync(context.tempDir, { recursive: true, force: true });
+}
+
+/**
+ * Run a function and collect everything it prints
+ * @param {Function} fn The function to run
+ * @returns {Promise<string>} The printed text
+ */
+async function captureOutput(fn) {
+    const originalStdout = process.stdout.write;
+    const originalStderr = process.stderr.write;
+    let output = '';
+    const collect = (chunk, encoding, callback) => {
+        output += chunk.toString();
+        if (typeof encoding === 'function') encoding();
+        else if (typeof callback === 'function') callback();
+        return true;
+    };
+    process.stdout.write = collect;
+    process.stderr.write = collect;
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = originalStdout;
+        process.stderr.write = originalStderr;
+    }
+    return output;
+}
+
+/**
+ * Run a function and collect the standard output and the standard error separately
+ * @param {Function} fn The function to run
+ * @returns {Promise<Object>} The result of the function, the stdout and the stderr text
+ */
+async function captureStreams(fn) {
+    const originalStdout = process.stdout.write;
+    const originalStderr = process.stderr.write;
+    const captured = { result: undefined, stdout: '', stderr: '' };
+    const collect = (target) => (chunk, encoding, callback) => {
+        captured[target] += chunk.toString();
+        if (typeof encoding === 'function') encoding();
+        else if (typeof callback === 'function') callback();
+        return true;
+    };
+    process.stdout.write = collect('stdout');
+    process.stderr.write = collect('stderr');
+    try {
+        captured.result = await fn();
+    } finally {
+        process.stdout.write = originalStdout;
+        process.stderr.write = originalStderr;
+    }
+    return captured;
+}
+
+module.exports = {
+    createTempDir,
+    startClient,
+    stopClient,
+    captureOutput,
+    captureStreams,
+    fastRetryPolicy,
+};
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const journal = require('../journal');
+const { createTempDir } = require('./helpers');
+
+describe('upload journals', function () {
+    let journalDir;
+
+    beforeEach(function () {
+        journalDir = path.join(createTempDir(), 'uploads');
+    });
+
+    afterEach(function () {
+        fs.rmSync(path.dirname(journalDir), { recursive: true, force: true });
+    });
+
+    it('writes, reads, lists and removes journals', function () {
+        const id = journal.createJournalID();
+        assert.match(id, /^[0-9a-f]{16}$/);
+        assert.deepStrictEqual(journal.listJournals(journalDir), []);
+        journal.writeJournal(journalDir, { id, fileName: 'a.txt', offset: 5 });
+        assert.strictEqual(journal.readJournal(journalDir, id).offset, 5);
+        assert.strictEqual(fs.statSync(path.join(journalDir, id + '.json')).mode & 0o777, 0o600);
+        assert.deepStrictEqual(journal.listJournals(journalDir).map(entry => entry.id), [id]);
+        journal.removeJournal(journalDir, id);
+        assert.strictEqual(journal.readJournal(journalDir, id), undefined);
+        journal.removeJournal(journalDir, id);
+    });
+
+    it('rejects IDs that point outside of the journal folder', function () {
+        assert.throws(() => journal.readJournal(journalDir, '../settings'), /Invalid upload journal ID/);
+    });
+});
@@ -0,0 +1,715 @@
+/**
+ * @typedef {Object} MockEntry
+ * @property {string} id The ID of the entry
+ * @property {string} name The name of the entry
+ * @property {string} parentID The ID of the folder of the entry
+ * @property {Boolean} isDir True if the entry is a folder, otherwise false
+ * @property {Buffer} content The content of the file, empty for folders
+ * @property {Date} mTime The modification time of the entry
+ * @property {Date} cTime The creation time of the entry
+ * @property {Boolean} complete False while a resumable upload of the file is running
+ */
+
+/**
+ * @typedef {Object} MockFault
+ * @property {string} [method] The HTTP method of the requests to fail, every method if not given
+ * @property {(string|RegExp)} [path] The path (or the start of the path) of the requests to fail, every path if not given
+ * @property {number} [status] The status code to respond with
+ * @property {Object} [headers] The headers to respond with along the status code, eg. { 'retry-after': '1' }
+ * @property {(string|Object)} [body] The body to respond with along the status code, a JSON error by default
+ * @property {Boolean} [drop] True to close the connection without a response
+ * @property {number} [dropAfter] Close the connection after sending this many bytes of the response body
+ * @property {number} [times] The number of requests to fail, defaults to 1
+ */
+
+/**
+ * @typedef {Object} MockResponse
+ * @property {number} status The status code of the response
+ * @property {Object} headers The headers of the response
+ * @property {(string|Buffer)} body The body of the response
+ */
+
+/**
+ * Module for the http server
+ */
+const http = require('http');
+/**
+ * Module for generating IDs and tokens
+ */
+const crypto = require('crypto');
+
+/**
+ * The mime type of folders
+ */
+const dirMimeType = 'application/x.wd.dir';
+
+/**
+ * Encode data as unpadded base64url, the encoding of JWT segments
+ * @param {(string|Buffer)} data The data to encode
+ * @returns {string} The encoded data
+ */
+function base64url(data) {
+    return Buffer.from(data).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Build a response object
+ * @param {number} status The status code
+ * @param {(undefined|Object|string|Buffer)} [body] The body, objects are sent as JSON
+ * @param {Object} [headers] The headers
+ * @returns {MockResponse} The response
+ */
+function respond(status, body = '', headers = {}) {
+    if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+        return { status, headers: Object.assign({ 'content-type': 'application/json' }, headers), body: JSON.stringify(body) };
+    }
+    return { status, headers, body };
+}
+
+/**
+ * Split a multipart body into its parts
+ * @param {Buffer} body The multipart body
+ * @param {string} contentType The content type header with the boundary
+ * @returns {Array<Object>} The lowercase part headers and the content of every part
+ */
+function parseMultipartParts(body, contentType) {
+    const boundaryMatch = /boundary=("?)([^";]+)\1/.exec(contentType || '');
+    if (boundaryMatch === null) return [];
+    return body.toString().split('--' + boundaryMatch[2])
+        .slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map((part) => {
+            const content = part.replace(/\r\n$/, ''); // Starts with the line break after the boundary, parts without headers start with an empty line
+            const headerEnd = content.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return { headers: {}, content: '' };
+            return { headers: parseHeaderLines(content.substring(0, headerEnd).split('\r\n')), content: content.substring(headerEnd + 4) };
+        });
+}
+
+/**
+ * Split a multipart body into the bodies of its parts
+ * @param {Buffer} body The multipart body
+ * @param {string} contentType The content type header with the boundary
+ * @returns {Array<string>} The content of every part, without the part headers
+ */
+function parseMultipart(body, contentType) {
+    return parseMultipartParts(body, contentType).map(part => part.content);
+}
+
+/**
+ * Read 'Name: value' header lines
+ * @param {Array<string>} lines The header lines, lines without a colon are skipped
+ * @returns {Object} The values by their lowercase names
+ */
+function parseHeaderLines(lines) {
+    const headers = {};
+    lines.forEach((line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+    });
+    return headers;
+}
+
+/**
+ * Local stand-in of a wdc device and the auth0 login, keeping the files in memory
+ */
+class MockWdServer {
+    /**
+     * Create a new mock server
+     * @param {Object} [options] The options of the server
+     * @param {Object} [options.users] The accepted usernames with their passwords, defaults to user/pass
+     */
+    constructor(options = {}) {
+        /**
+         * Accepted usernames with their passwords
+         * @type {Object}
+         */
+        this.users = Object.assign({}, options.users || { user: 'pass' });
+        /**
+         * Entries of the device by their IDs
+         * @type {Map<string, MockEntry>}
+         */
+        this.entries = new Map();
+        this.entries.set('root', { id: 'root', name: '', parentID: '', isDir: true, content: Buffer.alloc(0), mTime: new Date(), cTime: new Date(), complete: true });
+        /**
+         * Tokens accepted by the device
+         * @type {Set<string>}
+         */
+        this.validTokens = new Set();
+        /**
+         * Refresh tokens accepted by the login, with the users they belong to
+         * @type {Map<string, string>}
+         */
+        this.refreshTokens = new Map();
+        /**
+         * Seconds until an issued token expires
+         * @type {number}
+         */
+        this.tokenLifetime = 3600;
+        /**
+         * Faults waiting to be injected into the matching requests
+         * @type {Array<MockFault>}
+         */
+        this.faults = [];
+        /**
+         * Every received request, batch parts included
+         * @type {Array<Object>}
+         */
+        this.requests = [];
+        /**
+         * Number of sub-requests of every received batch
+         * @type {Array<number>}
+         */
+        this.batches = [];
+        /**
+         * Maximum number of sub-requests in a batch, larger batches are rejected with 413
+         * @type {number}
+         */
+        this.batchLimit = Infinity;
+        /**
+         * Maximum number of entries in a listing page, overrides larger limits of the requests
+         * @type {number}
+         */
+        this.pageSize = Infinity;
+        /**
+         * Whether the device copies entries by itself
+         * @type {Boolean}
+         */
+        this.supportsCopy = true;
+        /**
+         * Whether the file metadata contains a sha256 checksum
+         * @type {Boolean}
+         */
+        this.reportChecksums = false;
+        /**
+         * Whether range headers are ignored, the whole content is sent instead
+         * @type {Boolean}
+         */
+        this.ignoreRange = false;
+        /**
+         * Base URL of the device API, set once the server started
+         * @type {string}
+         */
+        this.url = '';
+        /**
+         * URL of the login endpoint, set once the server started
+         * @type {string}
+         */
+        this.authUrl = '';
+        /**
+         * The URL of the device list of the accounts, set once the server is listening
+         * @type {string}
+         */
+        this.devicesUrl = '';
+        /**
+         * The devices of the accounts in the format of the device list, the device of this server is added once it's listening
+         * @type {Array<Object>}
+         */
+        this.devices = [];
+        /**
+         * The underlying http server
+         * @type {http.Server}
+         */
+        this.server = http.createServer((req, res) => this._handle(req, res));
+    }
+
+    // #region Lifecycle
+
+    /**
+     * Start listening on a free local port
+     * @param {number} [port] The port to listen on, a random free port if not given
+     * @returns {Promise<string>} The base URL of the device API
+     */
+    start(port = 0) {
+        return new Promise((resolve) => {
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                this.authUrl = this.url + '/oauth/ro';
+                this.devicesUrl = this.url + '/device/v1/user';
+                this.devices.unshift({ deviceId: 'mock-device', name: 'Mock Cloud', type: 'sebring', network: { proxyURL: this.url } });
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop the server and close the open connections
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            if (this.server.closeAllConnections) this.server.closeAllConnections();
+        });
+    }
+
+    // #endregion
+
+    // #region Tree helpers
+
+    /**
+     * Add an entry to the tree
+     * @param {string} name The name of the entry
+     * @param {string} parentID The ID of the folder of the entry
+     * @param {Boolean} isDir True for folders, otherwise false
+     * @param {Buffer} content The content of the file
+     * @param {Date} [mTime] The modification time, defaults to now
+     * @returns {MockEntry} The new entry
+     */
+    _addEntry(name, parentID, isDir, content, mTime = new Date()) {
+        const entry = { id: crypto.randomBytes(8).toString('hex'), name, parentID, isDir, content, mTime, cTime: new Date(), complete: true };
+        this.entries.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * Create a folder
+     * @param {string} name The name of the folder
+     * @param {string} [parentID] The ID of the parent folder, defaults to the root folder
+     * @returns {string} The ID of the new folder
+     */
+    addFolder(name, parentID = 'root') {
+        return this._addEntry(name, parentID, true, Buffer.alloc(0)).id;
+    }
+
+    /**
+     * Create a file
+     * @param {string} name The name of the file
+     * @param {(string|Buffer)} content The content of the file
+     * @param {string} [parentID] The ID of the parent folder, defaults to the root folder
+     * @param {Date} [mTime] The modification time, defaults to now
+     * @returns {string} The ID of the new file
+     */
+    addFile(name, content, parentID = 'root', mTime = new Date()) {
+        return this._addEntry(name, parentID, false, Buffer.from(content), mTime).id;
+    }
+
+    /**
+     * Get the entries in a folder, sorted by name
+     * @param {string} parentID The ID of the folder
+     * @returns {Array<MockEntry>} The finished entries in the folder
+     */
+    getChildren(parentID) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.parentID === parentID && entry.complete)
+            .sort((left, right) => left.name < right.name ? -1 : left.name > right.name ? 1 : 0);
+    }
+
+    /**
+     * Find an entry by its absolute path
+     * @param {string} entryPath The path of the entry, eg. '/Photos/trip.jpg'
+     * @returns {(undefined|MockEntry)} The entry, undefined if it doesn't exist
+     */
+    getEntryByPath(entryPath) {
+        let current = this.entries.get('root');
+        for (const name of entryPath.split('/').filter(part => part !== '')) {
+            current = this.getChildren(current.id).find(entry => entry.name === name);
+            if (current === undefined) return undefined;
+        }
+        return current;
+    }
+
+    /**
+     * Get a free name in a folder, adding a ' (n)' suffix if the name is taken
+     * @param {string} parentID The ID of the folder
+     * @param {string} name The wanted name
+     * @returns {string} The first free name
+     */
+    _freeName(parentID, name) {
+        const taken = new Set(Array.from(this.entries.values()).filter(entry => entry.parentID === parentID).map(entry => entry.name));
+        if (!taken.has(name)) return name;
+        const extension = name.lastIndexOf('.') > 0 ? name.substring(name.lastIndexOf('.')) : '';
+        const base = name.substring(0, name.length - extension.length);
+        let counter = 1;
+        while (taken.has(`${base} (${counter})${extension}`)) counter++;
+        return `${base} (${counter})${extension}`;
+    }
+
+    /**
+     * Remove an entry with everything in it
+     * @param {string} entryID The ID of the entry
+     */
+    _removeTree(entryID) {
+        Array.from(this.entries.values()).filter(entry => entry.parentID === entryID).forEach(child => this._removeTree(child.id));
+        this.entries.delete(entryID);
+    }
+
+    /**
+     * Copy an entry with everything in it
+     * @param {MockEntry} source The entry to copy
+     * @param {string} parentID The ID of the folder to copy to
+     * @param {string} name The name of the copy
+     * @returns {MockEntry} The copy
+     */
+    _copyTree(source, parentID, name) {
+        const copy = this._addEntry(name, parentID, source.isDir, Buffer.from(source.content), source.mTime);
+        if (source.isDir) this.getChildren(source.id).forEach(child => this._copyTree(child, copy.id, child.name));
+        return copy;
+    }
+
+    // #endregion
+
+    // #region Faults and tokens
+
+    /**
+     * Fail the next requests matching a fault description
+     * @param {MockFault} fault The requests to fail and how to fail them
+     */
+    injectFault(fault) {
+        this.faults.push(Object.assign({ times: 1 }, fault));
+    }
+
+    /**
+     * Invalidate every issued token, the next requests get 401 responses
+     */
+    expireTokens() {
+        this.validTokens.clear();
+    }
+
+    /**
+     * Invalidate every issued refresh token, renewals fail until the next login
+     */
+    revokeRefreshTokens() {
+        this.refreshTokens.clear();
+    }
+
+    /**
+     * Issue a new JWT shaped token
+     * @param {string} username The user the token belongs to
+     * @returns {string} The new token
+     */
+    issueToken(username) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({ sub: `auth0|${username}`, iat: now, exp: now + this.tokenLifetime }));
+        const token = `${header}.${payload}.${base64url(crypto.randomBytes(16))}`;
+        this.validTokens.add(token);
+        return token;
+    }
+
+    /**
+     * Find the first fault matching a request and use it up
+     * @param {string} method The HTTP method of the request
+     * @param {string} pathname The path of the request
+     * @returns {(undefined|MockFault)} The fault to inject, undefined if there's none
+     */
+    _takeFault(method, pathname) {
+        const index = this.faults.findIndex((fault) => {
+            if (fault.method !== undefined && fault.method !== method) return false;
+            if (fault.path instanceof RegExp) return fault.path.test(pathname);
+            return fault.path === undefined || pathname.startsWith(fault.path);
+        });
+        if (index === -1) return undefined;
+        const fault = this.faults[index];
+        if (--fault.times <= 0) this.faults.splice(index, 1);
+        return fault;
+    }
+
+    // #endregion
+
+    // #region Request handling
+
+    /**
+     * Handle a request of the http server
+     * @param {http.IncomingMessage} req The request
+     * @param {http.ServerResponse} res The response
+     */
+    _handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const fault = this._takeFault(req.method, url.pathname);
+            if (fault !== undefined && fault.drop) {
+                req.socket.destroy();
+                return;
+            }
+            const response = fault !== undefined && fault.status !== undefined
+                ? respond(fault.status, fault.body === undefined ? { error: 'Injected fault' } : fault.body, fault.headers)
+                : this.route(req.method, req.url, req.headers, Buffer.concat(chunks));
+            const body = Buffer.from(response.body);
+            res.writeHead(response.status, Object.assign({ 'content-length': body.length }, response.headers));
+            if (fault !== undefined && fault.dropAfter !== undefined) {
+                res.write(body.slice(0, fault.dropAfter), () => req.socket.destroy());
+                return;
+            }
+            res.end(body);
+        });
+    }
+
+    /**
+     * Answer a request of the device API or the login
+     * @param {string} method The HTTP method
+     * @param {string} rawUrl The path and query of the request
+     * @param {Object} headers The lowercase headers of the request
+     * @param {Buffer} body The body of the request
+     * @returns {MockResponse} The response
+     */
+    route(method, rawUrl, headers, body) {
+        const url = new URL(rawUrl, 'http://localhost');
+        const query = url.searchParams;
+        this.requests.push({ method, path: url.pathname, query: Object.fromEntries(query) });
+
+        if (method === 'POST' && url.pathname === '/oauth/ro') return this._login(body);
+        if (method === 'POST' && url.pathname === '/oauth/token') return this._refresh(body);
+
+        const token = (headers['authorization'] || '').replace(/^Bearer /, '') || query.get('access_token');
+        if (!this.validTokens.has(token)) return respond(401, { error: 'Unauthorized' });
+
+        const userMatch = /^\/device\/v1\/user\/([^/]+)$/.exec(url.pathname);
+        if (method === 'GET' && userMatch !== null) return this._listDevices(token, decodeURIComponent(userMatch[1]));
+
+        const fileMatch = /^\/sdk\/v2\/files\/([^/]+)(\/.*)?$/.exec(url.pathname);
+        if (method === 'GET' && url.pathname === '/sdk/v2/filesSearch/parents') return this._list(query);
+        if (method === 'POST' && url.pathname === '/sdk/v2/files') return this._createFolder(query, headers, body);
+        if (method === 'POST' && url.pathname === '/sdk/v1/activityStart') return respond(200, { tag: crypto.randomBytes(8).toString('hex') });
+        if (method === 'POST' && url.pathname === '/sdk/v2/files/resumable') return this._startUpload(query, headers, body);
+        if (method === 'POST' && url.pathname === '/sdk/v1/batch') return this._batch(headers, body);
+        if (fileMatch === null) return respond(404, { error: 'Unknown endpoint' });
+
+        const entry = this.entries.get(fileMatch[1]);
+        if (entry === undefined) return respond(404, { error: 'Entry not found' });
+        const action = fileMatch[2] || '';
+        if (method === 'GET' && action === '') return respond(200, this._describe(entry, query.get('fields')));
+        if (method === 'PATCH' && action === '') return this._patch(entry, body);
+        if (method === 'DELETE' && action === '') {
+            this._removeTree(entry.id);
+            return respond(204);
+        }
+        if (method === 'POST' && action === '/copy') return this._copy(entry, body);
+        if (method === 'PUT' && action === '/resumable/content') return this._uploadContent(entry, query, body);
+        if (method === 'GET' && action === '/content') return this._content(entry, headers);
+        return respond(404, { error: 'Unknown endpoint' });
+    }
+
+    /**
+     * Check the credentials of a login request
+     * @param {Buffer} body The JSON body of the request
+     * @returns {MockResponse} The tokens, or 401 for wrong credentials
+     */
+    _login(body) {
+        const credentials = JSON.parse(body.toString() || '{}');
+        if (this.users[credentials.username] === undefined || this.users[credentials.username] !== credentials.password) {
+            return respond(401, { error: 'invalid_user_password', error_description: 'Wrong email or password.' });
+        }
+        const tokens = { id_token: this.issueToken(credentials.username), access_token: crypto.randomBytes(8).toString('hex'), token_type: 'bearer' };
+        if ((credentials.scope || '').split(' ').includes('offline_access')) {
+            tokens.refresh_token = crypto.randomBytes(16).toString('hex');
+            this.refreshTokens.set(tokens.refresh_token, credentials.username);
+        }
+        return respond(200, tokens);
+    }
+
+    /**
+     * Issue new tokens for a refresh token
+     * @param {Buffer} body The JSON body of the request
+     * @returns {MockResponse} The new tokens, or 403 for unknown refresh tokens
+     */
+    _refresh(body) {
+        const grant = JSON.parse(body.toString() || '{}');
+        if (grant.grant_type !== 'refresh_token' || !this.refreshTokens.has(grant.refresh_token)) {
+            return respond(403, { error: 'invalid_grant', error_description: 'Unknown or invalid refresh token.' });
+        }
+        return respond(200, { id_token: this.issueToken(this.refreshTokens.get(grant.refresh_token)), access_token: crypto.randomBytes(8).toString('hex'), token_type: 'bearer' });
+    }
+
+    /**
+     * List the devices of an account
+     * @param {string} token The token of the request
+     * @param {string} userID The ID of the user the devices are requested for
+     * @returns {MockResponse} The devices, or 403 if the token belongs to another user
+     */
+    _listDevices(token, userID) {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+        if (payload.sub !== userID) return respond(403, { error: 'Forbidden' });
+        return respond(200, { data: this.devices });
+    }
+
+    /**
+     * Describe an entry the way the API does
+     * @param {MockEntry} entry The entry
+     * @param {(null|string)} fields The comma separated fields to include, every field if not given
+     * @returns {Object} The metadata of the entry
+     */
+    _describe(entry, fields) {
+        const data = {
+            id: entry.id,
+            name: entry.name,
+            parentID: entry.parentID,
+            mimeType: entry.isDir ? dirMimeType : 'application/octet-stream',
+            mTime: entry.mTime.toISOString(),
+            cTime: entry.cTime.toISOString(),
+        };
+        if (!entry.isDir) data.size = entry.content.length;
+        if (!entry.isDir && this.reportChecksums) data.sha256 = crypto.createHash('sha256').update(entry.content).digest('hex');
+        if (!fields) return data;
+        const wanted = fields.split(',');
+        return Object.keys(data).filter(key => wanted.includes(key)).reduce((result, key) => Object.assign(result, { [key]: data[key] }), {});
+    }
+
+    /**
+     * List a page of the entries of a folder
+     * @param {URLSearchParams} query The query of the request
+     * @returns {MockResponse} The page of the listing
+     */
+    _list(query) {
+        const folder = this.entries.get(query.get('ids'));
+        if (folder === undefined || !folder.isDir) return respond(404, { error: 'Folder not found' });
+        const children = this.getChildren(folder.id);
+        const limit = Math.min(Number(query.get('limit')) || Infinity, this.pageSize);
+        const offset = Number(query.get('pageToken')) || 0;
+        const page = children.slice(offset, offset + limit);
+        const pageToken = offset + limit < children.length ? String(offset + limit) : '';
+        return respond(200, { files: page.map(entry => this._describe(entry, query.get('fields'))), pageToken });
+    }
+
+    /**
+     * Create a folder from a multipart request
+     * @param {URLSearchParams} query The query of the request
+     * @param {Object} headers The headers of the request
+     * @param {Buffer} body The multipart body of the request
+     * @returns {MockResponse} The location of the new folder
+     */
+    _createFolder(query, headers, body) {
+        const data = JSON.parse(parseMultipart(body, headers['content-type'])[0] || '{}');
+        const parent = this.entries.get(data.parentID);
+        if (parent === undefined || !parent.isDir) return respond(404, { error: 'Parent not found' });
+        let name = data.name;
+        if (query.get('resolveNameConflict') === 'true' || query.get('resolveNameConflict') === '1') name = this._freeName(parent.id, name);
+        else if (this._freeName(parent.id, name) !== name) return respond(409, { error: 'Name conflict' });
+        const mTime = new Date(data.mTime);
+        const folder = this._addEntry(name, parent.id, true, Buffer.alloc(0), isNaN(mTime.getTime()) ? new Date() : mTime);
+        return respond(201, '', { location: `/sdk/v2/files/${folder.id}` });
+    }
+
+    /**
+     * Change the name or the parent of an entry
+     * @param {MockEntry} entry The entry to change
+     * @param {Buffer} body The JSON body with the changes
+     * @returns {MockResponse} An empty response
+     */
+    _patch(entry, body) {
+        const changes = JSON.parse(body.toString() || '{}');
+        const parentID = changes.parentID || entry.parentID;
+        const name = changes.name || entry.name;
+        const parent = this.entries.get(parentID);
+        if (parent === undefined || !parent.isDir) return respond(404, { error: 'Parent not found' });
+        for (let ancestor = parent; ancestor !== undefined; ancestor = this.entries.get(ancestor.parentID)) {
+            if (ancestor.id === entry.id) return respond(400, { error: 'Cannot move a folder into itself' });
+        }
+        if (this.getChildren(parentID).some(other => other.name === name && other.id !== entry.id)) return respond(409, { error: 'Name conflict' });
+        entry.parentID = parentID;
+        entry.name = name;
+        return respond(204);
+    }
+
+    /**
+     * Copy an entry on the device
+     * @param {MockEntry} entry The entry to copy
+     * @param {Buffer} body The JSON body with the destination
+     * @returns {MockResponse} The location of the copy
+     */
+    _copy(entry, body) {
+        if (!this.supportsCopy) return respond(501, { error: 'Not implemented' });
+        const data = JSON.parse(body.toString() || '{}');
+        const parent = this.entries.get(data.parentID);
+        if (parent === undefined || !parent.isDir) return respond(404, { error: 'Parent not found' });
+        const copy = this._copyTree(entry, parent.id, this._freeName(parent.id, data.name || entry.name));
+        return respond(201, '', { location: `/sdk/v2/files/${copy.id}` });
+    }
+
+    /**
+     * Create the entry of a resumable upload
+     * @param {URLSearchParams} query The query of the request
+     * @param {Object} headers The headers of the request
+     * @param {Buffer} body The multipart body with the name, parent and modification time
+     * @returns {MockResponse} The location of the new file
+     */
+    _startUpload(query, headers, body) {
+        const data = JSON.parse(parseMultipart(body, headers['content-type'])[0] || '{}');
+        const parent = this.entries.get(data.parentID);
+        if (parent === undefined || !parent.isDir) return respond(404, { error: 'Parent not found' });
+        let name = data.name;
+        if (query.get('resolveNameConflict') === 'true' || query.get('resolveNameConflict') === '1') name = this._freeName(parent.id, name);
+        else if (this._freeName(parent.id, name) !== name) return respond(409, { error: 'Name conflict' });
+        const mTime = new Date(data.mTime);
+        const file = this._addEntry(name, parent.id, false, Buffer.alloc(0), isNaN(mTime.getTime()) ? new Date() : mTime);
+        file.complete = false;
+        return respond(201, '', { location: `/sdk/v2/files/${file.id}` });
+    }
+
+    /**
+     * Append a chunk to a resumable upload
+     * @param {MockEntry} entry The uploaded file
+     * @param {URLSearchParams} query The query with the offset and the done flag
+     * @param {Buffer} body The content of the chunk
+     * @returns {MockResponse} An empty response, 409 if the offset doesn't continue the content
+     */
+    _uploadContent(entry, query, body) {
+        const offset = Number(query.get('offset'));
+        if (offset > entry.content.length) return respond(409, { error: 'Offset is past the end of the content' });
+        entry.content = Buffer.concat([entry.content.slice(0, offset), body]);
+        if (query.get('done') === 'true') entry.complete = true;
+        return respond(204);
+    }
+
+    /**
+     * Send the content of a file, supports single byte ranges
+     * @param {MockEntry} entry The file
+     * @param {Object} headers The headers of the request
+     * @returns {MockResponse} The content or the requested range of the content
+     */
+    _content(entry, headers) {
+        if (entry.isDir) return respond(400, { error: 'Entry is a folder' });
+        const rangeMatch = /^bytes=(\d*)-(\d*)$/.exec(headers['range'] || '');
+        if (rangeMatch === null || this.ignoreRange) return respond(200, entry.content, { 'content-type': 'application/octet-stream' });
+        const size = entry.content.length;
+        const start = rangeMatch[1] === '' ? 0 : Number(rangeMatch[1]);
+        const end = rangeMatch[2] === '' ? size - 1 : Math.min(Number(rangeMatch[2]), size - 1);
+        if (start >= size && size > 0) return respond(416, '', { 'content-range': `bytes */${size}` });
+        return respond(206, entry.content.slice(start, end + 1), { 'content-type': 'application/octet-stream', 'content-range': `bytes ${start}-${end}/${size}` });
+    }
+
+    /**
+     * Run the requests of a multipart/mixed batch
+     * @param {Object} headers The headers of the batch request
+     * @param {Buffer} body The multipart body with one http request per part
+     * @returns {MockResponse} The multipart/mixed responses of the parts
+     */
+    _batch(headers, body) {
+        const boundary = 'mock-batch-' + crypto.randomBytes(4).toString('hex');
+        const requests = parseMultipartParts(body, headers['content-type']);
+        if (requests.length > this.batchLimit) return respond(413, { error: `At most ${this.batchLimit} requests per batch` });
+        const parts = requests.map((part) => {
+            const headEnd = part.content.indexOf('\r\n\r\n');
+            const head = headEnd === -1 ? part.content : part.content.substring(0, headEnd);
+            const partBody = headEnd === -1 ? '' : part.content.substring(headEnd + 4);
+            const [requestLine, ...headerLines] = head.split('\r\n');
+            const [method, partUrl] = requestLine.split(' ');
+            const response = this.route(method, partUrl, parseHeaderLines(headerLines), Buffer.from(partBody));
+            const statusText = http.STATUS_CODES[response.status] || '';
+            const responseHeaders = Object.keys(response.headers).map(name => `${name}: ${response.headers[name]}\r\n`).join('');
+            // Like the device, answer the parts in order and name the request each response belongs to
+            const contentID = part.headers['content-id'] === undefined ? '' : `Content-Id: <response-${part.headers['content-id'].replace(/^<|>$/g, '')}>\r\n`;
+            return `--${boundary}\r\nContent-Type: application/http\r\n${contentID}\r\nHTTP/1.1 ${response.status} ${statusText}\r\n${responseHeaders}\r\n${response.body}\r\n`;
+        });
+        this.batches.push(requests.length);
+        return respond(200, parts.join('') + `--${boundary}--`, { 'content-type': `multipart/mixed; boundary=${boundary}` });
+    }
+
+    // #endregion
+}
+
+module.exports = {
+    MockWdServer,
+};
+
+// Run a standalone server for manual testing, eg. with the shell pointed to it in settings.js
+if (require.main === module) {
+    const server = new MockWdServer({ users: { [process.env.MOCK_USER || 'user']: process.env.MOCK_PASS || 'pass' } });
+    server.start(Number(process.argv[2]) || 0).then((url) => {
+        console.log(`Device URL: ${url}`);
+        console.log(`Auth URL:   ${server.authUrl}`);
+        console.log(`Devices URL: ${server.devicesUrl}`);
+    });
+}
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const profile = require('../profile');
+const { createTempDir } = require('./helpers');
+
+describe('profile', function () {
+    let configDir;
+    let environment;
+
+    beforeEach(function () {
+        configDir = path.join(createTempDir(), 'wd-bridge');
+        environment = { WD_USER: process.env.WD_USER, WD_PASS: process.env.WD_PASS, WD_HOST: process.env.WD_HOST };
+        delete process.env.WD_USER;
+        delete process.env.WD_PASS;
+        delete process.env.WD_HOST;
+    });
+
+    afterEach(function () {
+        fs.rmSync(path.dirname(configDir), { recursive: true, force: true });
+        for (const [name, value] of Object.entries(environment)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    it('stores the profile readable only by the user', function () {
+        assert.deepStrictEqual(profile.readProfile(configDir), {});
+        profile.updateProfile({ host: 'device', user: 'me', tokens: { refresh: 'r' } }, configDir);
+        assert.deepStrictEqual(profile.updateProfile({ tokens: undefined }, configDir), { host: 'device', user: 'me' });
+        assert.strictEqual(fs.statSync(path.join(configDir, 'profile.json')).mode & 0o777, 0o600);
+        assert.strictEqual(fs.statSync(configDir).mode & 0o777, 0o700);
+    });
+
+    it('encrypts the secrets with a passphrase', function () {
+        assert.strictEqual(profile.hasSecrets(configDir), false);
+        assert.strictEqual(profile.readSecrets('phrase', configDir), undefined);
+        profile.writeSecrets({ user: 'me', pass: 'secret password' }, 'phrase', configDir);
+        const stored = fs.readFileSync(path.join(configDir, 'secrets.json'), 'utf8');
+        assert.ok(!stored.includes('secret password'));
+        assert.strictEqual(fs.statSync(path.join(configDir, 'secrets.json')).mode & 0o777, 0o600);
+        assert.deepStrictEqual(profile.readSecrets('phrase', configDir), { user: 'me', pass: 'secret password' });
+        assert.throws(() => profile.readSecrets('wrong', configDir), /wrong passphrase/);
+        profile.removeSecrets(configDir);
+        assert.strictEqual(profile.hasSecrets(configDir), false);
+    });
+
+    it('resolves the credentials from the environment, the secrets and the settings', function () {
+        const settings = { user: 'settings-user', pass: 'settings-pass', wdHost: 'settings-host' };
+        assert.deepStrictEqual(profile.resolveCredentials({}, undefined, configDir), { user: undefined, pass: undefined, source: 'none' });
+        assert.strictEqual(profile.resolveCredentials(settings, undefined, configDir).source, 'settings');
+        profile.writeSecrets({ user: 'secret-user', pass: 'secret-pass' }, 'phrase', configDir);
+        assert.strictEqual(profile.resolveCredentials(settings, undefined, configDir).source, 'settings');
+        assert.deepStrictEqual(profile.resolveCredentials(settings, 'phrase', configDir), { user: 'secret-user', pass: 'secret-pass', source: 'secrets' });
+        Object.assign(process.env, { WD_USER: 'env-user', WD_PASS: 'env-pass' });
+        assert.deepStrictEqual(profile.resolveCredentials(settings, 'phrase', configDir), { user: 'env-user', pass: 'env-pass', source: 'env' });
+    });
+
+    it('keeps the newest commands of the history', function () {
+        assert.deepStrictEqual(profile.readHistory(configDir), []);
+        profile.writeHistory(['ls', 'cd "my docs"', 'upload a.txt'], 2, configDir);
+        assert.deepStrictEqual(profile.readHistory(configDir), ['cd "my docs"', 'upload a.txt']);
+        assert.strictEqual(fs.statSync(path.join(configDir, 'history')).mode & 0o777, 0o600);
+        profile.writeHistory(['ls'], 0, configDir);
+        assert.deepStrictEqual(profile.readHistory(configDir), []);
+    });
+
+    it('resolves the host from the environment, the profile and the settings', function () {
+        const settings = { wdHost: 'settings-host' };
+        assert.strictEqual(profile.resolveHost(settings, configDir), 'settings-host');
+        profile.updateProfile({ host: 'profile-host' }, configDir);
+        assert.strictEqual(profile.resolveHost(settings, configDir), 'profile-host');
+        process.env.WD_HOST = 'env-host';
+        assert.strictEqual(profile.resolveHost(settings, configDir), 'env-host');
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const errors = require('../errors');
+const retry = require('../retry');
+
+describe('retry', function () {
+    describe('isRetryable', function () {
+        it('retries network errors, too many requests and server errors', function () {
+            assert.strictEqual(retry.isRetryable(new errors.NetworkError('down')), true);
+            assert.strictEqual(retry.isRetryable(errors.errorFromStatus(429, 'GET /')), true);
+            assert.strictEqual(retry.isRetryable(errors.errorFromStatus(500, 'GET /')), true);
+            assert.strictEqual(retry.isRetryable(errors.errorFromStatus(503, 'GET /')), true);
+        });
+
+        it('doesn\'t retry client errors and unknown errors', function () {
+            for (const status of [401, 403, 404, 409, 413, 507]) {
+                assert.strictEqual(retry.isRetryable(errors.errorFromStatus(status, 'GET /')), false, `${status}`);
+            }
+            assert.strictEqual(retry.isRetryable(new Error('bug')), false);
+            assert.strictEqual(retry.isRetryable(new errors.WdError('no status')), false);
+        });
+    });
+
+    describe('parseRetryAfter', function () {
+        it('reads seconds and dates', function () {
+            assert.strictEqual(retry.parseRetryAfter('3'), 3000);
+            assert.strictEqual(retry.parseRetryAfter(new Date(0).toUTCString()), 0);
+            const delay = retry.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+            assert.ok(delay > 8000 && delay <= 10000);
+        });
+
+        it('ignores missing and invalid values', function () {
+            assert.strictEqual(retry.parseRetryAfter(undefined), undefined);
+            assert.strictEqual(retry.parseRetryAfter(''), undefined);
+            assert.strictEqual(retry.parseRetryAfter('soon'), undefined);
+        });
+    });
+
+    describe('getRetryDelay', function () {
+        it('backs off exponentially up to the maximum delay', function () {
+            const policy = retry.createRetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: 0 });
+            const delays = [1, 2, 3, 4, 5].map(attempt => retry.getRetryDelay(policy, attempt, new Error()));
+            assert.deepStrictEqual(delays, [100, 200, 400, 800, 1000]);
+        });
+
+        it('randomizes the delay by the jitter', function () {
+            const policy = retry.createRetryPolicy({ baseDelay: 1000, jitter: 0.5 });
+            for (let i = 0; i < 20; i++) {
+                const delay = retry.getRetryDelay(policy, 1, new Error());
+                assert.ok(delay >= 500 && delay <= 1000);
+            }
+        });
+
+        it('honours the delay the device asked for up to the maximum delay', function () {
+            const policy = retry.createRetryPolicy({ baseDelay: 10, maxDelay: 5000 });
+            assert.strictEqual(retry.getRetryDelay(policy, 1, errors.errorFromStatus(503, 'GET /', undefined, 2000)), 2000);
+            assert.strictEqual(retry.getRetryDelay(policy, 1, errors.errorFromStatus(429, 'GET /', undefined, 24 * 60 * 60 * 1000)), 5000);
+        });
+    });
+
+    describe('retryAbstracted', function () {
+        it('stops at the first success, at errors not worth retrying and after the last attempt', async function () {
+            const policy = retry.createRetryPolicy({ maxAttempts: 3, baseDelay: 1 });
+            let calls = 0;
+            const failing = error => async () => (++calls, { success: false, error });
+            const flaky = async () => ++calls === 2 ? { success: true, data: 'done' } : { success: false, error: new errors.NetworkError('down') };
+            assert.strictEqual(await retry.retryAbstracted(policy, 'test', flaky, []), 'done');
+            assert.strictEqual(calls, 2);
+            calls = 0;
+            await assert.rejects(retry.retryAbstracted(policy, 'test', failing(errors.errorFromStatus(404, 'GET /')), []), errors.NotFoundError);
+            assert.strictEqual(calls, 1);
+            calls = 0;
+            await assert.rejects(retry.retryAbstracted(policy, 'test', failing(errors.errorFromStatus(500, 'GET /')), []), errors.ServerError);
+            assert.strictEqual(calls, 3);
+        });
+    });
+});
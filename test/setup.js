@@ -0,0 +1,10 @@
+/**
+ * Loaded by mocha before the tests, keeps the tests away from the configuration of the user
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Journals and other state of the default client go to ~/.config, point it to a temporary home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'wd-bridge-home-'));
+require('../api').disableAPIMessages();
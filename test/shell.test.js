@@ -0,0 +1,449 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const qoa = require('qoa');
+const bridge = require('../api');
+const settings = require('../settings');
+const profile = require('../profile');
+const { runCommand, runScript, completeCommand, getPrompt } = require('../index');
+const { MockWdServer } = require('./mock-server');
+const { createTempDir, captureOutput, fastRetryPolicy } = require('./helpers');
+
+describe('shell', function () {
+    let server;
+    let tempDir;
+
+    /**
+     * Run a shell command and collect its output
+     * @param {string} command The command to run
+     * @returns {Promise<string>} The printed text
+     */
+    const run = command => captureOutput(() => runCommand(command));
+
+    beforeEach(async function () {
+        server = new MockWdServer();
+        await server.start();
+        tempDir = createTempDir();
+        bridge.setWdHost(server.url);
+        bridge.setAuthUrl(server.authUrl);
+        bridge.setDevicesUrl(server.devicesUrl);
+        bridge.setRetryPolicy(fastRetryPolicy);
+        await bridge.authenticate('user', 'pass');
+        bridge.removePathStackEntries(Infinity);
+        await run(`l cd ${tempDir}`);
+    });
+
+    afterEach(async function () {
+        await server.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('session commands', function () {
+        it('exits', async function () {
+            assert.deepStrictEqual(await runCommand('exit'), { exit: true, success: true });
+            let result;
+            await captureOutput(async () => result = await runCommand('help'));
+            assert.deepStrictEqual(result, { exit: false, success: true });
+        });
+
+        it('prints the help', async function () {
+            const output = await run('help');
+            assert.match(output, /ls \[-l\]/);
+            assert.match(output, /sync \[--push\|--pull\]/);
+        });
+
+        it('clears the screen', async function () {
+            const originalClear = console.clear;
+            let cleared = false;
+            console.clear = () => cleared = true;
+            try {
+                await runCommand('clear');
+            } finally {
+                console.clear = originalClear;
+            }
+            assert.strictEqual(cleared, true);
+        });
+
+        it('authenticates with prompted credentials', async function () {
+            const originalPrompt = qoa.prompt;
+            qoa.prompt = async () => ({ username: 'user', password: 'wrong' });
+            try {
+                assert.match(await run('auth'), /Failed to authenticate/);
+                qoa.prompt = async () => ({ username: 'user', password: 'pass' });
+                assert.match(await run('auth'), /Authentication to wdc successful/);
+            } finally {
+                qoa.prompt = originalPrompt;
+            }
+        });
+
+        it('authenticates with the credentials of the settings', async function () {
+            const stored = { user: settings.user, pass: settings.pass };
+            Object.assign(settings, { user: 'user', pass: 'pass' });
+            try {
+                assert.match(await run('auth -a'), /Authentication to wdc successful/);
+                assert.strictEqual(profile.readProfile().user, 'user');
+            } finally {
+                Object.assign(settings, stored);
+            }
+        });
+
+        it('authenticates with the credentials of the environment', async function () {
+            Object.assign(process.env, { WD_USER: 'user', WD_PASS: 'pass' });
+            try {
+                assert.match(await run('auth -a'), /Authentication to wdc successful/);
+            } finally {
+                delete process.env.WD_USER;
+                delete process.env.WD_PASS;
+            }
+        });
+
+        it('saves the credentials encrypted and authenticates with them', async function () {
+            const originalPrompt = qoa.prompt;
+            qoa.prompt = async (questions) => questions[0].handle === 'username'
+                ? { username: 'user', password: 'pass' }
+                : { passphrase: 'phrase', repeated: 'phrase' };
+            try {
+                assert.match(await run('auth --save'), /Credentials saved/);
+                assert.deepStrictEqual(profile.readSecrets('phrase'), { user: 'user', pass: 'pass' });
+                assert.match(await run('auth -a'), /Authentication to wdc successful/);
+                qoa.prompt = async () => ({ passphrase: 'wrong' });
+                assert.match(await run('auth -a'), /Failed to read the secrets file/);
+                assert.match(await run('logout'), /Logged out/);
+                assert.strictEqual(profile.hasSecrets(), false);
+                assert.strictEqual(profile.readProfile().tokens, undefined);
+            } finally {
+                qoa.prompt = originalPrompt;
+            }
+        });
+
+        it('continues the stored session without credentials', async function () {
+            assert.match(await run('auth -a'), /Authentication to wdc successful/);
+            bridge.restoreSession({});
+            assert.match(await run('auth -a'), /Failed to authenticate/);
+        });
+    });
+
+    describe('devices', function () {
+        it('lists and selects the devices of the account', async function () {
+            server.devices.push({ deviceId: 'other-device', name: 'Other', type: 'monarch', network: {} });
+            const output = await run('devices');
+            assert.match(output, /\* Mock Cloud {2}sebring {2}mock-device/);
+            assert.match(output, / {2}Other {2}monarch {2}other-device {2}device-local-other-device/);
+            assert.match(await run('device use other'), /Using the device Other/);
+            assert.strictEqual(profile.readProfile().host, 'device-local-other-device');
+            assert.match(await run('device use missing'), /Failed to select the device/);
+            assert.match(await run('device use "Mock Cloud"'), /Using the device Mock Cloud/);
+            assert.strictEqual(bridge.getWdHost(), server.url);
+        });
+    });
+
+    describe('remote navigation', function () {
+        it('lists folders', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'abc', folderID);
+            assert.match(await run('ls'), /docs/);
+            assert.match(await run('ls docs'), /a\.txt/);
+            assert.match(await run('ls -l /docs'), /a\.txt/);
+            assert.match(await run('ls missing'), /Failed to list files/);
+            const entries = JSON.parse(await run('ls --json docs'));
+            assert.strictEqual(entries[0].name, 'a.txt');
+            assert.strictEqual(entries[0].size, 3);
+        });
+
+        it('shows the metadata of entries', async function () {
+            server.addFile('a.txt', 'abc');
+            assert.match(await run('stat a.txt'), /a\.txt/);
+        });
+
+        it('explains why an action failed', async function () {
+            const missing = await run('stat missing.txt');
+            assert.match(missing, /Failed to locate the following path: \.\/missing\.txt/);
+            assert.match(missing, /doesn't exist \(anymore\)/);
+            server.injectFault({ path: '/sdk/v2/filesSearch/parents', drop: true, times: 5 });
+            assert.match(await run('ls'), /The device can't be reached/);
+            server.injectFault({ path: '/sdk/v2/filesSearch/parents', status: 503, times: 5 });
+            assert.match(await run('ls'), /Unexpected status code 503[\s\S]*try again later/);
+        });
+
+        it('reports the failed lookups of paths instead of ending the shell', async function () {
+            const folderID = server.addFolder('docs');
+            await run('cd docs');
+            server.entries.delete(folderID); // The working directory is gone
+            assert.match(await run('cat x'), /Failed to read file[\s\S]*doesn't exist \(anymore\)/);
+            await run('cd /');
+
+            fs.writeFileSync(path.join(tempDir, 'a.txt'), 'abc');
+            bridge.restoreSession({});
+            for (const command of ['cd Photos', 'cat x', 'download foo', 'put a.txt /x', 'upload a.txt /x', 'cp a b', 'cp a b /c', 'upload a.txt']) {
+                assert.match(await run(command), /use auth to log in again/, command);
+            }
+        });
+
+        it('changes the working directory', async function () {
+            const folderID = server.addFolder('docs');
+            await run('cd docs');
+            assert.strictEqual(bridge.getCurrentFolder(), folderID);
+            await run('cd ..');
+            assert.match(await run('cd missing'), /Failed to locate/);
+            let result;
+            await captureOutput(async () => result = await runCommand('cd missing'));
+            assert.deepStrictEqual(result, { exit: false, success: false });
+        });
+    });
+
+    describe('remote changes', function () {
+        it('creates folders', async function () {
+            await run('mkdir docs');
+            await run('mkdir -p a/b/c');
+            assert.ok(server.getEntryByPath('/docs'));
+            assert.ok(server.getEntryByPath('/a/b/c'));
+        });
+
+        it('removes entries', async function () {
+            server.addFile('a.txt', 'abc');
+            await run('rm a.txt');
+            assert.strictEqual(server.getEntryByPath('/a.txt'), undefined);
+            server.addFile('b.txt', 'b');
+            server.addFile('c d.txt', 'cd');
+            assert.match(await run('rm b.txt missing c\\ d.txt'), /Failed to remove missing/);
+            assert.strictEqual(server.getEntryByPath('/b.txt'), undefined);
+            assert.strictEqual(server.getEntryByPath('/c d.txt'), undefined);
+            assert.deepStrictEqual(server.batches, [1, 2]);
+            server.addFolder('docs');
+            assert.match(await run('rm docs'), /only removed recursively: docs/);
+            assert.strictEqual(await run('rm -rf docs missing'), '');
+            assert.strictEqual(server.getEntryByPath('/docs'), undefined);
+        });
+
+        it('addresses names with quotes, spaces and dashes', async function () {
+            server.addFile(' leading.txt', 'a');
+            server.addFile('it\'s "quoted".txt', 'b');
+            server.addFile('-dash.txt', 'c');
+            assert.match(await run('cat " leading.txt" \'it\'\\\'\'s "quoted".txt\' -- -dash.txt'), /^abc/);
+            await run('mkdir "new folder" \'other folder\'');
+            assert.ok(server.getEntryByPath('/new folder') && server.getEntryByPath('/other folder'));
+            assert.match(await run('rm -x a'), /Unknown option: -x/);
+            assert.match(await run('cd "docs'), /Unterminated " quote/);
+            assert.match(await run('rename a'), /Missing argument: new name/);
+            assert.match(await run('cd a b'), /Too many arguments for cd/);
+        });
+
+        it('moves and renames entries', async function () {
+            server.addFolder('docs');
+            server.addFile('a.txt', 'abc');
+            await run('mv a.txt docs');
+            assert.ok(server.getEntryByPath('/docs/a.txt'));
+            await run('rename docs/a.txt b.txt');
+            assert.ok(server.getEntryByPath('/docs/b.txt'));
+            assert.match(await run('mv docs'), /Missing argument/);
+            server.addFile('c.txt', 'c');
+            server.addFile('d.txt', 'd');
+            await run('mv c.txt d.txt docs');
+            assert.ok(server.getEntryByPath('/docs/c.txt') && server.getEntryByPath('/docs/d.txt'));
+        });
+
+        it('copies entries', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'abc', folderID);
+            assert.match(await run('cp docs copy'), /use -r/);
+            await run('cp -r docs copy');
+            await run('cp docs/a.txt b.txt');
+            assert.ok(server.getEntryByPath('/copy/a.txt'));
+            assert.strictEqual(server.getEntryByPath('/b.txt').content.toString(), 'abc');
+        });
+    });
+
+    describe('content', function () {
+        it('prints remote files', async function () {
+            server.addFile('a.txt', 'hello from the device');
+            assert.match(await run('cat a.txt'), /hello from the device/);
+        });
+
+        it('puts local files and the standard input', async function () {
+            fs.writeFileSync(path.join(tempDir, 'a.txt'), 'local');
+            await run('put a.txt /');
+            assert.strictEqual(server.getEntryByPath('/a.txt').content.toString(), 'local');
+
+            const originalStdin = Object.getOwnPropertyDescriptor(process, 'stdin');
+            Object.defineProperty(process, 'stdin', { value: stream.Readable.from([Buffer.from('piped')]), configurable: true });
+            try {
+                await run('put - /piped.txt');
+            } finally {
+                Object.defineProperty(process, 'stdin', originalStdin);
+            }
+            assert.strictEqual(server.getEntryByPath('/piped.txt').content.toString(), 'piped');
+        });
+    });
+
+    describe('transfers', function () {
+        it('uploads files and folders', async function () {
+            fs.mkdirSync(path.join(tempDir, 'tree', 'sub'), { recursive: true });
+            fs.writeFileSync(path.join(tempDir, 'tree', 'sub', 'b.txt'), 'bb');
+            fs.writeFileSync(path.join(tempDir, 'a.txt'), 'a');
+            server.addFolder('docs');
+            await run('upload a.txt docs');
+            await run('upload --verify tree');
+            fs.writeFileSync(path.join(tempDir, 'b c.txt'), 'bc');
+            await run('upload a.txt "b c.txt" tree /');
+            assert.ok(server.getEntryByPath('/b c.txt'));
+            assert.ok(server.getEntryByPath('/tree (1)/sub/b.txt'));
+            assert.ok(server.getEntryByPath('/docs/a.txt'));
+            assert.strictEqual(server.getEntryByPath('/tree/sub/b.txt').content.toString(), 'bb');
+            assert.match(await run('upload missing.txt'), /Failed to locate/);
+        });
+
+        it('handles name conflicts as asked', async function () {
+            fs.writeFileSync(path.join(tempDir, 'a.txt'), 'new');
+            server.addFile('a.txt', 'old');
+            assert.match(await run('upload --on-conflict fail a.txt'), /already exists/);
+            await run('upload --on-conflict skip a.txt /');
+            assert.strictEqual(server.getEntryByPath('/a.txt').content.toString(), 'old');
+            await run('put --on-conflict=overwrite a.txt /a.txt');
+            assert.strictEqual(server.getEntryByPath('/a.txt').content.toString(), 'new');
+            server.addFolder('docs');
+            await run('mkdir --on-conflict skip docs');
+            await run('cp --on-conflict skip a.txt docs');
+            await run('cp --on-conflict skip a.txt docs');
+            assert.deepStrictEqual(server.getChildren('root').map(entry => entry.name).sort(), ['a.txt', 'docs']);
+            assert.strictEqual(server.getChildren(server.getEntryByPath('/docs').id).length, 1);
+            assert.match(await run('mkdir --on-conflict maybe other'), /Unknown conflict policy/);
+        });
+
+        it('lists the interrupted uploads', async function () {
+            assert.match(await run('upload --resume'), /no interrupted uploads/);
+        });
+
+        it('downloads files and folders', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('a.txt', 'abc', folderID);
+            await run('download docs');
+            await run('download --resume --verify docs/a.txt');
+            server.addFile('b.txt', 'b', folderID);
+            await run('download docs/a.txt docs/b.txt');
+            assert.strictEqual(fs.readFileSync(path.join(tempDir, 'b.txt'), 'utf8'), 'b');
+            assert.strictEqual(fs.readFileSync(path.join(tempDir, 'docs', 'a.txt'), 'utf8'), 'abc');
+            assert.strictEqual(fs.readFileSync(path.join(tempDir, 'a.txt'), 'utf8'), 'abc');
+        });
+
+        it('verifies files', async function () {
+            server.addFile('a.txt', 'abc');
+            fs.writeFileSync(path.join(tempDir, 'a.txt'), 'abc');
+            assert.match(await run('verify a.txt a.txt'), /Files match/);
+            fs.writeFileSync(path.join(tempDir, 'a.txt'), 'abd');
+            assert.match(await run('verify a.txt a.txt'), /Checksum mismatch/);
+        });
+
+        it('syncs folders', async function () {
+            fs.mkdirSync(path.join(tempDir, 'local'));
+            fs.writeFileSync(path.join(tempDir, 'local', 'a.txt'), 'a');
+            assert.match(await run('sync --push --dry-run local remote'), /upload\s+a\.txt/);
+            await run('sync --push local remote');
+            assert.strictEqual(server.getEntryByPath('/remote/a.txt').content.toString(), 'a');
+        });
+    });
+
+    describe('local commands', function () {
+        it('prints, changes and lists the local working directory', async function () {
+            fs.mkdirSync(path.join(tempDir, 'sub'));
+            fs.writeFileSync(path.join(tempDir, 'sub', 'a.txt'), 'a');
+            assert.match(await run('l pwd'), new RegExp(tempDir));
+            await run('l cd sub');
+            assert.match(await run('l pwd'), /sub/);
+            assert.match(await run('l ls'), /a\.txt/);
+            assert.match(await run(`l ls ${tempDir}`), /sub/);
+            assert.match(await run('l cd missing'), /Failed to locate/);
+        });
+
+        it('reports unknown commands', async function () {
+            assert.match(await run('frobnicate'), /Unknown command: frobnicate/);
+            assert.strictEqual(await run(''), '');
+        });
+    });
+
+    describe('prompt', function () {
+        it('shows the remote working directory', async function () {
+            server.addFolder('my docs', server.addFolder('docs'));
+            assert.strictEqual(getPrompt(), '/> ');
+            await run('cd "docs/my docs"');
+            assert.strictEqual(getPrompt(), '/docs/my docs> ');
+            await run('cd ..');
+            assert.strictEqual(getPrompt(), '/docs> ');
+            await run('cd missing');
+            assert.strictEqual(getPrompt(), '/docs> ');
+            await run('cd /');
+            assert.strictEqual(getPrompt(), '/> ');
+        });
+
+        it('completes remote and local paths', async function () {
+            const folderID = server.addFolder('docs');
+            server.addFile('my notes.txt', 'a', folderID);
+            fs.writeFileSync(path.join(tempDir, 'local file.txt'), 'a');
+            assert.deepStrictEqual(await completeCommand('cat docs/my'), [['docs/my\\ notes.txt '], 'docs/my']);
+            assert.deepStrictEqual(await completeCommand('upload loc'), [['local\\ file.txt '], 'loc']);
+            await run('cd docs');
+            assert.deepStrictEqual(await completeCommand('cat "my'), [['"my notes.txt" '], '"my']);
+            // The cached listing is used until a command changes the remote folders
+            server.addFile('my list.txt', 'b', folderID);
+            assert.strictEqual((await completeCommand('cat my'))[0].length, 1);
+            await run('mkdir other');
+            assert.strictEqual((await completeCommand('cat my'))[0].length, 2);
+        });
+    });
+
+    describe('scripts', function () {
+        /**
+         * Run a script and collect its output
+         * @param {string} script The content of the script
+         * @param {Object} [options] The options of runScript
+         * @returns {Promise<Object>} The ScriptReport and the printed text
+         */
+        const runLines = async (script, options) => {
+            let report;
+            const output = await captureOutput(async () => report = await runScript(script, options));
+            return { report, output };
+        };
+
+        it('runs commands, skips comments and reports every command', async function () {
+            fs.writeFileSync(path.join(tempDir, 'a.txt'), 'abc');
+            const { report, output } = await runLines('# nightly backup\n\nmkdir /backups\ncd /backups\nupload a.txt\nrm /missing\n');
+            assert.deepStrictEqual(report, { commands: 4, failed: 1, stoppedAt: undefined });
+            assert.strictEqual(server.getEntryByPath('/backups/a.txt').content.toString(), 'abc');
+            assert.match(output, /Line 3: mkdir \/backups/);
+            assert.match(output, /Line 6 failed: rm \/missing/);
+            assert.match(output, /4 commands run, 1 failed/);
+        });
+
+        it('stops at the first failed command with set -e', async function () {
+            const { report } = await runLines('mkdir /one\nset -e\nrm /missing\nmkdir /two');
+            assert.strictEqual(report.stoppedAt, 3);
+            assert.strictEqual(server.getEntryByPath('/two'), undefined);
+            assert.strictEqual((await runLines('rm /missing\nmkdir /two', { stopOnError: true })).report.commands, 1);
+            assert.strictEqual((await runLines('set -e\nset +e\nrm /missing\nmkdir /two')).report.commands, 2);
+        });
+
+        it('expands environment variables', async function () {
+            Object.assign(process.env, { WD_TEST_FOLDER: 'backups', WD_TEST_NAME: 'my backups' });
+            try {
+                const { report } = await runLines('mkdir /$WD_TEST_FOLDER\nmkdir /${WD_TEST_FOLDER}/\\$HOME\nrename /$WD_TEST_FOLDER $WD_TEST_NAME\nmkdir /$WD_TEST_UNDEFINED');
+                assert.strictEqual(report.failed, 1);
+                assert.ok(server.getEntryByPath('/my backups/$HOME').isDir);
+            } finally {
+                delete process.env.WD_TEST_FOLDER;
+                delete process.env.WD_TEST_NAME;
+            }
+        });
+
+        it('doesn\'t prompt for credentials', async function () {
+            const originalPrompt = qoa.prompt;
+            qoa.prompt = async () => assert.fail('Scripts must not prompt');
+            try {
+                const { report, output } = await runLines('auth\nauth --save');
+                assert.strictEqual(report.failed, 2);
+                assert.match(output, /can't prompt for the credentials/);
+            } finally {
+                qoa.prompt = originalPrompt;
+            }
+        });
+    });
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { sync } = require('../sync');
+const { startClient, stopClient } = require('./helpers');
+
+describe('sync', function () {
+    let context;
+    let server;
+    let client;
+    let localRoot;
+    let folderID;
+
+    beforeEach(async function () {
+        context = await startClient();
+        ({ server, client } = context);
+        localRoot = path.join(context.tempDir, 'local');
+        fs.mkdirSync(localRoot);
+        folderID = server.addFolder('remote');
+    });
+
+    afterEach(async function () {
+        await stopClient(context);
+    });
+
+    /**
+     * Get the actions of a sync as "action relativePath" strings
+     * @param {Object} summary The SyncSummary
+     * @returns {Array<string>} The actions
+     */
+    const describeActions = summary => summary.actions.map(action => `${action.action} ${action.relativePath}`);
+
+    it('plans without changing anything in a dry run', async function () {
+        fs.writeFileSync(path.join(localRoot, 'a.txt'), 'a');
+        server.addFile('b.txt', 'b', folderID);
+        const summary = await sync(client, localRoot, folderID, { dryRun: true });
+        assert.deepStrictEqual(describeActions(summary), ['upload a.txt', 'download b.txt']);
+        assert.strictEqual(summary.transfer, undefined);
+        assert.strictEqual(server.getEntryByPath('/remote/a.txt'), undefined);
+        assert.strictEqual(fs.existsSync(path.join(localRoot, 'b.txt')), false);
+    });
+
+    it('transfers the newer side in both directions', async function () {
+        const old = new Date(Date.now() - 60000);
+        fs.writeFileSync(path.join(localRoot, 'local-newer.txt'), 'new local');
+        server.addFile('local-newer.txt', 'old', folderID, old);
+        fs.writeFileSync(path.join(localRoot, 'remote-newer.txt'), 'old');
+        fs.utimesSync(path.join(localRoot, 'remote-newer.txt'), old, old);
+        server.addFile('remote-newer.txt', 'new remote', folderID);
+        await sync(client, localRoot, folderID);
+        assert.strictEqual(server.getEntryByPath('/remote/local-newer.txt').content.toString(), 'new local');
+        assert.strictEqual(fs.readFileSync(path.join(localRoot, 'remote-newer.txt'), 'utf8'), 'new remote');
+    });
+
+    it('keeps the remote file if its replacement fails to upload', async function () {
+        const old = new Date(Date.now() - 60000);
+        fs.writeFileSync(path.join(localRoot, 'a.txt'), 'new local');
+        server.addFile('a.txt', 'old remote', folderID, old);
+        server.injectFault({ path: /resumable/, status: 400, times: 100 });
+        const summary = await sync(client, localRoot, folderID, { mode: 'push' });
+        assert.strictEqual(summary.transfer.filesFailed, 1);
+        assert.strictEqual(server.getEntryByPath('/remote/a.txt').content.toString(), 'old remote');
+        server.faults = [];
+        await sync(client, localRoot, folderID, { mode: 'push' });
+        assert.strictEqual(server.getEntryByPath('/remote/a.txt').content.toString(), 'new local');
+        assert.deepStrictEqual(server.getChildren(folderID).map(entry => entry.name), ['a.txt']);
+    });
+
+    it('reports files with the same time but a different size as conflicts', async function () {
+        const time = new Date(Math.floor(Date.now() / 1000) * 1000);
+        fs.writeFileSync(path.join(localRoot, 'a.txt'), 'local');
+        fs.utimesSync(path.join(localRoot, 'a.txt'), time, time);
+        server.addFile('a.txt', 'remote content', folderID, time);
+        const summary = await sync(client, localRoot, folderID);
+        assert.deepStrictEqual(describeActions(summary), ['conflict a.txt']);
+        assert.strictEqual(fs.readFileSync(path.join(localRoot, 'a.txt'), 'utf8'), 'local');
+    });
+
+    it('removes extraneous entries when asked to', async function () {
+        server.addFile('extra.txt', 'x', folderID);
+        fs.writeFileSync(path.join(localRoot, 'extra-local.txt'), 'x');
+        await sync(client, localRoot, folderID, { mode: 'push', delete: true });
+        assert.strictEqual(server.getEntryByPath('/remote/extra.txt'), undefined);
+        assert.ok(server.getEntryByPath('/remote/extra-local.txt'));
+        fs.rmSync(path.join(localRoot, 'extra-local.txt'));
+        fs.writeFileSync(path.join(localRoot, 'stray.txt'), 'x');
+        server.addFile('pulled.txt', 'p', folderID);
+        await sync(client, localRoot, folderID, { mode: 'pull', delete: true });
+        assert.deepStrictEqual(fs.readdirSync(localRoot).sort(), ['extra-local.txt', 'pulled.txt']);
+    });
+
+    it('rejects unsupported options', async function () {
+        await assert.rejects(sync(client, localRoot, folderID, { mode: 'mirror' }), /Unknown sync mode/);
+        await assert.rejects(sync(client, localRoot, folderID, { delete: true }), /only supported in push and pull mode/);
+        await assert.rejects(sync(client, path.join(localRoot, 'missing'), folderID, { mode: 'push' }), /Failed to locate/);
+    });
+});
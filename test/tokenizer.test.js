@@ -0,0 +1,93 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const tokenizer = require('../tokenizer');
+
+/**
+ * Split a command line and keep only the values of the arguments
+ * @param {string} line The command line
+ * @param {Object} [variables] The values of the variables
+ * @returns {Array<string>} The arguments
+ */
+const values = (line, variables) => tokenizer.tokenize(line, variables).map(token => token.value);
+
+describe('tokenizer', function () {
+    describe('tokenize', function () {
+        it('splits on whitespace and handles quotes and escapes', function () {
+            assert.deepStrictEqual(values('  rm a   b\tc '), ['rm', 'a', 'b', 'c']);
+            assert.deepStrictEqual(values('rm \'a b\' "c d" e\\ f'), ['rm', 'a b', 'c d', 'e f']);
+            assert.deepStrictEqual(values('rm "  leading" it\\\'s "say \\"hi\\"" \'back\\slash\''), ['rm', '  leading', 'it\'s', 'say "hi"', 'back\\slash']);
+            assert.deepStrictEqual(values('mkdir a"b c"\'d\' ""'), ['mkdir', 'ab cd', '']);
+        });
+
+        it('marks quoted and escaped arguments as literal', function () {
+            const tokens = tokenizer.tokenize('rm -r "-f" \\-x a');
+            assert.deepStrictEqual(tokens.map(token => token.literal), [false, false, true, true, false]);
+        });
+
+        it('expands variables only if they are given', function () {
+            const variables = { NAME: 'my docs', EMPTY: '' };
+            assert.deepStrictEqual(values('cd $NAME', variables), ['cd', 'my docs']);
+            assert.deepStrictEqual(values('cd /${NAME}/a "$NAME" \'$NAME\' \\$NAME $ "\\$"', variables), ['cd', '/my docs/a', 'my docs', '$NAME', '$NAME', '$', '$']);
+            assert.deepStrictEqual(values('cd $NAME'), ['cd', '$NAME']);
+            assert.throws(() => tokenizer.tokenize('cd $MISSING', variables), /Undefined variable: MISSING/);
+        });
+
+        it('reads partial command lines', function () {
+            const [command, open, quoted] = tokenizer.tokenize('cd \'a b\' "my fo', undefined, true);
+            assert.deepStrictEqual(command, { value: 'cd', literal: false, start: 0, quote: undefined });
+            assert.deepStrictEqual(open, { value: 'a b', literal: true, start: 3, quote: undefined });
+            assert.deepStrictEqual(quoted, { value: 'my fo', literal: true, start: 9, quote: '"' });
+            assert.deepStrictEqual(tokenizer.tokenize('cd ', undefined, true)[1], { value: '', literal: false, start: 3, quote: undefined });
+        });
+
+        it('rejects unfinished quotes and escapes', function () {
+            assert.throws(() => tokenizer.tokenize('rm \'a'), /Unterminated ' quote/);
+            assert.throws(() => tokenizer.tokenize('rm "a'), /Unterminated " quote/);
+            assert.throws(() => tokenizer.tokenize('rm a\\'), /unfinished escape/);
+        });
+    });
+
+    describe('parseOptions', function () {
+        const spec = { flags: ['-r', '-f', '--verify'], values: ['--on-conflict'] };
+        const parse = (line) => {
+            const parsed = tokenizer.parseOptions(tokenizer.tokenize(line), spec);
+            return { options: parsed.options, operands: parsed.operands.map(token => token.value) };
+        };
+
+        it('separates the options from the operands', function () {
+            assert.deepStrictEqual(parse('a -r b --verify'), { options: { '-r': true, '--verify': true }, operands: ['a', 'b'] });
+            assert.deepStrictEqual(parse('-rf a'), { options: { '-r': true, '-f': true }, operands: ['a'] });
+            assert.deepStrictEqual(parse('--on-conflict skip a --on-conflict=fail').options, { '--on-conflict': 'fail' });
+            assert.deepStrictEqual(parse('- "-r" -- -f --verify').operands, ['-', '-r', '-f', '--verify']);
+        });
+
+        it('rejects unknown options and missing values', function () {
+            assert.throws(() => parse('-x a'), /Unknown option: -x/);
+            assert.throws(() => parse('-rx a'), /Unknown option: -rx/);
+            assert.throws(() => parse('--on-conflict'), /Missing value of the option --on-conflict/);
+        });
+    });
+
+    describe('escapeArgument', function () {
+        it('escapes arguments so that they are read back as they are', function () {
+            for (const text of ['a b', 'it\'s', 'say "$HOME" \\', '-dash', '~home']) {
+                for (const quote of [undefined, '\'', '"']) {
+                    const line = (quote || '') + tokenizer.escapeArgument(text, quote) + (quote || '');
+                    assert.deepStrictEqual(values(line, {}), [text], line);
+                }
+            }
+            assert.strictEqual(tokenizer.escapeArgument('-a b', undefined, false), '-a\\ b');
+        });
+    });
+
+    describe('expandHome', function () {
+        it('expands a leading ~ unless it is quoted', function () {
+            const [home, sub, quoted, other] = tokenizer.tokenize('~ ~/docs "~/docs" a~');
+            assert.strictEqual(tokenizer.expandHome(home), os.homedir());
+            assert.strictEqual(tokenizer.expandHome(sub), path.join(os.homedir(), 'docs'));
+            assert.strictEqual(tokenizer.expandHome(quoted), '~/docs');
+            assert.strictEqual(tokenizer.expandHome(other), 'a~');
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * @typedef {Object} Token
+ * @property {string} value The text of the argument with the quotes and escapes removed
+ * @property {Boolean} literal True if the argument starts with a quoted or escaped character, literal arguments are never options and don't get ~ expanded
+ * @property {number} start The index of the first character of the argument in the command line
+ * @property {(undefined|string)} quote The quote left open at the end of a partial command line
+ */
+
+/**
+ * @typedef {Object} OptionsSpec
+ * @property {Array<string>} [flags] The options without a value, eg. ['-r', '--verify'], single letter flags can be combined like -rf
+ * @property {Array<string>} [values] The options with a value, eg. ['--on-conflict'], given as '--name value' or '--name=value'
+ */
+
+/**
+ * @typedef {Object} ParsedOptions
+ * @property {Object} options The given options by their name, true for flags and the string for options with values
+ * @property {Array<Token>} operands The other arguments in order
+ */
+
+/**
+ * Module for the home directory of ~
+ */
+const os = require('os');
+/**
+ * Module for joining the paths of ~
+ */
+const path = require('path');
+
+/**
+ * Read a $NAME or ${NAME} variable
+ * @param {string} line The command line
+ * @param {number} index The index of the $ sign
+ * @param {Object} variables The values of the variables by their names
+ * @returns {Array} The value of the variable (a lone $ stays a $) and the index after the variable
+ */
+function readVariable(line, index, variables) {
+    const match = /^\$(?:\{(\w+)\}|(\w+))/.exec(line.substring(index));
+    if (match === null) return ['$', index + 1];
+    const name = match[1] || match[2];
+    if (variables[name] === undefined) throw new Error(`Undefined variable: ${name}`);
+    return [variables[name], index + match[0].length];
+}
+
+/**
+ * Split a command line into arguments like a POSIX shell
+ * Whitespace separates the arguments, '...' keeps everything literally, "..." keeps everything but \", \\, \$ and the variables, a backslash escapes the next character
+ * Variables are only expanded if the variables are given, their values are never split or taken as options
+ * A partial command line is one being typed: a quote may be left open, and the argument under the cursor is always the last one (empty after a space)
+ * @param {string} line The command line
+ * @param {Object} [variables] The values of $NAME and ${NAME} by the names, eg. process.env, undefined to keep $ signs as they are
+ * @param {Boolean} [partial] True to read a partial command line, otherwise false
+ * @returns {Array<Token>} The arguments, throws on unterminated quotes
+ */
+function tokenize(line, variables, partial = false) {
+    const tokens = [];
+    let token; // The argument being read, undefined between arguments
+    let start = 0; // The index of the character being read
+    const append = (text, literal) => {
+        if (token === undefined) token = { value: '', literal, start, quote: undefined };
+        token.value += text;
+    };
+    let i = 0;
+    while (i < line.length) {
+        const char = line[i];
+        start = i;
+        if (/\s/.test(char)) {
+            if (token !== undefined) tokens.push(token);
+            token = undefined;
+            i++;
+        } else if (char === '\\') {
+            if (i + 1 >= line.length) throw new Error('The command line ends with an unfinished escape \\');
+            append(line[i + 1], true);
+            i += 2;
+        } else if (char === '\'') {
+            let end = line.indexOf('\'', i + 1);
+            if (end < 0 && !partial) throw new Error('Unterminated \' quote');
+            if (end < 0) end = line.length;
+            append(line.substring(i + 1, end), true);
+            if (end === line.length) token.quote = '\'';
+            i = end + 1;
+        } else if (char === '"') {
+            let text = '';
+            i++;
+            while (i < line.length && line[i] !== '"') {
+                if (line[i] === '\\' && i + 1 < line.length && '"\\$'.includes(line[i + 1])) {
+                    text += line[i + 1];
+                    i += 2;
+                } else if (line[i] === '$' && variables !== undefined) {
+                    const [value, next] = readVariable(line, i, variables);
+                    text += value;
+                    i = next;
+                } else text += line[i++];
+            }
+            if (i >= line.length && !partial) throw new Error('Unterminated " quote');
+            append(text, true);
+            if (i >= line.length) token.quote = '"';
+            i++;
+        } else if (char === '$' && variables !== undefined) {
+            const [value, next] = readVariable(line, i, variables);
+            append(value, value !== '$');
+            i = next;
+        } else {
+            append(char, false);
+            i++;
+        }
+    }
+    if (token !== undefined) tokens.push(token);
+    else if (partial) tokens.push({ value: '', literal: false, start: line.length, quote: undefined });
+    return tokens;
+}
+
+/**
+ * Separate the options of a command from its operands, the options can be anywhere before a '--' argument
+ * @param {Array<Token>} tokens The arguments after the name of the command
+ * @param {OptionsSpec} spec The options the command accepts
+ * @returns {ParsedOptions} The options and the operands, throws on unknown options
+ */
+function parseOptions(tokens, spec) {
+    const flags = spec.flags || [];
+    const values = spec.values || [];
+    const parsed = { options: {}, operands: [] };
+    for (let i = 0; i < tokens.length; i++) {
+        const { value, literal } = tokens[i];
+        if (literal || !value.startsWith('-') || value === '-') {
+            parsed.operands.push(tokens[i]);
+        } else if (value === '--') {
+            parsed.operands.push(...tokens.slice(i + 1));
+            break;
+        } else if (flags.includes(value)) {
+            parsed.options[value] = true;
+        } else if (value.startsWith('--') && values.includes(value.split('=')[0])) {
+            const separator = value.indexOf('=');
+            if (separator >= 0) parsed.options[value.substring(0, separator)] = value.substring(separator + 1);
+            else if (i + 1 < tokens.length) parsed.options[value] = tokens[++i].value;
+            else throw new Error(`Missing value of the option ${value}`);
+        } else if (!value.startsWith('--') && value.length > 2 && value.substring(1).split('').every(letter => flags.includes('-' + letter))) {
+            value.substring(1).split('').forEach(letter => parsed.options['-' + letter] = true); // Combined flags like -rf
+        } else {
+            throw new Error(`Unknown option: ${value}`);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Escape the text of an argument, so that tokenize reads it back as it is
+ * @param {string} text The text to escape
+ * @param {(undefined|string)} [quote] The quote the text is written in, undefined if it's not quoted
+ * @param {Boolean} [atStart] True if the text starts the argument, a leading - or ~ is escaped then, otherwise false
+ * @returns {string} The escaped text
+ */
+function escapeArgument(text, quote, atStart = true) {
+    if (quote === '\'') return text.replace(/'/g, '\'\\\'\'');
+    if (quote === '"') return text.replace(/["\\$]/g, '\\$&');
+    const escaped = text.replace(/[\s'"\\$]/g, '\\$&');
+    return atStart && /^[-~]/.test(escaped) ? '\\' + escaped : escaped;
+}
+
+/**
+ * Replace a leading ~ of a local path with the home directory, unless it was quoted
+ * @param {Token} token The argument of the local path
+ * @returns {string} The path with the home directory
+ */
+function expandHome(token) {
+    if (token.literal) return token.value;
+    if (token.value === '~') return os.homedir();
+    if (token.value.startsWith('~/')) return path.join(os.homedir(), token.value.substring(2));
+    return token.value;
+}
+
+module.exports = {
+    tokenize,
+    parseOptions,
+    escapeArgument,
+    expandHome,
+};
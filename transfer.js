@@ -0,0 +1,345 @@
+// #region Typedefs
+/**
+ * @typedef {Object} TransferJob
+ * @property {string} direction Either 'upload' or 'download'
+ * @property {string} name The name of the file/folder
+ * @property {Boolean} isDir True if the job transfers a folder, otherwise false
+ * @property {number} size The size of the file in bytes, 0 for folders
+ * @property {(undefined|Date)} mTime The modification time of the source file/folder, undefined if it isn't known
+ * @property {string} localPath The source path for uploads, the destination path for downloads
+ * @property {(undefined|string)} remoteID The ID of the remote entry, set after the upload for uploads
+ * @property {(undefined|string)} parentID The ID of the remote folder to upload to, set by the parent job for nested uploads
+ * @property {Array<TransferJob>} children The jobs of the entries in the folder, empty for files
+ */
+
+/**
+ * @typedef {Object} ActiveTransfer
+ * @property {string} name The name of the file
+ * @property {number} bytesDone The number of transferred bytes of the file
+ * @property {number} size The size of the file
+ */
+
+/**
+ * @typedef {Object} TransferProgress
+ * @property {number} filesDone The number of files transferred completely
+ * @property {number} filesFailed The number of files that failed to transfer
+ * @property {number} totalFiles The number of files to transfer
+ * @property {number} bytesDone The number of transferred bytes
+ * @property {number} totalBytes The size of all files to transfer
+ * @property {number} rate The average transfer rate in bytes per second
+ * @property {Array<ActiveTransfer>} active The files that are being transferred
+ */
+
+/**
+ * @typedef {Object} TransferFailure
+ * @property {TransferJob} job The job that failed
+ * @property {Error} error The error thrown by the API
+ */
+
+/**
+ * @typedef {Object} TransferSummary
+ * @property {number} filesDone The number of files transferred completely
+ * @property {number} filesFailed The number of files that failed to transfer
+ * @property {number} totalFiles The number of files to transfer
+ * @property {number} bytesDone The number of transferred bytes
+ * @property {number} totalBytes The size of all files to transfer
+ * @property {number} rate The average transfer rate in bytes per second
+ * @property {Array<TransferFailure>} failures The files/folders that failed to transfer
+ */
+
+/**
+ * @typedef {Object} TransferOptions
+ * @property {number} [concurrency] The number of transfers to run at the same time, defaults to 4
+ * @property {Boolean} [resume] True to continue previous partial downloads, otherwise false
+ * @property {Boolean} [verify] True to compare the checksums of every transferred file, otherwise false
+ * @property {string} [conflict] The ConflictPolicy of the uploaded files and folders (see api.js), defaults to 'rename'
+ * @property {Boolean} [preserveTimestamps] False to leave the transfer time as the modification time of the copies, by default they get the modification time of the source
+ * @property {Function} [progressCallback] Called with the TransferProgress whenever a transfer progresses
+ * @property {Function} [jobDoneCallback] Called with the TransferJob when a file/folder finished
+ * @property {Function} [jobFailCallback] Called with the TransferJob and the error when a file/folder failed
+ */
+
+// #endregion
+
+// #region Imports
+/**
+ * Module for walking local folders
+ */
+const fs = require('fs');
+/**
+ * Module for building local paths
+ */
+const path = require('path');
+// #endregion
+
+/**
+ * Runs a tree of upload and download jobs with a limited number of concurrent transfers
+ */
+class TransferManager {
+    /**
+     * Create a new transfer manager
+     * @param {Object} client The WdClient to transfer the files with
+     * @param {TransferOptions} [options] The options of the transfers
+     */
+    constructor(client, options = {}) {
+        /**
+         * Client used for the transfers
+         */
+        this.client = client;
+        /**
+         * Number of transfers running at the same time
+         * @type {number}
+         */
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        /**
+         * Options of the transfers
+         * @type {TransferOptions}
+         */
+        this.options = options;
+        /**
+         * Jobs waiting for a free worker
+         * @type {Array<TransferJob>}
+         */
+        this.queue = [];
+        /**
+         * Files failed to transfer
+         * @type {Array<TransferFailure>}
+         */
+        this.failures = [];
+        /**
+         * Overall progress of the transfers
+         * @type {TransferProgress}
+         */
+        this.progress = { filesDone: 0, filesFailed: 0, totalFiles: 0, bytesDone: 0, totalBytes: 0, rate: 0, active: [] };
+        /**
+         * Time the transfers started at
+         * @type {number}
+         */
+        this.startTime = 0;
+        /**
+         * Number of folder jobs that are running, these can still add new jobs to the queue
+         * @type {number}
+         */
+        this.runningFolders = 0;
+        /**
+         * Idle workers waiting for a folder job to finish
+         * @type {Array<Function>}
+         */
+        this.idleWorkers = [];
+        /**
+         * Downloaded folders, these get their modification time after every file in them is written
+         * @type {Array<TransferJob>}
+         */
+        this.downloadedFolders = [];
+        /**
+         * Listings of the remote folders the uploads check for name conflicts, see the UploadOptions of the API
+         * @type {Map<string, Promise>}
+         */
+        this.listings = new Map();
+    }
+
+    // #region Planning
+
+    /**
+     * Build the job tree for uploading a local file/folder
+     * @param {string} localPath The path of the local file/folder
+     * @param {string} destParentID The ID of the remote folder to upload to
+     * @returns {TransferJob} The root job of the tree
+     */
+    planUpload(localPath, destParentID) {
+        const buildJob = (entryPath) => {
+            const stats = fs.statSync(entryPath);
+            const job = { direction: 'upload', name: path.basename(entryPath), isDir: stats.isDirectory(), size: stats.isDirectory() ? 0 : stats.size, mTime: stats.mtime, localPath: entryPath, remoteID: undefined, parentID: undefined, children: [] };
+            if (job.isDir) job.children = fs.readdirSync(entryPath).map(entry => buildJob(path.join(entryPath, entry)));
+            return job;
+        };
+        const rootJob = buildJob(localPath);
+        rootJob.parentID = destParentID;
+        return rootJob;
+    }
+
+    /**
+     * Build the job tree for downloading a remote file/folder
+     * @param {Object} entry The detailed remote entry to download
+     * @param {string} localPath The path to download the entry to, including its name
+     * @returns {Promise<TransferJob>} The root job of the tree
+     */
+    async planDownload(entry, localPath) {
+        const job = { direction: 'download', name: entry.name, isDir: entry.isDir, size: entry.isDir ? 0 : entry.size || 0, mTime: entry.mTime, localPath, remoteID: entry.id, parentID: undefined, children: [] };
+        if (job.isDir) {
+            for await (const child of this.client.iterateDirectory(entry.id, { details: true })) {
+                job.children.push(await this.planDownload(child, path.join(localPath, child.name)));
+            }
+        }
+        return job;
+    }
+
+    /**
+     * Add a job tree to the transfers
+     * @param {TransferJob} rootJob The root job of the tree
+     */
+    add(rootJob) {
+        const countFiles = (job) => {
+            if (job.isDir) job.children.forEach(countFiles);
+            else {
+                this.progress.totalFiles++;
+                this.progress.totalBytes += job.size;
+            }
+        };
+        countFiles(rootJob);
+        this.queue.push(rootJob);
+    }
+
+    // #endregion
+
+    // #region Running
+
+    /**
+     * Run every job, including the jobs added while running
+     * Failed files don't stop the other transfers, they are collected in the failures list
+     * @returns {Promise<TransferSummary>} The final progress of the transfers
+     */
+    async run() {
+        this.startTime = Date.now();
+        const workers = [];
+        for (let i = 0; i < this.concurrency; i++) workers.push(this._runWorker());
+        await Promise.all(workers);
+        this._setFolderTimes();
+        this._reportProgress();
+        const summary = this._snapshot();
+        delete summary.active;
+        summary.failures = this.failures.slice();
+        return summary;
+    }
+
+    /**
+     * Take jobs from the queue until every job is done
+     * Workers wait for running folder jobs, because those add new jobs to the queue
+     */
+    async _runWorker() {
+        while (true) {
+            const job = this.queue.shift();
+            if (job !== undefined) {
+                await this._runJob(job);
+                continue;
+            }
+            if (this.runningFolders === 0) return;
+            await new Promise(resolve => this.idleWorkers.push(resolve)); // A folder job is still adding jobs
+        }
+    }
+
+    /**
+     * Give the downloaded folders the modification time of the remote folders
+     * Creating the files changes the time of their folder, so the deepest folders come first and each only after its content is complete
+     */
+    _setFolderTimes() {
+        if (this.options.preserveTimestamps === false) return;
+        const depth = (job) => job.localPath.split(path.sep).length;
+        this.downloadedFolders.sort((a, b) => depth(b) - depth(a)).forEach(job => {
+            if (job.mTime !== undefined && fs.existsSync(job.localPath)) fs.utimesSync(job.localPath, job.mTime, job.mTime);
+        });
+    }
+
+    /**
+     * Wake up the idle workers, so that they check the queue again
+     */
+    _wakeWorkers() {
+        this.idleWorkers.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * Run a single job
+     * @param {TransferJob} job The job to run
+     */
+    async _runJob(job) {
+        if (job.isDir) {
+            this.runningFolders++;
+            try {
+                if (job.direction === 'upload') {
+                    const mTime = this.options.preserveTimestamps === false ? undefined : job.mTime;
+                    job.remoteID = await this.client.createDirectory(job.name, job.parentID, { conflict: this.options.conflict, mTime, listings: this.listings });
+                    job.children.forEach(child => child.parentID = job.remoteID);
+                } else {
+                    fs.mkdirSync(job.localPath, { recursive: true });
+                    this.downloadedFolders.push(job);
+                }
+                this.queue.push(...job.children);
+                if (this.options.jobDoneCallback) this.options.jobDoneCallback(job);
+            } catch (error) {
+                this._failJob(job, error);
+            } finally {
+                this.runningFolders--;
+                this._wakeWorkers();
+            }
+            return;
+        }
+
+        const active = { name: job.name, bytesDone: 0, size: job.size };
+        this.progress.active.push(active);
+        const reportFile = (percentage) => {
+            active.bytesDone = Math.round(percentage * job.size / 100);
+            this._reportProgress();
+        };
+        try {
+            const verify = this.options.verify === true;
+            const preserveTimestamps = this.options.preserveTimestamps !== false;
+            if (job.direction === 'upload') job.remoteID = await this.client.uploadFile(job.localPath, reportFile, job.parentID, { verify, conflict: this.options.conflict, preserveTimestamps, listings: this.listings });
+            else await this.client.downloadFile(job.remoteID, job.localPath, reportFile, { resume: this.options.resume === true, verify, preserveTimestamps });
+            this.progress.filesDone++;
+            this.progress.bytesDone += job.size;
+            if (this.options.jobDoneCallback) this.options.jobDoneCallback(job);
+        } catch (error) {
+            this._failJob(job, error);
+        } finally {
+            this.progress.active.splice(this.progress.active.indexOf(active), 1);
+            this._reportProgress();
+        }
+    }
+
+    /**
+     * Record the failure of a job, a failed folder fails every file in it
+     * @param {TransferJob} job The job that failed
+     * @param {Error} error The error thrown by the API
+     */
+    _failJob(job, error) {
+        this.failures.push({ job, error });
+        const countFailed = (failedJob) => {
+            if (failedJob.isDir) failedJob.children.forEach(countFailed);
+            else this.progress.filesFailed++;
+        };
+        countFailed(job);
+        if (this.options.jobFailCallback) this.options.jobFailCallback(job, error);
+    }
+
+    // #endregion
+
+    // #region Progress
+
+    /**
+     * Get a copy of the current progress
+     * @returns {TransferProgress} The current progress
+     */
+    _snapshot() {
+        const activeBytes = this.progress.active.reduce((sum, active) => sum + active.bytesDone, 0);
+        const bytesDone = this.progress.bytesDone + activeBytes;
+        const elapsedSeconds = (Date.now() - this.startTime) / 1000;
+        return Object.assign({}, this.progress, {
+            bytesDone,
+            rate: elapsedSeconds > 0 ? bytesDone / elapsedSeconds : 0,
+            active: this.progress.active.map(active => Object.assign({}, active)),
+        });
+    }
+
+    /**
+     * Send the current progress to the progress callback
+     */
+    _reportProgress() {
+        if (this.options.progressCallback) this.options.progressCallback(this._snapshot());
+    }
+
+    // #endregion
+}
+
+module.exports = {
+    TransferManager,
+};